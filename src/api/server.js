@@ -2,14 +2,89 @@
  * homeAImatch MVP — API Server
  * 
  * Endpoints:
- * POST /api/match          — Run AI matching for a buyer
- * GET  /api/properties      — List properties (with filters)
+ * POST /api/match          — Run AI matching for a buyer (optional body.diversity: { lambda, dedupe, weights } or false)
+ * POST /api/match/stream   — Same, as Server-Sent Events (candidates, shortlist, score…, persona, results)
+ * GET  /api/properties      — List properties (filters, sorting, pagination, bbox/radius/polygon; truncated: true when a
+ *                            radius/polygon search had more listings in its bounding box than it scans)
  * GET  /api/properties/:id  — Single property with enrichment
+ * GET  /api/properties/:id/similar — "More like this" (?limit=, ?text=true to compare descriptions, ?lang=pt)
+ * GET  /api/search?q=       — Free-text semantic search over descriptions (PT or EN; ?lang=pt for results)
+ * POST /api/properties/compare — Side-by-side table for 2-4 homes (body: { ids, answers?, narrative?, lang? })
  * POST /api/properties      — Add property (admin)
  * POST /api/leads           — Submit a lead (contact agent)
  * POST /api/subscribe       — Email signup
  * GET  /api/health          — Health check
  * 
+ * Match Sessions (conversational refinement):
+ * POST /api/match/sessions               — Start a session from quiz answers (returns matches + session_id)
+ * GET  /api/match/sessions/:id           — Current profile, results and conversation history
+ * POST /api/match/sessions/:id/messages  — Refine with a message ("cheaper, no apartments") and re-run
+ *   (a session started while signed in is only available to that buyer)
+ * 
+ * Buyer Accounts (password or magic link; Authorization: Bearer <token>):
+ * POST /api/buyers/register            — Create an account with a password
+ * POST /api/buyers/login               — Sign in with a password
+ * POST /api/buyers/magic-link          — Email a sign-in link (creates the account on first use)
+ * POST /api/buyers/magic-link/verify   — Exchange the link token for a session
+ * POST /api/buyers/logout              — End the session
+ * GET  /api/buyers/me                  — Account; PUT to change name / language / password
+ * GET  /api/buyers/properties          — Favourites (?filter=hidden|notes)
+ * PUT  /api/buyers/properties/:id      — Favourite, hide (reject) or add a private note
+ * GET  /api/buyers/history             — Past match runs with their scores
+ * Signed-in buyers' match runs are recorded, and their hidden listings are never matched.
+ * 
+ * Match Feedback:
+ * POST /api/searches/:id/feedback — Thumbs up/down on a result (body: { property_id, reaction, reason?, comment? })
+ * POST /api/admin/feedback/adjust-weights — Feedback → new rule set with adjusted buyer-type presets
+ *                                           (body: { dry_run?, activate?, since_days?, min_votes? })
+ * 
+ * Saved Searches:
+ * POST   /api/saved-searches          — Save quiz answers + profile for a buyer email
+ * GET    /api/saved-searches/:id      — Get a saved search (?token=)
+ * POST   /api/saved-searches/:id/run  — Re-run matching with the saved profile
+ * PUT    /api/saved-searches/:id      — Update name / alert threshold / alerts on-off
+ * DELETE /api/saved-searches/:id      — Delete a saved search
+ * POST   /api/admin/saved-search-alerts — Admin: check saved searches for new matches now
+ * 
+ * Scoring Rules (versioned weights for the rule-based scorers):
+ * GET  /api/admin/scoring-rules                   — Versions, active version, built-in defaults
+ * GET  /api/admin/scoring-rules/:version          — One version (?buyer_type= to see resolved weights)
+ * POST /api/admin/scoring-rules                   — Create a version from partial weights/presets
+ * POST /api/admin/scoring-rules/:version/activate — Make a version live (or roll back)
+ * 
+ * Semantic Search:
+ * POST /api/admin/embeddings/reindex — Embed new/changed listings (body: { ids?, force? })
+ * 
+ * Feature Extraction (details read from descriptions, stored apart from source values):
+ * POST /api/admin/extract-features — Extract new/changed listings (body: { ids?, force?, limit? })
+ * 
+ * Translation (description_en / description_pt and taglines):
+ * POST /api/admin/translate — Translate new/changed listings (body: { ids?, force?, limit? })
+ * 
+ * Background Jobs (durable queue, run by the worker process — npm run worker):
+ * POST /api/admin/enrich-all            — Queue OSM enrichment for listings without it (body: { force? })
+ * POST /api/admin/casafari-sync         — Queue a Casafari sync, one job per page (body: { locationIds?, concelhos?,
+ *                                         maxCalls?, full?, resume?, dryRun?, graceRuns? }); only listings changed
+ *                                         since the last complete sync unless full, carrying on from where an
+ *                                         interrupted sync stopped unless resume: false; a sync that reaches its
+ *                                         last page delists sold / withdrawn listings in those concelhos (dryRun:
+ *                                         report only). 429 once the monthly call budget is used
+ * GET  /api/admin/casafari-sync/status  — API calls this month vs budget, high-water marks and checkpoints per concelho
+ * GET  /api/admin/sync-runs             — Casafari sync history (?status=, ?limit=, ?offset=)
+ * GET  /api/admin/sync-runs/:id         — One run: counts, errors, page and enrichment progress, delisting report
+ * POST /api/admin/jobs                  — Queue a job (body: { type, payload?, run_at?, priority?, max_attempts? })
+ * GET  /api/admin/jobs                  — List jobs (?status=, ?type=, ?limit=, ?offset=) with counts per status
+ * GET  /api/admin/jobs/:id              — One job with payload, result and last error
+ * POST /api/admin/jobs/:id/cancel       — Cancel a queued or running job
+ * POST /api/admin/jobs/:id/retry        — Re-queue a failed or cancelled job
+ *
+ * Schedules (cron, UTC — Casafari sync, stale OSM re-enrichment, saved-search alerts; SCHEDULER_ENABLED=false
+ * turns the scheduler off on an instance):
+ * GET   /api/admin/schedules            — All schedules with last / next run, and the available tasks
+ * POST  /api/admin/schedules            — Add a schedule (body: { name, task, cron, enabled?, params? })
+ * PATCH /api/admin/schedules/:name      — Edit a schedule (body: { cron?, enabled?, params? })
+ * POST  /api/admin/schedules/:name/run  — Run a schedule's task now (409 while another instance runs it)
+ * 
  * Service Providers:
  * GET  /api/service-providers              — Public: list active providers (filterable)
  * GET  /api/admin/service-providers        — Admin: list all providers
@@ -23,9 +98,31 @@ import express from 'express';
 import cors from 'cors';
 import crypto from 'crypto';
 import { createClient } from '@supabase/supabase-js';
-import { scoreProperties, generatePersona } from '../services/ai-scoring.js';
-import { enrichWithOSM } from '../services/enrichment-osm.js';
-import { fetchAllCasafariProperties, syncToSupabase, deactivateMissing, SILVER_COAST_CONCELHOS } from '../services/casafari-sync.js';
+import { scoreProperties, generatePersona, interpretRefinement, extractListingDetails, translateListing, compareWithAI } from '../services/ai-scoring.js';
+import { SILVER_COAST_CONCELHOS, DEFAULT_DELIST_GRACE_RUNS, resolveLocationIds } from '../services/casafari-sync.js';
+import { runSavedSearchAlerts, DEFAULT_ALERT_THRESHOLD } from '../services/saved-search-alerts.js';
+import { parseGeoFilter, pointInGeoFilter, applyGeoBounds, haversine } from '../services/geo.js';
+import { parseAnchors } from '../services/commute.js';
+import { applyProfileDeltas, describeChanges } from '../services/refinement.js';
+import { createScoreCache } from '../services/score-cache.js';
+import { getAIOutcomeStats } from '../services/ai-output.js';
+import { quickPreScore } from '../services/prescore.js';
+import { createRuleStore, resolveWeights, validateRuleSetInput, buyerTypeKey, BUYER_TYPES } from '../services/scoring-rules.js';
+import { diversify, parseDiversityOptions } from '../services/diversity.js';
+import { findSimilar } from '../services/similar-properties.js';
+import { createEmbeddingIndex } from '../services/embeddings.js';
+import { runFeatureExtraction, applyExtraction } from '../services/feature-extraction.js';
+import { createMatching } from '../services/matching.js';
+import { createListingWriter } from '../services/listing-writer.js';
+import { createJobQueue, JOB_STATUSES } from '../services/job-queue.js';
+import { JOB_TYPES, queueCasafariSync } from '../services/job-handlers.js';
+import { createSyncRunStore, describeSyncRun, SYNC_RUN_STATUSES } from '../services/sync-runs.js';
+import { createCasafariState } from '../services/casafari-state.js';
+import { createScheduler, createScheduleTasks, parseCron, SCHEDULE_TASKS } from '../services/scheduler.js';
+import { runTranslation, localizeProperty } from '../services/translation.js';
+import { sendEmail } from '../services/email.js';
+import { REACTIONS, FEEDBACK_REASONS, feedbackReport, loadFeedback, runFeedbackWeightJob } from '../services/match-feedback.js';
+import { buildComparison, MIN_COMPARE, MAX_COMPARE } from '../services/property-comparison.js';
 // Legacy UK-only enrichment (kept as fallback for UK properties with postcodes)
 // import { enrichProperty } from '../services/enrichment.js';
 
@@ -37,7 +134,7 @@ const app = express();
 app.use(cors({
   origin: true,  // reflects the requesting origin — works better than '*' with complex requests
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization'],
 }));
 app.use(express.json());
@@ -48,6 +145,36 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_ANON_KEY
 );
 
+// Claude score cache (profile fingerprint × property version, with TTL)
+const scoreCache = createScoreCache(supabase);
+
+// Versioned scoring weights (admin-editable, see /api/admin/scoring-rules)
+const ruleStore = createRuleStore(supabase);
+
+// Description embeddings for free-text search (EMBEDDING_PROVIDER: hash | local)
+const embeddingIndex = createEmbeddingIndex(supabase);
+
+// Candidate search and new-listing scoring (shared with the job worker)
+const { getCandidates, getEnrichmentBatch, getExtractionBatch, findNewMatches } = createMatching({ supabase, embeddingIndex, scoreCache, ruleStore });
+
+// OSM enrichment and agent records for imported listings (shared with the job worker)
+const { enrichAndSave, upsertAgent } = createListingWriter(supabase, { scoreCache });
+
+// Background work (enrichment, Casafari sync, AI scoring) — run by src/worker/worker.js
+const jobQueue = createJobQueue(supabase);
+
+// Casafari import history and live progress (updated by the worker page by page)
+const syncRuns = createSyncRunStore(supabase);
+
+// Casafari high-water marks, resume checkpoints and the monthly API call budget
+const casafariState = createCasafariState(supabase);
+
+// Recurring syncs, re-enrichment and alert checks (one run per slot across instances)
+const SCHEDULER_ENABLED = process.env.SCHEDULER_ENABLED !== 'false';
+const scheduler = createScheduler(supabase, {
+  tasks: createScheduleTasks({ supabase, queue: jobQueue, syncRuns, casafariState }),
+});
+
 // ============================================================
 // HEALTH CHECK
 // ============================================================
@@ -58,6 +185,8 @@ app.get('/api/health', (req, res) => {
     version: '1.0.0-mvp',
     ai_enabled: !!process.env.ANTHROPIC_API_KEY,
     database: !!process.env.SUPABASE_URL,
+    // Valid / repaired / rule-based fallback counts since the process started
+    ai_outputs: getAIOutcomeStats(),
   });
 });
 
@@ -92,16 +221,27 @@ app.get('/api/agents/health', async (req, res) => {
 // MATCHING — The core feature
 // ============================================================
 
-app.post('/api/match', async (req, res) => {
+app.post('/api/match', optionalBuyer, async (req, res) => {
   const { answers } = req.body;
   const startTime = Date.now();
+  let diversity;
+  try {
+    diversity = parseDiversityOptions(req.body?.diversity);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const answersError = invalidAnswers(answers);
+  if (answersError) return res.status(400).json({ error: answersError });
 
   try {
     // 1. Build buyer profile from quiz answers
     const profile = buildProfile(answers);
 
-    // 2. Pre-filter properties from database
-    const candidates = await getCandidates(profile);
+    // 2–5. Candidates → enrichment → pre-score → AI score (+ persona)
+    const { candidates, topMatches, persona, rulesVersion } = await runMatch(profile, {
+      diversity,
+      excludeIds: await hiddenPropertyIds(req.buyerId),
+    });
 
     if (candidates.length === 0) {
       return res.json({
@@ -111,84 +251,1059 @@ app.post('/api/match', async (req, res) => {
       });
     }
 
-    console.log(`[Match] ${candidates.length} candidates in ${profile.city}`);
+    // 6. Save search record
+    const searchId = await saveSearch(profile, candidates.length, topMatches, rulesVersion);
+    await recordMatchRun(req.buyerId, { kind: 'match', searchId, profile, topMatches });
 
-    // 3. Get enrichment data for candidates
-    const enrichmentMap = await getEnrichmentBatch(candidates.map(c => c.id));
-    const propertiesWithEnrichment = candidates.map(p => ({
-      property: p,
-      enrichment: enrichmentMap[p.id] || null,
-    }));
+    const elapsed = Date.now() - startTime;
+    console.log(`[Match] Done in ${elapsed}ms — ${topMatches.length} results`);
 
-    // 4. Quick rule-based pre-sort (instant, free) → take top 6 for AI scoring
-    const preScored = propertiesWithEnrichment.map(pe => ({
-      ...pe,
-      preScore: quickPreScore(profile, pe.property, pe.enrichment) + Math.random() * 2, // small jitter for tie-breaking diversity
-    }));
-    preScored.sort((a, b) => b.preScore - a.preScore);
-    const topCandidates = preScored.slice(0, 6);
+    res.json({
+      search_id: searchId,
+      persona,
+      matches: topMatches.map((m, i) => formatMatch(m, i, profile.language)),
+      meta: {
+        candidates: candidates.length,
+        elapsed_ms: elapsed,
+        ai_powered: !!process.env.ANTHROPIC_API_KEY,
+        scoring: scoringMeta(topMatches, rulesVersion, persona),
+      },
+    });
+  } catch (err) {
+    console.error('Match error:', err);
+    res.status(500).json({ error: 'Matching failed. Please try again.' });
+  }
+});
 
-    console.log(`[Match] Pre-sorted ${candidates.length} → top ${topCandidates.length} for AI scoring`);
+// Same pipeline as /api/match, streamed over Server-Sent Events so the page can show
+// the shortlist straight away and fill in scores as they arrive:
+//   candidates → shortlist → score (one per property) / persona → results (same body as /api/match)
+app.post('/api/match/stream', optionalBuyer, async (req, res) => {
+  const { answers } = req.body;
+  const startTime = Date.now();
+  let diversity;
+  try {
+    diversity = parseDiversityOptions(req.body?.diversity);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const answersError = invalidAnswers(answers);
+  if (answersError) return res.status(400).json({ error: answersError });
 
-    // 5. AI Score top candidates only (parallel) + persona in parallel
-    const [topMatches, persona] = await Promise.all([
-      scoreProperties(profile, topCandidates),
-      generatePersona(profile),
-    ]);
+  const stream = openEventStream(res);
+  try {
+    const profile = buildProfile(answers);
 
-    // 6. Save search record
-    const searchId = await saveSearch(profile, candidates.length, topMatches);
+    const { candidates, topMatches, persona, rulesVersion } = await runMatch(profile, {
+      diversity,
+      excludeIds: await hiddenPropertyIds(req.buyerId),
+      // One request per property, so each score can be sent the moment it lands
+      mode: 'per-property',
+      onProgress: (event, data) => {
+        if (event === 'candidates') stream.send('candidates', data);
+        else if (event === 'shortlist') {
+          stream.send('shortlist', {
+            properties: data.map(pe => ({ property: formatProperty(pe.property, pe.enrichment, profile.language), pre_score: pe.preScore })),
+          });
+        } else if (event === 'score') stream.send('score', { property_id: data.property.id, ...formatScore(data) });
+        else if (event === 'persona') stream.send('persona', data);
+      },
+    });
+
+    if (candidates.length === 0) {
+      stream.send('results', {
+        matches: [],
+        persona: null,
+        message: 'No properties found matching your criteria. Try widening your search.',
+      });
+      return stream.end();
+    }
+
+    const searchId = await saveSearch(profile, candidates.length, topMatches, rulesVersion);
+    await recordMatchRun(req.buyerId, { kind: 'match', searchId, profile, topMatches });
 
     const elapsed = Date.now() - startTime;
-    console.log(`[Match] Done in ${elapsed}ms — ${topMatches.length} results`);
+    console.log(`[Match Stream] Done in ${elapsed}ms — ${topMatches.length} results`);
+
+    stream.send('results', {
+      search_id: searchId,
+      persona,
+      matches: topMatches.map((m, i) => formatMatch(m, i, profile.language)),
+      meta: {
+        candidates: candidates.length,
+        elapsed_ms: elapsed,
+        ai_powered: !!process.env.ANTHROPIC_API_KEY,
+        scoring: scoringMeta(topMatches, rulesVersion, persona),
+      },
+    });
+    stream.end();
+  } catch (err) {
+    console.error('[Match Stream] Error:', err);
+    stream.send('error', { error: 'Matching failed. Please try again.' });
+    stream.end();
+  }
+});
+
+// ============================================================
+// MATCH SESSIONS — conversational refinement
+// ============================================================
+
+// Compact copy of results kept on the session, so the next message can say "cheaper than these"
+function sessionResults(topMatches) {
+  return topMatches.map(m => ({
+    id: m.property.id,
+    title: m.property.title,
+    price: m.property.price,
+    property_type: m.property.property_type,
+    city: m.property.city,
+    score: m.score?.score || 0,
+  }));
+}
+
+// A session started while signed in belongs to that buyer — anyone else gets null (404)
+async function loadMatchSession(id, buyerId, columns = '*') {
+  const { data: session } = await supabase
+    .from('match_sessions')
+    .select(columns)
+    .eq('id', id)
+    .single();
+  if (!session || (session.buyer_id && session.buyer_id !== buyerId)) return null;
+  return session;
+}
+
+// Start a conversation: same as /api/match, plus a session to refine from
+app.post('/api/match/sessions', optionalBuyer, async (req, res) => {
+  const { answers } = req.body;
+  const startTime = Date.now();
+  let diversity;
+  try {
+    diversity = parseDiversityOptions(req.body?.diversity);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const answersError = invalidAnswers(answers);
+  if (answersError) return res.status(400).json({ error: answersError });
+
+  try {
+    const profile = buildProfile(answers);
+    const { candidates, topMatches, persona, rulesVersion } = await runMatch(profile, {
+      diversity,
+      excludeIds: await hiddenPropertyIds(req.buyerId),
+    });
+    const searchId = await saveSearch(profile, candidates.length, topMatches, rulesVersion);
+
+    const { data: session, error } = await supabase
+      .from('match_sessions')
+      .insert({
+        profile,
+        history: [],
+        last_results: sessionResults(topMatches),
+        buyer_id: req.buyerId || null,
+      })
+      .select('id')
+      .single();
+
+    if (error) throw error;
+    await recordMatchRun(req.buyerId, { kind: 'session', searchId, sessionId: session.id, profile, topMatches });
 
     res.json({
+      session_id: session.id,
+      search_id: searchId,
       persona,
-      matches: topMatches.map((m, i) => ({
+      matches: topMatches.map((m, i) => formatMatch(m, i, profile.language)),
+      meta: {
+        candidates: candidates.length,
+        elapsed_ms: Date.now() - startTime,
+        ai_powered: !!process.env.ANTHROPIC_API_KEY,
+        scoring: scoringMeta(topMatches, rulesVersion, persona),
+      },
+    });
+  } catch (err) {
+    console.error('Match session error:', err.message);
+    res.status(500).json({ error: 'Matching failed. Please try again.' });
+  }
+});
+
+app.get('/api/match/sessions/:id', optionalBuyer, async (req, res) => {
+  const session = await loadMatchSession(req.params.id, req.buyerId, 'id, buyer_id, profile, history, last_results, created_at, updated_at');
+  if (!session) return res.status(404).json({ error: 'Session not found' });
+  const { buyer_id, ...rest } = session;
+  res.json({ session: rest });
+});
+
+// Refine: "cheaper, and closer to the beach" → profile deltas → re-run matching
+app.post('/api/match/sessions/:id/messages', optionalBuyer, async (req, res) => {
+  const { message } = req.body;
+  const startTime = Date.now();
+
+  if (!message || !message.trim()) {
+    return res.status(400).json({ error: 'Message is required' });
+  }
+  let diversity;
+  try {
+    diversity = parseDiversityOptions(req.body?.diversity);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const session = await loadMatchSession(req.params.id, req.buyerId);
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+
+    const previous = session.last_results || [];
+    const { deltas, explanation } = await interpretRefinement(session.profile, message, previous);
+    const profile = applyProfileDeltas(session.profile, deltas);
+    const changes = describeChanges(session.profile, profile, profile.language);
+
+    const turn = {
+      message,
+      deltas,
+      changes: changes.map(c => c.summary),
+      explanation,
+      at: new Date().toISOString(),
+    };
+
+    // Nothing to change — answer without paying for another scoring round
+    if (changes.length === 0) {
+      await supabase
+        .from('match_sessions')
+        .update({ history: [...(session.history || []), turn], updated_at: turn.at })
+        .eq('id', session.id);
+      return res.json({ session_id: session.id, changes: [], explanation, matches: null });
+    }
+
+    const { candidates, topMatches, rulesVersion } = await runMatch(profile, {
+      persona: false,
+      diversity,
+      excludeIds: await hiddenPropertyIds(req.buyerId),
+    });
+    const searchId = await saveSearch(profile, candidates.length, topMatches, rulesVersion);
+    await recordMatchRun(req.buyerId, { kind: 'refinement', searchId, sessionId: session.id, profile, topMatches });
+
+    const results = sessionResults(topMatches);
+    const previousIds = new Set(previous.map(r => r.id));
+    const currentIds = new Set(results.map(r => r.id));
+    turn.result_ids = results.map(r => r.id);
+
+    await supabase
+      .from('match_sessions')
+      .update({
+        profile,
+        history: [...(session.history || []), turn],
+        last_results: results,
+        updated_at: turn.at,
+      })
+      .eq('id', session.id);
+
+    res.json({
+      session_id: session.id,
+      search_id: searchId,
+      changes,
+      explanation,
+      matches: topMatches.map((m, i) => formatMatch(m, i, profile.language)),
+      results_diff: {
+        added: results.filter(r => !previousIds.has(r.id)).map(r => r.id),
+        removed: previous.filter(r => !currentIds.has(r.id)).map(r => r.id),
+      },
+      meta: {
+        candidates: candidates.length,
+        elapsed_ms: Date.now() - startTime,
+        ai_powered: !!process.env.ANTHROPIC_API_KEY,
+        scoring: scoringMeta(topMatches, rulesVersion),
+      },
+    });
+  } catch (err) {
+    console.error('Match refinement error:', err.message);
+    res.status(500).json({ error: 'Refinement failed. Please try again.' });
+  }
+});
+
+// ============================================================
+// MATCH FEEDBACK — thumbs up/down per result, fed back into rule weights
+// ============================================================
+
+const MAX_FEEDBACK_COMMENT = 500;
+
+// search id comes from the match response (search_id); one reaction per result, latest wins
+app.post('/api/searches/:id/feedback', optionalBuyer, async (req, res) => {
+  const { property_id, reaction, reason, comment } = req.body || {};
+  if (!property_id) return res.status(400).json({ error: 'property_id is required' });
+  if (!REACTIONS.includes(reaction)) {
+    return res.status(400).json({ error: `reaction must be one of: ${REACTIONS.join(', ')}` });
+  }
+  if (reason != null && (reaction !== 'down' || !(reason in FEEDBACK_REASONS))) {
+    return res.status(400).json({ error: `reason is only for thumbs down, one of: ${Object.keys(FEEDBACK_REASONS).join(', ')}` });
+  }
+  if (comment != null && (typeof comment !== 'string' || comment.length > MAX_FEEDBACK_COMMENT)) {
+    return res.status(400).json({ error: `comment must be a string of ${MAX_FEEDBACK_COMMENT} characters or less` });
+  }
+
+  try {
+    const { data: search } = await supabase
+      .from('searches')
+      .select('id, results, buyer_type, rules_version')
+      .eq('id', req.params.id)
+      .single();
+    if (!search) return res.status(404).json({ error: 'Search not found' });
+
+    const result = (search.results || []).find(r => r.property_id === property_id);
+    if (!result) return res.status(400).json({ error: 'That property was not among this search\'s results' });
+
+    const { data, error } = await supabase
+      .from('match_feedback')
+      .upsert({
+        search_id: search.id,
+        property_id,
+        reaction,
+        reason: reason || null,
+        comment: comment?.trim() || null,
+        buyer_id: req.buyerId,
+        buyer_type: search.buyer_type,
+        rules_version: search.rules_version,
+        score: result.score,
+        source: result.source,
+        breakdown: result.breakdown,
+        created_at: new Date().toISOString(),
+      }, { onConflict: 'search_id,property_id' })
+      .select('search_id, property_id, reaction, reason, comment, created_at')
+      .single();
+    if (error) throw error;
+
+    res.json({ feedback: data });
+  } catch (err) {
+    console.error('[Feedback] Save error:', err.message);
+    res.status(500).json({ error: 'Could not save feedback' });
+  }
+});
+
+// ============================================================
+// BUYER ACCOUNTS — favourites, notes, hidden listings, match history
+// ============================================================
+
+const BUYER_SESSION_DAYS = 30;
+const MAGIC_LINK_MINUTES = 15;
+const MAX_NOTE_LENGTH = 2000;
+const MAX_HISTORY = 50;
+
+// Buyer id for a session token, or null (sign-in link tokens are not sessions)
+async function buyerIdForToken(token) {
+  if (!token || token.startsWith('magic_')) return null;
+  const { data: session } = await supabase
+    .from('buyer_sessions')
+    .select('buyer_id, expires_at')
+    .eq('token', token)
+    .single();
+  return session && new Date(session.expires_at) >= new Date() ? session.buyer_id : null;
+}
+
+// Auth middleware — validates buyer session token (same model as authAgent)
+async function authBuyer(req, res, next) {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  if (!token) return res.status(401).json({ error: 'No token provided' });
+
+  req.buyerId = await buyerIdForToken(token);
+  if (!req.buyerId) return res.status(401).json({ error: 'Invalid or expired session' });
+  next();
+}
+
+// Matching stays anonymous — a valid buyer token just links the run to the account
+async function optionalBuyer(req, res, next) {
+  req.buyerId = await buyerIdForToken(req.headers.authorization?.replace('Bearer ', ''));
+  next();
+}
+
+async function createBuyerSession(buyerId) {
+  const token = generateToken();
+  await supabase.from('buyer_sessions').insert({
+    buyer_id: buyerId,
+    token,
+    expires_at: new Date(Date.now() + BUYER_SESSION_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+  });
+  await supabase.from('buyers').update({ last_login_at: new Date().toISOString() }).eq('id', buyerId);
+  return token;
+}
+
+function formatBuyer(b) {
+  return { id: b.id, email: b.email, name: b.name, language: b.language || 'en', has_password: !!b.password_hash };
+}
+
+// Listings a buyer has hidden — left out of their candidates
+async function hiddenPropertyIds(buyerId) {
+  if (!buyerId) return [];
+  const { data } = await supabase
+    .from('buyer_properties')
+    .select('property_id')
+    .eq('buyer_id', buyerId)
+    .eq('hidden', true);
+  return (data || []).map(r => r.property_id);
+}
+
+// Keep a compact copy of each run on the buyer's account
+async function recordMatchRun(buyerId, { kind, searchId = null, sessionId = null, profile, topMatches }) {
+  if (!buyerId) return;
+  try {
+    await supabase.from('buyer_match_runs').insert({
+      buyer_id: buyerId,
+      kind,
+      search_id: searchId,
+      session_id: sessionId,
+      profile,
+      results: topMatches.map((m, i) => ({
         rank: i + 1,
-        property: formatProperty(m.property, m.enrichment),
-        enrichment: m.enrichment,
+        property_id: m.property.id,
+        title: m.property.title,
+        price: m.property.price,
+        city: m.property.city,
         score: m.score?.score || 0,
-        highlights: m.score?.highlights || [],
-        concerns: m.score?.concerns || [],
-        reasoning: m.score?.reasoning || '',
+        source: m.score?.source || null,
+      })),
+    });
+  } catch (err) {
+    console.error('[Buyers] Match run not recorded:', err.message);
+  }
+}
+
+// Upsert the buyer's row for a listing (favourite / hidden / note), after checking it exists
+async function markProperty(buyerId, propertyId, fields) {
+  const { data: property } = await supabase.from('properties').select('id').eq('id', propertyId).single();
+  if (!property) return null;
+  const { data, error } = await supabase
+    .from('buyer_properties')
+    .upsert({ buyer_id: buyerId, property_id: propertyId, ...fields, updated_at: new Date().toISOString() }, { onConflict: 'buyer_id,property_id' })
+    .select('property_id, favourite, hidden, hidden_reason, note, updated_at')
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+// Register with a password
+app.post('/api/buyers/register', async (req, res) => {
+  try {
+    const { email, password, name, language } = req.body;
+    if (!email || !password) return res.status(400).json({ error: 'Email and password are required' });
+    if (password.length < 8) return res.status(400).json({ error: 'Password must be at least 8 characters' });
+
+    const { data: existing } = await supabase
+      .from('buyers')
+      .select('id')
+      .eq('email', email.toLowerCase().trim())
+      .single();
+    if (existing) return res.status(409).json({ error: 'An account with this email already exists' });
+
+    const { data: buyer, error } = await supabase
+      .from('buyers')
+      .insert({
+        email: email.toLowerCase().trim(),
+        name: name || null,
+        language: language === 'pt' ? 'pt' : 'en',
+        password_hash: hashPassword(password),
+      })
+      .select()
+      .single();
+    if (error) throw error;
+
+    res.json({ buyer: formatBuyer(buyer), token: await createBuyerSession(buyer.id) });
+  } catch (err) {
+    console.error('Buyer register error:', err.message);
+    res.status(500).json({ error: err.message || 'Registration failed' });
+  }
+});
+
+app.post('/api/buyers/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    const { data: buyer } = await supabase
+      .from('buyers')
+      .select('*')
+      .eq('email', String(email || '').toLowerCase().trim())
+      .single();
+
+    if (!buyer || !buyer.password_hash || !password || !verifyPassword(password, buyer.password_hash)) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+    res.json({ buyer: formatBuyer(buyer), token: await createBuyerSession(buyer.id) });
+  } catch (err) {
+    console.error('Buyer login error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Magic link — creates the account on first use, so buyers can sign in without a password
+app.post('/api/buyers/magic-link', async (req, res) => {
+  const successMsg = 'Check your email for a sign-in link.';
+  try {
+    const { email, language } = req.body;
+    if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+    const address = email.toLowerCase().trim();
+
+    let { data: buyer } = await supabase.from('buyers').select('id, name, language').eq('email', address).single();
+    if (!buyer) {
+      const { data: created, error } = await supabase
+        .from('buyers')
+        .insert({ email: address, language: language === 'pt' ? 'pt' : 'en' })
+        .select('id, name, language')
+        .single();
+      if (error) throw error;
+      buyer = created;
+    }
+
+    // Single-use sign-in token, stored like agent reset tokens
+    const magicToken = generateToken();
+    await supabase.from('buyer_sessions').insert({
+      buyer_id: buyer.id,
+      token: 'magic_' + magicToken,
+      expires_at: new Date(Date.now() + MAGIC_LINK_MINUTES * 60 * 1000).toISOString(),
+    });
+
+    const link = `https://homeaimatch.com/account.html#magic_token=${magicToken}`;
+    const pt = buyer.language === 'pt';
+    const sent = await sendEmail({
+      to: address,
+      subject: pt ? 'O seu link de acesso ao homeAImatch' : 'Your homeAImatch sign-in link',
+      html: `
+        <div style="font-family:Arial,sans-serif;max-width:500px;margin:0 auto;padding:20px">
+          <h2 style="color:#1a2b3c">${pt ? 'Entrar no homeAImatch' : 'Sign in to homeAImatch'}</h2>
+          <a href="${link}" style="display:inline-block;background:#1e96d1;color:white;padding:12px 28px;border-radius:8px;text-decoration:none;font-weight:bold;margin:16px 0">${pt ? 'Entrar' : 'Sign in'}</a>
+          <p style="color:#6b7b8d;font-size:13px">${pt ? `Este link expira em ${MAGIC_LINK_MINUTES} minutos.` : `This link expires in ${MAGIC_LINK_MINUTES} minutes.`}</p>
+        </div>
+      `,
+    });
+    // Without email configured (local runs), the link is only in the log
+    if (!sent) console.log(`[Buyers] Magic link for ${address}: ${link}`);
+
+    res.json({ message: successMsg });
+  } catch (err) {
+    console.error('Magic link error:', err.message);
+    res.status(500).json({ error: 'Could not send sign-in link' });
+  }
+});
+
+app.post('/api/buyers/magic-link/verify', async (req, res) => {
+  const { token } = req.body;
+  if (!token) return res.status(400).json({ error: 'Token is required' });
+
+  const { data: magic } = await supabase
+    .from('buyer_sessions')
+    .select('buyer_id, expires_at')
+    .eq('token', 'magic_' + token)
+    .single();
+  if (!magic || new Date(magic.expires_at) < new Date()) {
+    return res.status(401).json({ error: 'This sign-in link is invalid or has expired' });
+  }
+  await supabase.from('buyer_sessions').delete().eq('token', 'magic_' + token);
+
+  const { data: buyer } = await supabase.from('buyers').select('*').eq('id', magic.buyer_id).single();
+  if (!buyer) return res.status(401).json({ error: 'This sign-in link is invalid or has expired' });
+  res.json({ buyer: formatBuyer(buyer), token: await createBuyerSession(buyer.id) });
+});
+
+app.post('/api/buyers/logout', authBuyer, async (req, res) => {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  await supabase.from('buyer_sessions').delete().eq('token', token);
+  res.json({ success: true });
+});
+
+app.get('/api/buyers/me', authBuyer, async (req, res) => {
+  const { data: buyer } = await supabase.from('buyers').select('*').eq('id', req.buyerId).single();
+  if (!buyer) return res.status(404).json({ error: 'Account not found' });
+  res.json({ buyer: formatBuyer(buyer) });
+});
+
+app.put('/api/buyers/me', authBuyer, async (req, res) => {
+  const { name, language, password } = req.body;
+  if (password != null && String(password).length < 8) {
+    return res.status(400).json({ error: 'Password must be at least 8 characters' });
+  }
+  const updates = {};
+  if (name !== undefined) updates.name = name || null;
+  if (language !== undefined) updates.language = language === 'pt' ? 'pt' : 'en';
+  if (password) updates.password_hash = hashPassword(password);
+
+  const { data: buyer, error } = await supabase.from('buyers').update(updates).eq('id', req.buyerId).select().single();
+  if (error) return res.status(400).json({ error: error.message });
+  res.json({ buyer: formatBuyer(buyer) });
+});
+
+// Saved listings: ?filter=favourites (default), hidden or notes
+app.get('/api/buyers/properties', authBuyer, async (req, res) => {
+  const filter = req.query.filter || 'favourites';
+  const column = { favourites: 'favourite', hidden: 'hidden' }[filter];
+  if (!column && filter !== 'notes') {
+    return res.status(400).json({ error: 'filter must be favourites, hidden or notes' });
+  }
+
+  try {
+    let query = supabase
+      .from('buyer_properties')
+      .select('property_id, favourite, hidden, hidden_reason, note, updated_at')
+      .eq('buyer_id', req.buyerId)
+      .order('updated_at', { ascending: false });
+    query = column ? query.eq(column, true) : query.not('note', 'is', null);
+    const { data: marks, error } = await query;
+    if (error) throw error;
+
+    const ids = marks.map(m => m.property_id);
+    const { data: properties } = ids.length
+      ? await supabase.from('properties').select('*, agents(name, initials, phone, agency:agencies(name))').in('id', ids)
+      : { data: [] };
+    const byId = new Map((properties || []).map(p => [p.id, p]));
+    const enrichmentMap = await getEnrichmentBatch(ids);
+    const language = req.query.lang || 'en';
+
+    res.json({
+      filter,
+      properties: marks.filter(m => byId.has(m.property_id)).map(m => ({
+        property: formatProperty(byId.get(m.property_id), enrichmentMap[m.property_id], language),
+        favourite: !!m.favourite,
+        hidden: !!m.hidden,
+        hidden_reason: m.hidden_reason || null,
+        note: m.note || null,
+        updated_at: m.updated_at,
       })),
+    });
+  } catch (err) {
+    console.error('[Buyers] List error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Favourite / un-favourite, hide (reject) / un-hide, and private notes
+app.put('/api/buyers/properties/:propertyId', authBuyer, async (req, res) => {
+  const { favourite, hidden, hidden_reason, note } = req.body || {};
+  const fields = {};
+  if (favourite !== undefined) fields.favourite = !!favourite;
+  if (hidden !== undefined) {
+    fields.hidden = !!hidden;
+    fields.hidden_reason = hidden ? String(hidden_reason || '').trim().slice(0, 200) || null : null;
+  }
+  if (note !== undefined) {
+    if (note != null && typeof note !== 'string') return res.status(400).json({ error: 'note must be a string or null' });
+    if (note && note.length > MAX_NOTE_LENGTH) return res.status(400).json({ error: `note must be ${MAX_NOTE_LENGTH} characters or less` });
+    fields.note = note?.trim() || null;
+  }
+  if (Object.keys(fields).length === 0) {
+    return res.status(400).json({ error: 'Nothing to update — send favourite, hidden or note' });
+  }
+
+  try {
+    const mark = await markProperty(req.buyerId, req.params.propertyId, fields);
+    if (!mark) return res.status(404).json({ error: 'Property not found' });
+    res.json({ property: mark });
+  } catch (err) {
+    console.error('[Buyers] Update error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Past match runs with their scores, newest first
+app.get('/api/buyers/history', authBuyer, async (req, res) => {
+  const limit = Math.min(MAX_HISTORY, Math.max(1, parseInt(req.query.limit) || 20));
+  const { data, error } = await supabase
+    .from('buyer_match_runs')
+    .select('id, kind, search_id, session_id, profile, results, created_at')
+    .eq('buyer_id', req.buyerId)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+  if (error) return res.status(500).json({ error: error.message });
+  res.json({ runs: data, count: data.length });
+});
+
+// ============================================================
+// SAVED SEARCHES — re-run + new-match alerts
+// ============================================================
+
+// Load a saved search and check its access token (sent back on creation + in alert emails)
+async function loadSavedSearch(id, token) {
+  if (!token) return null;
+  const { data } = await supabase
+    .from('saved_searches')
+    .select('*')
+    .eq('id', id)
+    .eq('access_token', token)
+    .single();
+  return data || null;
+}
+
+// Public fields only — never echo the access token back on reads
+function formatSavedSearch(s) {
+  return {
+    id: s.id,
+    name: s.name,
+    buyer_email: s.buyer_email,
+    answers: s.answers,
+    profile: s.profile,
+    alert_threshold: s.alert_threshold,
+    alerts_enabled: s.alerts_enabled,
+    rules_version: s.rules_version ?? null,
+    last_run_at: s.last_run_at,
+    last_checked_at: s.last_checked_at,
+    last_alert_at: s.last_alert_at,
+    created_at: s.created_at,
+  };
+}
+
+app.post('/api/saved-searches', async (req, res) => {
+  try {
+    const { email, name, answers, alert_threshold, alerts_enabled } = req.body;
+
+    if (!email || !answers) {
+      return res.status(400).json({ error: 'Email and quiz answers are required' });
+    }
+    if (alert_threshold != null && (isNaN(alert_threshold) || alert_threshold < 0 || alert_threshold > 100)) {
+      return res.status(400).json({ error: 'alert_threshold must be between 0 and 100' });
+    }
+    const answersError = invalidAnswers(answers);
+    if (answersError) return res.status(400).json({ error: answersError });
+
+    const profile = buildProfile(answers);
+    const token = generateToken();
+    const ruleSet = await ruleStore.getActive();
+
+    const { data, error } = await supabase
+      .from('saved_searches')
+      .insert({
+        buyer_email: email.toLowerCase().trim(),
+        name: name || `${profile.buyer_type || 'My search'} — €${Math.round((profile.budget_max || 0) / 1000)}K`,
+        answers,
+        profile,
+        alert_threshold: alert_threshold != null ? Number(alert_threshold) : DEFAULT_ALERT_THRESHOLD,
+        alerts_enabled: alerts_enabled !== false, // default true
+        access_token: token,
+        notified_property_ids: [],
+        last_checked_at: new Date().toISOString(),
+        rules_version: ruleSet.version,
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    console.log(`[Saved Search] Created "${data.name}" for ${data.buyer_email}`);
+    res.json({ saved_search: formatSavedSearch(data), token });
+  } catch (err) {
+    console.error('Create saved search error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/saved-searches/:id', async (req, res) => {
+  const search = await loadSavedSearch(req.params.id, req.query.token);
+  if (!search) return res.status(404).json({ error: 'Saved search not found' });
+  res.json({ saved_search: formatSavedSearch(search) });
+});
+
+// Re-run a saved search with its stored profile
+app.post('/api/saved-searches/:id/run', async (req, res) => {
+  const startTime = Date.now();
+  let diversity;
+  try {
+    diversity = parseDiversityOptions(req.body?.diversity);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  try {
+    const search = await loadSavedSearch(req.params.id, req.body?.token || req.query.token);
+    if (!search) return res.status(404).json({ error: 'Saved search not found' });
+
+    const { candidates, topMatches, rulesVersion } = await runMatch(search.profile, { persona: false, diversity });
+    const searchId = await saveSearch(search.profile, candidates.length, topMatches, rulesVersion);
+
+    await supabase
+      .from('saved_searches')
+      .update({ last_run_at: new Date().toISOString(), rules_version: rulesVersion })
+      .eq('id', search.id);
+
+    res.json({
+      saved_search_id: search.id,
+      search_id: searchId,
+      matches: topMatches.map((m, i) => formatMatch(m, i, search.profile.language)),
       meta: {
         candidates: candidates.length,
-        elapsed_ms: elapsed,
+        elapsed_ms: Date.now() - startTime,
         ai_powered: !!process.env.ANTHROPIC_API_KEY,
+        scoring: scoringMeta(topMatches, rulesVersion),
       },
     });
   } catch (err) {
-    console.error('Match error:', err);
+    console.error('Saved search run error:', err.message);
     res.status(500).json({ error: 'Matching failed. Please try again.' });
   }
 });
 
+app.put('/api/saved-searches/:id', async (req, res) => {
+  try {
+    const { token, name, alert_threshold, alerts_enabled } = req.body;
+    const search = await loadSavedSearch(req.params.id, token);
+    if (!search) return res.status(404).json({ error: 'Saved search not found' });
+
+    const updates = {};
+    if (name !== undefined) updates.name = name;
+    if (alerts_enabled !== undefined) updates.alerts_enabled = !!alerts_enabled;
+    if (alert_threshold !== undefined) {
+      if (isNaN(alert_threshold) || alert_threshold < 0 || alert_threshold > 100) {
+        return res.status(400).json({ error: 'alert_threshold must be between 0 and 100' });
+      }
+      updates.alert_threshold = Number(alert_threshold);
+    }
+
+    const { data, error } = await supabase
+      .from('saved_searches')
+      .update(updates)
+      .eq('id', search.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    res.json({ saved_search: formatSavedSearch(data) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/saved-searches/:id', async (req, res) => {
+  try {
+    const search = await loadSavedSearch(req.params.id, req.query.token || req.body?.token);
+    if (!search) return res.status(404).json({ error: 'Saved search not found' });
+
+    const { error } = await supabase.from('saved_searches').delete().eq('id', search.id);
+    if (error) throw error;
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Admin: run the alert check now (also runs automatically after each Casafari sync)
+app.post('/api/admin/saved-search-alerts', async (req, res) => {
+  const summary = await runSavedSearchAlertsJob();
+  if (!summary) return res.status(500).json({ error: 'Saved search alert run failed' });
+  res.json(summary);
+});
+
+// ============================================================
+// SCORING RULES — versioned weights for the rule-based scorers
+// ============================================================
+
+app.get('/api/admin/scoring-rules', async (req, res) => {
+  try {
+    const [versions, active] = await Promise.all([ruleStore.list(), ruleStore.getActive()]);
+    res.json({
+      active_version: active.version,
+      versions,
+      defaults: ruleStore.defaults,
+      buyer_types: BUYER_TYPES,
+    });
+  } catch (err) {
+    console.error('Scoring rules list error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// One version; ?buyer_type= also returns the weights that buyer type would get
+app.get('/api/admin/scoring-rules/:version', async (req, res) => {
+  try {
+    const ruleSet = await ruleStore.get(Number(req.params.version));
+    if (!ruleSet) return res.status(404).json({ error: 'Rule set not found' });
+    res.json({
+      rule_set: ruleSet,
+      ...(req.query.buyer_type ? { resolved: resolveWeights(ruleSet, req.query.buyer_type) } : {}),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Create a new version — weights/presets are partial, merged over the active set (or base_version)
+app.post('/api/admin/scoring-rules', async (req, res) => {
+  const { weights, presets, notes, created_by, base_version, activate } = req.body;
+  try {
+    validateRuleSetInput({ weights, presets });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  try {
+    const ruleSet = await ruleStore.create({ weights, presets, notes, created_by, base_version, activate: !!activate });
+    console.log(`[Scoring Rules] Created version ${ruleSet.version}${activate ? ' (active)' : ''}`);
+    res.json({ rule_set: ruleSet });
+  } catch (err) {
+    console.error('Create scoring rules error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Make a version live — also used to roll back (version 0 = built-in defaults)
+app.post('/api/admin/scoring-rules/:version/activate', async (req, res) => {
+  try {
+    const ruleSet = await ruleStore.activate(Number(req.params.version));
+    res.json({ rule_set: ruleSet });
+  } catch (err) {
+    const notFound = err.message.includes('not found');
+    if (!notFound) console.error('Activate scoring rules error:', err.message);
+    res.status(notFound ? 404 : 500).json({ error: err.message });
+  }
+});
+
+// Turn match feedback into adjusted buyer-type presets (a new, inactive version unless activate)
+app.post('/api/admin/feedback/adjust-weights', async (req, res) => {
+  const { dry_run, activate, since_days, min_votes } = req.body || {};
+  if (since_days != null && !(Number.isInteger(since_days) && since_days > 0)) {
+    return res.status(400).json({ error: 'since_days must be a positive integer' });
+  }
+  if (min_votes != null && !(Number.isInteger(min_votes) && min_votes > 0)) {
+    return res.status(400).json({ error: 'min_votes must be a positive integer' });
+  }
+  try {
+    const result = await runFeedbackWeightJob(supabase, ruleStore, {
+      dryRun: !!dry_run,
+      activate: !!activate,
+      ...(since_days ? { sinceDays: since_days } : {}),
+      ...(min_votes ? { minVotes: min_votes } : {}),
+    });
+    res.json(result);
+  } catch (err) {
+    console.error('[Feedback] Weight job error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // ============================================================
 // PROPERTIES
 // ============================================================
 
+// Sortable columns for the property list (walkability is copied onto properties by enrichAndSave)
+const PROPERTY_SORTS = {
+  created_at: 'created_at',
+  newest: 'created_at',
+  price: 'price',
+  price_per_sqm: 'price_per_sqm',
+  days_on_market: 'days_on_market',
+  walkability: 'walkability',
+};
+const DEFAULT_PAGE_SIZE = 24;
+const MAX_PAGE_SIZE = 100;
+// Radius/polygon searches are checked exactly in JS after a bbox pre-filter, so scan up to this many rows
+// (in pages of GEO_SCAN_PAGE, PostgREST's row limit per request)
+const GEO_SCAN_LIMIT = 2000;
+const GEO_SCAN_PAGE = 1000;
+
+// "a, b,c" or ['a','b'] → ['a','b','c']
+function parseList(value) {
+  if (!value) return [];
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map(v => v.trim()).filter(Boolean);
+}
+
 app.get('/api/properties', async (req, res) => {
-  const { city, country, min_price, max_price, beds, status } = req.query;
+  const {
+    city, country, min_price, max_price, beds, status,
+    property_type, condition, features, min_sqm, max_sqm, concelhos, has_coordinates,
+    sort, order, page, page_size,
+    bbox, lat, lng, radius_km, polygon,
+  } = req.query;
+
+  let geo;
+  try {
+    geo = parseGeoFilter({ bbox, lat, lng, radius_km, polygon });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  const sortColumn = PROPERTY_SORTS[sort || 'created_at'];
+  if (!sortColumn) {
+    return res.status(400).json({ error: `Invalid sort. Must be one of: ${Object.keys(PROPERTY_SORTS).join(', ')}` });
+  }
+  // Newest-first by default; everything else ascending unless asked otherwise
+  const ascending = order ? order === 'asc' : sortColumn !== 'created_at';
+
+  const pageNum = Math.max(1, parseInt(page) || 1);
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(page_size) || DEFAULT_PAGE_SIZE));
+  const from = (pageNum - 1) * pageSize;
 
   let query = supabase
     .from('properties')
-    .select('*, agents(name, initials, phone, agency:agencies(name))')
+    .select('*, agents(name, initials, phone, agency:agencies(name))', { count: 'exact' })
     .eq('listing_status', status || 'active')
-    .order('created_at', { ascending: false })
-    .limit(100);
+    .order(sortColumn, { ascending, nullsFirst: false })
+    .order('id', { ascending: true }); // stable tie-break so pages don't overlap
 
   if (city) query = query.eq('city', city);
   if (country) query = query.eq('country', country);
   if (min_price) query = query.gte('price', parseInt(min_price));
   if (max_price) query = query.lte('price', parseInt(max_price));
   if (beds) query = query.gte('beds', parseInt(beds));
+  if (min_sqm) query = query.gte('sqm', parseInt(min_sqm));
+  if (max_sqm) query = query.lte('sqm', parseInt(max_sqm));
+
+  const types = parseList(property_type);
+  if (types.length) query = query.in('property_type', types);
 
-  const { data, error } = await query;
+  const conditions = parseList(condition);
+  if (conditions.length) query = query.in('condition', conditions);
+
+  // Listing must have ALL requested features
+  const wantedFeatures = parseList(features).map(f => f.toLowerCase());
+  if (wantedFeatures.length) query = query.contains('features', wantedFeatures);
+
+  // Concelho names, emoji prefix stripped like the quiz sends them
+  const concelhoNames = parseList(concelhos).map(c => c.replace(/^[^\w]*/, '').trim());
+  if (concelhoNames.length) query = query.in('city', concelhoNames);
+
+  if (has_coordinates === 'true') {
+    query = query.not('latitude', 'is', null).not('longitude', 'is', null);
+  } else if (has_coordinates === 'false') {
+    query = query.or('latitude.is.null,longitude.is.null');
+  }
+
+  // Bbox filters are exact in SQL; radius/polygon need a JS pass, so paginate those in memory
+  const exactGeo = geo && geo.type !== 'bbox';
+  if (geo) query = applyGeoBounds(query, geo);
+  query = exactGeo ? query.range(0, GEO_SCAN_PAGE - 1) : query.range(from, from + pageSize - 1);
+
+  const { data: rows, error, count } = await query;
   if (error) return res.status(500).json({ error: error.message });
 
-  res.json({ properties: data, count: data.length });
+  let data = rows;
+  let total = count || 0;
+  let truncated = false;
+  if (exactGeo) {
+    // PostgREST returns at most 1000 rows per request — page the bbox scan up to the limit,
+    // and say so when the bbox held more than we looked at
+    const scanned = [...rows];
+    const toScan = Math.min(count || 0, GEO_SCAN_LIMIT);
+    while (scanned.length < toScan) {
+      const { data: more, error: pageError } = await query.range(scanned.length, Math.min(scanned.length + GEO_SCAN_PAGE, toScan) - 1);
+      if (pageError) return res.status(500).json({ error: pageError.message });
+      if (!more?.length) break;
+      scanned.push(...more);
+    }
+    truncated = (count || 0) > scanned.length;
+
+    const inside = scanned.filter(p => pointInGeoFilter(geo, p.latitude, p.longitude));
+    if (geo.type === 'radius') {
+      inside.forEach(p => {
+        p.distance_km = Math.round(haversine(geo.center.lat, geo.center.lng, p.latitude, p.longitude) * 100) / 100;
+      });
+    }
+    total = inside.length;
+    data = inside.slice(from, from + pageSize);
+  }
+
+  res.json({
+    properties: data,
+    count: data.length,
+    total,
+    page: pageNum,
+    page_size: pageSize,
+    total_pages: Math.ceil(total / pageSize),
+    has_more: from + data.length < total,
+    // Radius/polygon only: more listings in the area's bounding box than GEO_SCAN_LIMIT —
+    // total is a lower bound, narrow the search for an exact one
+    truncated,
+    sort: sort || 'created_at',
+    order: ascending ? 'asc' : 'desc',
+  });
 });
 
 app.get('/api/properties/:id', async (req, res) => {
@@ -202,6 +1317,154 @@ app.get('/api/properties/:id', async (req, res) => {
   res.json(property);
 });
 
+// Free-text search over titles + descriptions, Portuguese or English ("quinta with olive trees")
+app.get('/api/search', async (req, res) => {
+  const q = String(req.query.q || '').trim();
+  if (!q) return res.status(400).json({ error: 'q is required' });
+  if (q.length > 300) return res.status(400).json({ error: 'q must be 300 characters or less' });
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit) || DEFAULT_PAGE_SIZE));
+
+  try {
+    // Over-fetch: some hits may no longer be active
+    const hits = await embeddingIndex.search(q, { limit: limit * 2 });
+    if (hits.length === 0) return res.json({ query: q, results: [], count: 0, model: embeddingIndex.provider.model });
+
+    const { data: rows, error } = await supabase
+      .from('properties')
+      .select('*, agents(name, initials, phone, agency:agencies(name))')
+      .in('id', hits.map(h => h.property_id))
+      .eq('listing_status', 'active');
+    if (error) return res.status(500).json({ error: error.message });
+
+    const byId = new Map(rows.map(p => [p.id, p]));
+    const found = hits.filter(h => byId.has(h.property_id)).slice(0, limit);
+    const enrichmentMap = await getEnrichmentBatch(found.map(h => h.property_id));
+
+    res.json({
+      query: q,
+      results: found.map(h => ({
+        property: formatProperty(byId.get(h.property_id), enrichmentMap[h.property_id], req.query.lang),
+        similarity: h.similarity,
+      })),
+      count: found.length,
+      model: embeddingIndex.provider.model,
+    });
+  } catch (err) {
+    console.error('[Search] Error:', err.message);
+    res.status(500).json({ error: 'Search failed' });
+  }
+});
+
+// Candidates for "more like this" are pre-filtered in SQL to this price window and ±1
+// bedroom, then the SIMILAR_SCAN_LIMIT closest in price are compared
+const SIMILAR_PRICE_WINDOW = 0.4;
+const SIMILAR_BEDS_RANGE = 1;
+const SIMILAR_SCAN_LIMIT = 500;
+const MAX_SIMILAR = 20;
+
+app.get('/api/properties/:id/similar', async (req, res) => {
+  const limit = Math.min(MAX_SIMILAR, Math.max(1, parseInt(req.query.limit) || 6));
+  const text = req.query.text === 'true';
+
+  try {
+    const { data: property, error } = await supabase
+      .from('properties')
+      .select('*')
+      .eq('id', req.params.id)
+      .single();
+    if (error || !property) return res.status(404).json({ error: 'Property not found' });
+
+    const pool = () => {
+      let query = supabase
+        .from('properties')
+        .select('*, agents(name, initials, phone, agency:agencies(name))')
+        .eq('listing_status', 'active')
+        .neq('id', property.id);
+      if (property.country) query = query.eq('country', property.country);
+      if (property.beds) {
+        query = query.gte('beds', property.beds - SIMILAR_BEDS_RANGE).lte('beds', property.beds + SIMILAR_BEDS_RANGE);
+      }
+      return query;
+    };
+    // Outward from the listing's price, half below and half above — in a busy price band
+    // the closest ones are the ones compared
+    const scans = property.price
+      ? [
+        pool().lte('price', property.price).gte('price', Math.round(property.price * (1 - SIMILAR_PRICE_WINDOW)))
+          .order('price', { ascending: false }).order('id').range(0, SIMILAR_SCAN_LIMIT / 2 - 1),
+        pool().gt('price', property.price).lte('price', Math.round(property.price * (1 + SIMILAR_PRICE_WINDOW)))
+          .order('price').order('id').range(0, SIMILAR_SCAN_LIMIT / 2 - 1),
+      ]
+      : [pool().order('id').range(0, SIMILAR_SCAN_LIMIT - 1)];
+    const pages = await Promise.all(scans);
+    const listError = pages.find(p => p.error)?.error;
+    if (listError) return res.status(500).json({ error: listError.message });
+    const candidates = pages.flatMap(p => p.data || []);
+
+    const enrichmentMap = await getEnrichmentBatch([property.id, ...candidates.map(c => c.id)]);
+    const similar = findSimilar(
+      { property, enrichment: enrichmentMap[property.id] || null },
+      candidates.map(p => ({ property: p, enrichment: enrichmentMap[p.id] || null })),
+      { limit, text },
+    );
+
+    res.json({
+      property_id: property.id,
+      similar: similar.map(s => ({
+        property: formatProperty(s.property, s.enrichment, req.query.lang),
+        similarity: s.similarity,
+        signals: s.signals,
+        reasons: s.reasons,
+      })),
+      count: similar.length,
+    });
+  } catch (err) {
+    console.error('[Similar] Error:', err.message);
+    res.status(500).json({ error: 'Failed to find similar properties' });
+  }
+});
+
+// Compare a shortlist: listing facts + neighbourhood metrics, optionally with a narrative
+// written for the buyer (answers = quiz answers, as for /api/match)
+app.post('/api/properties/compare', async (req, res) => {
+  const { ids, answers, narrative, lang } = req.body || {};
+  if (!Array.isArray(ids) || new Set(ids).size !== ids.length || ids.length < MIN_COMPARE || ids.length > MAX_COMPARE) {
+    return res.status(400).json({ error: `ids must be ${MIN_COMPARE}-${MAX_COMPARE} different property ids` });
+  }
+  const answersError = answers ? invalidAnswers(answers) : null;
+  if (answersError) return res.status(400).json({ error: answersError });
+
+  try {
+    const { data: rows, error } = await supabase
+      .from('properties')
+      .select('*, agents(name, initials, phone, agency:agencies(name))')
+      .in('id', ids);
+    if (error) return res.status(500).json({ error: error.message });
+
+    const missing = ids.filter(id => !rows.some(p => String(p.id) === String(id)));
+    if (missing.length) return res.status(404).json({ error: `Property not found: ${missing.join(', ')}` });
+
+    const profile = answers ? buildProfile(answers) : { language: lang === 'pt' ? 'pt' : 'en' };
+    const [enrichmentMap, extractionMap] = await Promise.all([getEnrichmentBatch(ids), getExtractionBatch(ids)]);
+    const items = ids.map(id => {
+      const property = rows.find(p => String(p.id) === String(id));
+      return {
+        property: localizeProperty(applyExtraction(property, extractionMap[property.id]), profile.language),
+        enrichment: enrichmentMap[property.id] || null,
+      };
+    });
+
+    const table = buildComparison(items);
+    res.json({
+      ...table,
+      narrative: narrative ? await compareWithAI(profile, items, table) : null,
+    });
+  } catch (err) {
+    console.error('[Compare] Error:', err.message);
+    res.status(500).json({ error: 'Comparison failed' });
+  }
+});
+
 // Add property (admin/manual entry)
 app.post('/api/properties', async (req, res) => {
   const property = req.body;
@@ -225,8 +1488,10 @@ app.post('/api/properties', async (req, res) => {
 
   if (error) return res.status(400).json({ error: error.message });
 
-  // Trigger enrichment in background
+  // Trigger enrichment, semantic indexing and translation in background
   enrichAndSave(data).catch(err => console.error('Enrichment failed:', err.message));
+  embeddingIndex.reindex({ ids: [data.id] }).catch(err => console.error('[Embeddings] Reindex failed:', err.message));
+  runTranslation(supabase, { translate: translateListing, ids: [data.id] }).catch(err => console.error('[Translation] Failed:', err.message));
 
   res.json({ property: data, message: 'Property added. Enrichment running in background.' });
 });
@@ -235,7 +1500,7 @@ app.post('/api/properties', async (req, res) => {
 // LEADS (Contact Agent)
 // ============================================================
 
-app.post('/api/leads', async (req, res) => {
+app.post('/api/leads', optionalBuyer, async (req, res) => {
   const { buyer_name, buyer_email, buyer_message, property_id, match_score, buyer_profile } = req.body;
 
   // Get property and its agent
@@ -256,6 +1521,7 @@ app.post('/api/leads', async (req, res) => {
       agency_id: property?.agents?.agency_id || null,
       match_score,
       buyer_profile: buyer_profile || null,
+      ...(req.buyerId ? { buyer_id: req.buyerId } : {}),
       status: 'new',
     })
     .select()
@@ -333,7 +1599,7 @@ app.get('/api/admin/stats', async (req, res) => {
     // Use separate count queries to avoid the 1000-row limit
     const [
       totalProperties, activeProperties, properties1, properties2,
-      agents, leads, subscribers, contacts
+      agents, leads, subscribers, contacts, feedback
     ] = await Promise.all([
       supabase.from('properties').select('id', { count: 'exact', head: true }),
       supabase.from('properties').select('id', { count: 'exact', head: true }).eq('listing_status', 'active'),
@@ -344,6 +1610,8 @@ app.get('/api/admin/stats', async (req, res) => {
       supabase.from('leads').select('id, status, created_at, property_id, match_score, buyer_profile', { count: 'exact' }),
       supabase.from('subscribers').select('id, email, source, created_at', { count: 'exact' }),
       supabase.from('contact_messages').select('id, name, email, type, message, is_read, created_at', { count: 'exact' }),
+      loadFeedback(supabase, { columns: 'reaction, reason, buyer_type' })
+        .catch(err => { console.error('[Stats] Feedback load error:', err.message); return []; }),
     ]);
 
     // Combine paginated property data
@@ -355,6 +1623,7 @@ app.get('/api/admin/stats', async (req, res) => {
       leads: { data: leads.data || [], count: leads.count || 0 },
       subscribers: { data: subscribers.data || [], count: subscribers.count || 0 },
       contacts: { data: contacts.data || [], count: contacts.count || 0 },
+      feedback: feedbackReport(feedback),
     });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -423,6 +1692,7 @@ app.post('/api/admin/bulk-import', async (req, res) => {
           tagline: p.tagline || '',
           latitude: p.latitude ? Number(p.latitude) : null,
           longitude: p.longitude ? Number(p.longitude) : null,
+          price_per_sqm: p.sqm ? Math.round(Number(p.price) / Number(p.sqm)) : null,
           commute_city_center: p.commute_city_center ? Number(p.commute_city_center) : null,
           source_url: p.source_url || '',
           image_urls: imageUrls,
@@ -516,6 +1786,26 @@ app.get('/api/admin/enrichment-stats', async (req, res) => {
   }
 });
 
+// Copy enrichment walkability onto properties rows enriched before it was denormalised
+app.post('/api/admin/backfill-walkability', async (req, res) => {
+  try {
+    const [e1, e2] = await Promise.all([
+      supabase.from('property_enrichment').select('property_id, walkability').eq('enrichment_source', 'openstreetmap').not('walkability', 'is', null).range(0, 999),
+      supabase.from('property_enrichment').select('property_id, walkability').eq('enrichment_source', 'openstreetmap').not('walkability', 'is', null).range(1000, 4999),
+    ]);
+    const rows = [...(e1.data || []), ...(e2.data || [])];
+
+    let updated = 0;
+    for (const row of rows) {
+      const { error } = await supabase.from('properties').update({ walkability: row.walkability }).eq('id', row.property_id);
+      if (!error) updated++;
+    }
+    res.json({ updated, total: rows.length });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Batch enrich: enrich all properties that don't have enrichment data yet
 app.post('/api/admin/enrich-all', async (req, res) => {
   const { force } = req.body || {};
@@ -545,37 +1835,20 @@ app.post('/api/admin/enrich-all', async (req, res) => {
       return res.json({ message: 'All properties already have OSM enrichment', enriched: 0, total: allProps.length, already_enriched: enrichedIds.size });
     }
 
-    // Return immediately — run enrichment in background
-    res.json({ 
-      message: `Enrichment started for ${unenriched.length} properties. Runs in background (~5 per minute, ~${Math.ceil(unenriched.length / 5)} min total).`,
+    // One job per listing — the worker runs them one at a time at a pace Overpass accepts
+    for (const prop of unenriched) {
+      await jobQueue.enqueue('enrich_property', { property_id: prop.id }, { dedupeKey: `enrich:${prop.id}` });
+    }
+
+    res.json({
+      message: `Enrichment queued for ${unenriched.length} properties. The worker runs ~5 per minute (~${Math.ceil(unenriched.length / 5)} min total) — see GET /api/admin/jobs.`,
       queued: unenriched.length,
       already_enriched: enrichedIds.size,
       total: allProps.length
     });
-
-    // Run in background with rate limiting
-    // Each property = 2 Overpass queries (amenities + airports) with 1.5s between
-    // Total per property ~4s + 8s pause = ~12s cycle = ~5 per minute
-    for (let i = 0; i < unenriched.length; i++) {
-      const prop = unenriched[i];
-      console.log(`[Enrich ${i + 1}/${unenriched.length}] ${prop.title || prop.id}`);
-      try {
-        await enrichAndSave(prop);
-        console.log(`  ✅ Done`);
-      } catch (err) {
-        console.error(`  ❌ Failed: ${err.message}`);
-      }
-      // Wait 8 seconds between properties (polite rate for Overpass)
-      if (i < unenriched.length - 1) {
-        await new Promise(r => setTimeout(r, 10000));
-      }
-    }
-    console.log(`✅ Batch enrichment complete: ${unenriched.length} properties processed`);
   } catch (err) {
     console.error('Batch enrich error:', err);
-    if (!res.headersSent) {
-      res.status(500).json({ error: err.message });
-    }
+    res.status(500).json({ error: err.message });
   }
 });
 
@@ -589,255 +1862,492 @@ app.post('/api/admin/casafari-sync', async (req, res) => {
     return res.status(500).json({ error: 'CASAFARI_API_TOKEN not set in environment variables' });
   }
 
-  const { locationIds, concelhos, maxCalls } = req.body || {};
-
-  let ids = locationIds || [];
-  if (concelhos && Array.isArray(concelhos)) {
-    ids = concelhos.map(name => SILVER_COAST_CONCELHOS[name.toLowerCase()]).filter(Boolean);
-  }
-  if (ids.length === 0) {
-    ids = [SILVER_COAST_CONCELHOS.lourinha, SILVER_COAST_CONCELHOS.peniche];
+  const { locationIds, concelhos, maxCalls, full, resume, dryRun, graceRuns } = req.body || {};
+  if (graceRuns != null && !(Number.isInteger(graceRuns) && graceRuns >= 1 && graceRuns <= 10)) {
+    return res.status(400).json({ error: 'graceRuns must be an integer between 1 and 10' });
   }
+  const ids = resolveLocationIds({ locationIds, concelhos });
 
   try {
+    // Full or changes-only and from which page (casafari-state.js); the worker then fetches
+    // one page per job and queues the next (then enrichment and alerts), reporting each
+    // page to the sync run
+    const { usage, plan, run, job } = await queueCasafariSync({ queue: jobQueue, syncRuns, casafariState }, {
+      locationIds: ids,
+      maxCalls: maxCalls || 10,
+      full: !!full,
+      resume: resume !== false,
+      dryRun: !!dryRun,
+      graceRuns: graceRuns || DEFAULT_DELIST_GRACE_RUNS,
+    });
+    if (!run) {
+      return res.status(429).json({ error: `Monthly Casafari call budget used (${usage.calls}/${usage.budget})`, usage });
+    }
+
     res.json({
-      message: `Casafari sync started for location IDs: ${ids.join(', ')}. Running in background — check Railway logs.`,
+      message: `Casafari sync queued for location IDs: ${ids.join(', ')}. Follow it at GET /api/admin/sync-runs/${run.id}.`,
       locationIds: ids,
+      sync_run_id: run.id,
+      job_id: job.id,
+      mode: plan.mode,
+      changed_since: plan.changed_since,
+      resumed_from: plan.resumed_from ? { sync_run_id: plan.resumed_from, offset: plan.offset } : null,
+      delisting: { dry_run: !!dryRun, grace_runs: graceRuns || DEFAULT_DELIST_GRACE_RUNS },
       estimated_calls: 'Depends on property count (~1 call per 100 properties)',
+      usage,
     });
+  } catch (err) {
+    console.error('[Casafari Sync] Error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    const { properties, totalCount, callCount } = await fetchAllCasafariProperties({
-      token,
-      locationIds: ids,
-      maxCalls: maxCalls || 10,
+// Calls used this month, and per concelho: last complete / full sync and any resume checkpoint
+app.get('/api/admin/casafari-sync/status', async (req, res) => {
+  try {
+    const [usage, locations] = await Promise.all([casafariState.usage(), casafariState.locations()]);
+    res.json({ usage, locations });
+  } catch (err) {
+    console.error('[Casafari Sync] Status error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/api/admin/casafari-concelhos', (req, res) => {
+  res.json(SILVER_COAST_CONCELHOS);
+});
+
+// Sync run history, newest first (?status=running|succeeded|partial|failed, ?limit=, ?offset=)
+app.get('/api/admin/sync-runs', async (req, res) => {
+  const { status } = req.query;
+  if (status && !SYNC_RUN_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${SYNC_RUN_STATUSES.join(', ')}` });
+  }
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+  const offset = Math.max(0, parseInt(req.query.offset) || 0);
+  try {
+    const runs = await syncRuns.list({ status: status || null, limit, offset });
+    res.json({ runs: runs.map(r => describeSyncRun(r)), limit, offset });
+  } catch (err) {
+    console.error('[Sync Runs] List error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// One run: counts, errors, page progress, enrichment progress and the job working on it
+app.get('/api/admin/sync-runs/:id', async (req, res) => {
+  try {
+    const run = await syncRuns.get(req.params.id);
+    if (!run) return res.status(404).json({ error: 'Sync run not found' });
+
+    const [enrichment, currentJob] = await Promise.all([
+      jobQueue.counts({ type: 'enrich_property', payload: { sync_id: run.id } }),
+      run.current_job_id ? jobQueue.get(run.current_job_id) : null,
+    ]);
+    res.json({
+      ...describeSyncRun(run, enrichment),
+      current_job: currentJob && {
+        id: currentJob.id,
+        status: currentJob.status,
+        attempts: currentJob.attempts,
+        max_attempts: currentJob.max_attempts,
+        run_at: currentJob.run_at,
+        last_error: currentJob.last_error || null,
+      },
     });
+  } catch (err) {
+    console.error('[Sync Runs] Load error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    console.log(`[Casafari Sync] Fetched ${properties.length} properties in ${callCount} API calls`);
+// ============================================================
+// BACKGROUND JOBS (run by the worker process — npm run worker)
+// ============================================================
 
-    const results = await syncToSupabase(supabase, enrichAndSave, {
-      casafariProperties: properties,
-      upsertAgent,
+// Queue a job by hand, e.g. { type: 'ai_score', payload: { saved_search_id } }
+app.post('/api/admin/jobs', async (req, res) => {
+  const { type, payload, run_at, priority, max_attempts } = req.body || {};
+  if (!JOB_TYPES.includes(type)) {
+    return res.status(400).json({ error: `type must be one of: ${JOB_TYPES.join(', ')}` });
+  }
+  if (payload != null && (typeof payload !== 'object' || Array.isArray(payload))) {
+    return res.status(400).json({ error: 'payload must be an object' });
+  }
+  if (run_at != null && isNaN(new Date(run_at))) {
+    return res.status(400).json({ error: 'run_at must be a date' });
+  }
+  if (max_attempts != null && !(Number.isInteger(max_attempts) && max_attempts > 0 && max_attempts <= 20)) {
+    return res.status(400).json({ error: 'max_attempts must be an integer between 1 and 20' });
+  }
+  try {
+    const job = await jobQueue.enqueue(type, payload || {}, {
+      runAt: run_at || null,
+      priority: Number(priority) || 0,
+      ...(max_attempts ? { maxAttempts: max_attempts } : {}),
     });
+    res.status(201).json(job);
+  } catch (err) {
+    console.error('[Jobs] Enqueue error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// List jobs, newest first (?status=, ?type=, ?limit=, ?offset=), with counts per status
+app.get('/api/admin/jobs', async (req, res) => {
+  const { status, type } = req.query;
+  if (status && !JOB_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${JOB_STATUSES.join(', ')}` });
+  }
+  if (type && !JOB_TYPES.includes(type)) {
+    return res.status(400).json({ error: `type must be one of: ${JOB_TYPES.join(', ')}` });
+  }
+  const limit = Math.min(200, Math.max(1, parseInt(req.query.limit) || 50));
+  const offset = Math.max(0, parseInt(req.query.offset) || 0);
+  try {
+    const [jobs, counts] = await Promise.all([
+      jobQueue.list({ status: status || null, type: type || null, limit, offset }),
+      jobQueue.counts({ type: type || null }),
+    ]);
+    res.json({ jobs, counts, limit, offset });
+  } catch (err) {
+    console.error('[Jobs] List error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    console.log(`[Casafari Sync] Done: ${results.inserted} new, ${results.updated} updated, ${results.skipped} skipped, ${results.errors.length} errors`);
+// One job with its payload, result and last error
+app.get('/api/admin/jobs/:id', async (req, res) => {
+  try {
+    const job = await jobQueue.get(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    res.json(job);
+  } catch (err) {
+    console.error('[Jobs] Load error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    if (results.errors.length > 0) {
-      console.log(`[Casafari Sync] Errors:`, results.errors.slice(0, 5));
+// Cancel a queued or running job (a running one stops being tracked; work done stays done)
+app.post('/api/admin/jobs/:id/cancel', async (req, res) => {
+  try {
+    const job = await jobQueue.cancel(req.params.id);
+    if (!job) {
+      const existing = await jobQueue.get(req.params.id);
+      if (!existing) return res.status(404).json({ error: 'Job not found' });
+      return res.status(409).json({ error: `Job is ${existing.status} — only queued or running jobs can be cancelled` });
     }
+    res.json(job);
+  } catch (err) {
+    console.error('[Jobs] Cancel error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    // DEACTIVATION DISABLED — was incorrectly marking properties from other concelhos as sold
-    // when doing partial syncs. Will re-enable once Casafari confirms the proper incremental sync approach.
-    // const activeCasafariIds = properties.map(p => String(p.property_id));
-    // const deactivated = await deactivateMissing(supabase, activeCasafariIds, ids);
-    console.log(`[Casafari Sync] Deactivation skipped (disabled until full-sync logic implemented)`);
-
-    // Now run enrichment for new properties SEQUENTIALLY (not parallel)
-    // Only enrich properties that don't have OSM data yet
-    if (results.inserted > 0) {
-      console.log(`[Casafari Sync] Starting sequential enrichment for new properties...`);
-      const [up1, up2] = await Promise.all([
-        supabase.from('properties').select('id, title, latitude, longitude').eq('source', 'casafari').not('latitude', 'is', null).not('longitude', 'is', null).range(0, 999),
-        supabase.from('properties').select('id, title, latitude, longitude').eq('source', 'casafari').not('latitude', 'is', null).not('longitude', 'is', null).range(1000, 4999),
-      ]);
-      const unenriched = [...(up1.data || []), ...(up2.data || [])];
+// Re-queue a failed or cancelled job with a fresh set of attempts
+app.post('/api/admin/jobs/:id/retry', async (req, res) => {
+  try {
+    const job = await jobQueue.retry(req.params.id);
+    if (!job) {
+      const existing = await jobQueue.get(req.params.id);
+      if (!existing) return res.status(404).json({ error: 'Job not found' });
+      return res.status(409).json({ error: `Job is ${existing.status} — only failed or cancelled jobs can be retried` });
+    }
+    res.json(job);
+  } catch (err) {
+    console.error('[Jobs] Retry error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
 
-      const [ae1, ae2] = await Promise.all([
-        supabase.from('property_enrichment').select('property_id').eq('enrichment_source', 'openstreetmap').range(0, 999),
-        supabase.from('property_enrichment').select('property_id').eq('enrichment_source', 'openstreetmap').range(1000, 4999),
-      ]);
-      const alreadyEnriched = [...(ae1.data || []), ...(ae2.data || [])];
+// ============================================================
+// SCHEDULES (run by the API server's scheduler — see services/scheduler.js)
+// ============================================================
 
-      const enrichedSet = new Set((alreadyEnriched || []).map(e => e.property_id));
-      const toEnrich = (unenriched || []).filter(p => !enrichedSet.has(p.id));
+// Body fields for creating / editing a schedule → error message, or null when valid
+function scheduleFieldsError({ cron, enabled, params }) {
+  if (cron !== undefined) {
+    try {
+      parseCron(cron);
+    } catch (err) {
+      return err.message;
+    }
+  }
+  if (enabled !== undefined && typeof enabled !== 'boolean') return 'enabled must be true or false';
+  if (params !== undefined && (typeof params !== 'object' || params === null || Array.isArray(params))) {
+    return 'params must be an object';
+  }
+  return null;
+}
 
-      console.log(`[Casafari Enrich] ${toEnrich.length} properties need OSM enrichment`);
+// All schedules with their last and next run
+app.get('/api/admin/schedules', async (req, res) => {
+  try {
+    const schedules = await scheduler.list();
+    res.json({ schedules, tasks: SCHEDULE_TASKS, scheduler_enabled: SCHEDULER_ENABLED });
+  } catch (err) {
+    console.error('[Scheduler] List error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
 
-      // Run sequentially with 10 second delay between each
-      for (let i = 0; i < toEnrich.length; i++) {
-        try {
-          console.log(`[Casafari Enrich] ${i + 1}/${toEnrich.length}: ${toEnrich[i].title || toEnrich[i].id}`);
-          await enrichAndSave(toEnrich[i]);
-        } catch (err) {
-          console.error(`[Casafari Enrich] Failed: ${err.message}`);
-        }
-        // 10 second delay between enrichments (each does 2 Overpass queries)
-        if (i < toEnrich.length - 1) {
-          await new Promise(r => setTimeout(r, 10000));
-        }
-      }
-      console.log(`[Casafari Enrich] Sequential enrichment complete`);
-    }
+// Add a schedule, e.g. { name: 'full-sync', task: 'casafari_sync', cron: '0 2 1 * *', params: { full: true } }
+app.post('/api/admin/schedules', async (req, res) => {
+  const { name, task, cron, enabled, params } = req.body || {};
+  if (typeof name !== 'string' || !/^[a-z0-9][a-z0-9_-]{0,63}$/.test(name)) {
+    return res.status(400).json({ error: 'name must be lowercase letters, digits, - or _ (up to 64)' });
+  }
+  if (!SCHEDULE_TASKS.includes(task)) {
+    return res.status(400).json({ error: `task must be one of: ${SCHEDULE_TASKS.join(', ')}` });
+  }
+  if (cron === undefined) return res.status(400).json({ error: 'cron is required' });
+  const invalid = scheduleFieldsError({ cron, enabled, params });
+  if (invalid) return res.status(400).json({ error: invalid });
+  try {
+    if (await scheduler.get(name)) return res.status(409).json({ error: `Schedule ${name} already exists` });
+    const schedule = await scheduler.create({ name, task, cron, enabled: enabled ?? true, params: params || {} });
+    res.status(201).json(schedule);
   } catch (err) {
-    console.error('[Casafari Sync] Error:', err.message);
+    console.error('[Scheduler] Create error:', err.message);
+    res.status(500).json({ error: err.message });
   }
 });
 
-app.get('/api/admin/casafari-concelhos', (req, res) => {
-  res.json(SILVER_COAST_CONCELHOS);
+// Change a schedule's cron, enabled flag or params (next_run_at is recomputed)
+app.patch('/api/admin/schedules/:name', async (req, res) => {
+  const { cron, enabled, params } = req.body || {};
+  const fields = Object.fromEntries(Object.entries({ cron, enabled, params }).filter(([, v]) => v !== undefined));
+  if (Object.keys(fields).length === 0) {
+    return res.status(400).json({ error: 'Nothing to update — send cron, enabled or params' });
+  }
+  const invalid = scheduleFieldsError(fields);
+  if (invalid) return res.status(400).json({ error: invalid });
+  try {
+    const schedule = await scheduler.update(req.params.name, fields);
+    if (!schedule) return res.status(404).json({ error: 'Schedule not found' });
+    res.json(schedule);
+  } catch (err) {
+    console.error('[Scheduler] Update error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Run a schedule's task now (disabled ones too); its timetable is unchanged
+app.post('/api/admin/schedules/:name/run', async (req, res) => {
+  try {
+    const schedule = await scheduler.runNow(req.params.name);
+    if (!schedule) return res.status(404).json({ error: 'Schedule not found' });
+    if (schedule.locked) return res.status(409).json({ error: 'Schedule is running on another instance' });
+    res.json(schedule);
+  } catch (err) {
+    console.error('[Scheduler] Run error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Embed listings for semantic search — new/changed ones, or everything with force
+app.post('/api/admin/embeddings/reindex', async (req, res) => {
+  const { ids, force } = req.body || {};
+  if (ids != null && (!Array.isArray(ids) || ids.length === 0)) {
+    return res.status(400).json({ error: 'ids must be a non-empty array' });
+  }
+  try {
+    const result = await embeddingIndex.reindex({ ids: ids || null, force: !!force });
+    res.json({ model: embeddingIndex.provider.model, ...result });
+  } catch (err) {
+    console.error('[Embeddings] Reindex error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Extract listing details from descriptions — new/changed ones, or everything with force
+app.post('/api/admin/extract-features', async (req, res) => {
+  const { ids, force, limit } = req.body || {};
+  if (ids != null && (!Array.isArray(ids) || ids.length === 0)) {
+    return res.status(400).json({ error: 'ids must be a non-empty array' });
+  }
+  if (limit != null && !(Number.isInteger(limit) && limit > 0 && limit <= 1000)) {
+    return res.status(400).json({ error: 'limit must be an integer between 1 and 1000' });
+  }
+  try {
+    const result = await runFeatureExtraction(supabase, {
+      extract: extractListingDetails,
+      ids: ids || null,
+      force: !!force,
+      ...(limit ? { limit } : {}),
+    });
+    res.json(result);
+  } catch (err) {
+    console.error('[Extraction] Error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Translate listing descriptions and write taglines — new/changed ones, or everything with force
+app.post('/api/admin/translate', async (req, res) => {
+  const { ids, force, limit } = req.body || {};
+  if (ids != null && (!Array.isArray(ids) || ids.length === 0)) {
+    return res.status(400).json({ error: 'ids must be a non-empty array' });
+  }
+  if (limit != null && !(Number.isInteger(limit) && limit > 0 && limit <= 1000)) {
+    return res.status(400).json({ error: 'limit must be an integer between 1 and 1000' });
+  }
+  try {
+    const result = await runTranslation(supabase, {
+      translate: translateListing,
+      ids: ids || null,
+      force: !!force,
+      ...(limit ? { limit } : {}),
+    });
+    res.json(result);
+  } catch (err) {
+    console.error('[Translation] Error:', err.message);
+    res.status(500).json({ error: err.message });
+  }
 });
 
 // ============================================================
 // HELPER FUNCTIONS
 // ============================================================
 
-// Quick rule-based pre-scorer for fast candidate filtering (no API calls)
-function quickPreScore(profile, property, enrichment) {
-  let score = 50;
-
-  // Budget fit (20 pts) — now using exact min/max from form
-  const price = property.price || 0;
-  if (price >= (profile.budget_min || 0) && price <= (profile.budget_max || 9999999)) {
-    score += 15;
-    if (price <= (profile.budget_max || 9999999) * 0.85) score += 5; // well within budget bonus
-  } else if (price <= (profile.budget_max || 9999999) * 1.15) {
-    score += 5;
-  } else {
-    score -= 10;
-  }
-
-  // Size fit — if buyer specified min sqm
-  if (profile.min_sqm && profile.min_sqm > 0 && property.sqm) {
-    if (property.sqm >= profile.min_sqm) score += 5;
-    else if (property.sqm >= profile.min_sqm * 0.8) score += 2;
-    else score -= 3;
-  }
-
-  // Beds fit
-  if (property.beds >= (profile.min_beds || 1)) score += 5;
-
-  // Condition fit
-  const cond = (profile.property_condition || '').toLowerCase();
-  const pCond = (property.condition || '').toLowerCase();
-  if (cond.includes("don't mind") || cond.includes('tanto faz') || !cond) {
-    score += 3;
-  } else if (cond.includes('move-in') || cond.includes('habitar')) {
-    if (pCond === 'move-in') score += 8;
-  } else if (cond.includes('new build') || cond.includes('nova')) {
-    if (pCond === 'move-in' || pCond === 'new') score += 8;
-  } else if (cond.includes('light') || cond.includes('ligeiras')) {
-    if (pCond === 'move-in' || pCond === 'renovation-light') score += 6;
-  } else if (cond.includes('full') || cond.includes('total')) {
-    if (pCond === 'renovation-major' || pCond === 'renovation-light') score += 6;
-  }
-
-  // Transport & walkability alignment
-  const transport = (profile.transport || '').toLowerCase();
-  const walk = enrichment?.walkability ?? property.walkability;
-  if (transport.includes('walking') || transport.includes('pé') || transport.includes('public') || transport.includes('público') || transport.includes('bicycle') || transport.includes('bicicleta')) {
-    // Buyer relies on walkability/public transport — weight it heavily
-    if (walk >= 7) score += 12;
-    else if (walk >= 5) score += 6;
-    else if (walk >= 3) score += 2;
-    else score -= 5; // bad match for non-car user
-    if (enrichment?.transport_count_500m >= 2) score += 4;
-  } else {
-    // Has a car — walkability nice but not essential
-    if (walk >= 7) score += 5;
-    else if (walk >= 5) score += 3;
-  }
-
-  // Setting/area type alignment
-  const setting = (profile.setting || '').toLowerCase();
-  const nType = enrichment?.neighborhood_type || '';
-  if (setting.includes('beach') || setting.includes('praia')) {
-    if (enrichment?.beach_nearby) score += 8;
-  } else if (setting.includes('urban') || setting.includes('urbano')) {
-    if (nType === 'urban') score += 6;
-  } else if (setting.includes('country') || setting.includes('campo')) {
-    if (nType === 'rural') score += 6;
-  } else if (setting.includes('historic') || setting.includes('históric')) {
-    // Use is_historic_area from enrichment OR known city names
-    const hCities = ['óbidos', 'obidos', 'alcobaça', 'alcobaca', 'nazaré', 'nazare'];
-    if (enrichment?.is_historic_area || hCities.some(c => (property.city || '').toLowerCase().includes(c))) score += 6;
-  }
-
-  // Priorities alignment
-  const prios = (profile.priorities || []).map(p => p.toLowerCase());
-  if (prios.some(p => p.includes('beach') || p.includes('praia')) && enrichment?.beach_nearby) score += 4;
-  if (prios.some(p => p.includes('school') || p.includes('escola')) && (enrichment?.schools === 'excellent' || enrichment?.schools === 'good')) score += 4;
-  if (prios.some(p => p.includes('walkable') || p.includes('caminhável')) && walk >= 7) score += 4;
-  if (prios.some(p => p.includes('restaurant') || p.includes('restaurante')) && enrichment?.restaurants_count_1km >= 3) score += 3;
-  if (prios.some(p => p.includes('hospital') || p.includes('saúde') || p.includes('saude') || p.includes('healthcare')) && (enrichment?.hospitals_count_5km >= 1 || enrichment?.healthcare_count_1km >= 1)) score += 3;
-  if (prios.some(p => p.includes('transport') || p.includes('transporte')) && enrichment?.transport_count_500m >= 2) score += 3;
-  if (prios.some(p => p.includes('peace') || p.includes('quiet') || p.includes('paz') || p.includes('sossego')) && walk <= 4) score += 3;
-  if (prios.some(p => p.includes('nature') || p.includes('natureza')) && enrichment?.parks_count_1km >= 2) score += 3;
-  if (prios.some(p => p.includes('playground') || p.includes('infantil') || p.includes('infantis')) && (enrichment?.playgrounds_count_1km >= 1)) score += 3;
-
-  // Feature matching
-  const feats = (profile.features || []).map(f => f.toLowerCase().replace(/^[^\w]*/, '')); // strip emoji prefix
-  const pFeats = (property.features || []).map(f => f.toLowerCase());
-  const desc = (property.description || '').toLowerCase();
-  let featMatch = 0;
-  feats.forEach(f => {
-    if (f.includes('garden') || f.includes('jardim')) { if (pFeats.some(pf => pf.includes('garden')) || desc.includes('jardim') || desc.includes('garden')) featMatch++; }
-    else if (f.includes('pool') || f.includes('piscina')) { if (pFeats.some(pf => pf.includes('pool')) || desc.includes('piscina') || desc.includes('pool')) featMatch++; }
-    else if (f.includes('sea view') || f.includes('vista mar')) { if (pFeats.some(pf => pf.includes('sea') || pf.includes('view') || pf.includes('ocean')) || desc.includes('vista mar') || desc.includes('sea view')) featMatch++; }
-    else if (f.includes('country view') || f.includes('vista campo')) { if (desc.includes('vista') || desc.includes('view') || desc.includes('panoram')) featMatch++; }
-    else if (f.includes('garage') || f.includes('garagem')) { if ((property.parking || []).some(pk => pk.includes('garage')) || desc.includes('garagem') || desc.includes('garage')) featMatch++; }
-    else if (f.includes('office') || f.includes('escritório') || f.includes('escritorio')) { if (pFeats.some(pf => pf.includes('office')) || desc.includes('escritório') || desc.includes('office')) featMatch++; }
-    else if (f.includes('solar') || f.includes('painéis')) { if (pFeats.some(pf => pf.includes('solar')) || desc.includes('solar') || desc.includes('painéis')) featMatch++; }
-    else if (f.includes('fireplace') || f.includes('lareira')) { if (pFeats.some(pf => pf.includes('fireplace')) || desc.includes('lareira') || desc.includes('fireplace')) featMatch++; }
-    else if (f.includes('terrace') || f.includes('terraço') || f.includes('terraco')) { if (pFeats.some(pf => pf.includes('terrace') || pf.includes('balcony')) || desc.includes('terraço') || desc.includes('terrace')) featMatch++; }
-    else if (f.includes('balcony') || f.includes('varanda')) { if (pFeats.some(pf => pf.includes('balcony') || pf.includes('varanda')) || desc.includes('varanda') || desc.includes('balcony')) featMatch++; }
-    else if (f.includes('energy') || f.includes('eficiência') || f.includes('eficiencia')) { if ((property.epc_rating && ['A', 'B', 'A+'].includes(property.epc_rating)) || desc.includes('eficien') || desc.includes('energy')) featMatch++; }
-    else if (f.includes('wheelchair') || f.includes('acessível') || f.includes('acessivel') || f.includes('mobilidade')) { if (desc.includes('acessível') || desc.includes('acessivel') || desc.includes('wheelchair') || desc.includes('accessible') || desc.includes('mobilidade')) featMatch++; }
-    else if (f.includes('smart') || f.includes('inteligente')) { if (pFeats.some(pf => pf.includes('smart')) || desc.includes('smart') || desc.includes('inteligente') || desc.includes('domótica')) featMatch++; }
-    else if (f.includes('gated') || f.includes('condomínio') || f.includes('condominio')) { if (desc.includes('condomínio') || desc.includes('condominio') || desc.includes('gated') || desc.includes('closed')) featMatch++; }
-    else if (f.includes('gym') || f.includes('ginásio') || f.includes('ginasio') || f.includes('sport')) { if (enrichment?.sports_count_2km >= 1) featMatch++; }
-    else if (f.includes('large land') || f.includes('terreno grande')) { if (property.sqm >= 200 || desc.includes('terreno') || desc.includes('land') || desc.includes('quinta')) featMatch++; }
-    else if (f.includes('kitchen') || f.includes('cozinha')) { if (desc.includes('cozinha equipada') || desc.includes('kitchen') || desc.includes('moderna')) featMatch++; }
-    else if (f.includes('storage') || f.includes('arrecadação') || f.includes('arrecadacao')) { if (desc.includes('arrecadação') || desc.includes('arrecadacao') || desc.includes('arrumo') || desc.includes('storage')) featMatch++; }
-    else if (f.includes('ev charging') || f.includes('carregamento ev')) { if ((property.parking || []).some(pk => pk.includes('ev')) || enrichment?.ev_charging_count_2km >= 1 || desc.includes('carregamento') || desc.includes('ev charging')) featMatch++; }
-    else if (f.includes('character') || f.includes('historic') || f.includes('traça')) { if (desc.includes('tradicional') || desc.includes('rústic') || desc.includes('rustic') || desc.includes('pedra') || desc.includes('stone') || desc.includes('character') || enrichment?.is_historic_area) featMatch++; }
+// Server-Sent Events response: send(event, data) writes one JSON event; writes after the
+// client has gone away are dropped (the match still finishes and is saved)
+function openEventStream(res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // stop nginx-style proxies from buffering the stream
   });
-  score += Math.min(featMatch * 3, 15); // increased cap from 12 to 15 for more features
-
-  // Pets
-  const pets = (profile.pets || '').toLowerCase();
-  if (pets.includes('dog') || pets.includes('cão') || pets.includes('cao')) {
-    if (property.pet_friendly) score += 4;
-    else score -= 2;
-  }
-
-  // Neighbourhood vibe match (+8 max) — uses computed_vibe from OSM + description mining
-  const vibes = (profile.vibe || []).map(v => v.toLowerCase());
-  const pVibes = (property.neighborhood_vibe || []).map(v => v.toLowerCase());
-  const computedVibes = (enrichment?.computed_vibe || []).map(v => v.toLowerCase());
-  const allVibes = [...pVibes, ...computedVibes]; // combine tagged + computed
-  let vibeHits = 0;
-  vibes.forEach(v => {
-    if (v.includes('family') || v.includes('familiar')) { if (allVibes.some(pv => pv.includes('family')) || desc.includes('familiar') || desc.includes('family') || desc.includes('tranquil') || (enrichment?.schools_count_2km >= 3 && enrichment?.parks_count_1km >= 1)) vibeHits++; }
-    else if (v.includes('nightlife') || v.includes('noturna')) { if (allVibes.some(pv => pv.includes('nightlife')) || enrichment?.bars_count_1km >= 2 || (enrichment?.restaurants_count_1km >= 5 && enrichment?.bars_count_1km >= 1)) vibeHits++; }
-    else if (v.includes('artsy') || v.includes('artístico') || v.includes('criativo')) { if (allVibes.some(pv => pv.includes('artsy') || pv.includes('creative')) || enrichment?.tourism_count_2km >= 2) vibeHits++; }
-    else if (v.includes('quiet') || v.includes('calmo') || v.includes('tranquilo')) { if (allVibes.some(pv => pv.includes('quiet') || pv.includes('peaceful')) || (walk != null && walk <= 4)) vibeHits++; }
-    else if (v.includes('nature') || v.includes('natureza')) { if (allVibes.some(pv => pv.includes('nature')) || enrichment?.parks_count_1km >= 2 || enrichment?.neighborhood_type === 'rural') vibeHits++; }
-    else if (v.includes('upscale') || v.includes('sofisticado') || v.includes('exclusivo')) { if (allVibes.some(pv => pv.includes('upscale') || pv.includes('luxury')) || desc.includes('luxo') || desc.includes('luxury') || desc.includes('premium')) vibeHits++; }
-    else if (v.includes('surf') || v.includes('laid-back') || v.includes('descontraído')) { if (allVibes.some(pv => pv.includes('surf')) || enrichment?.beach_nearby || desc.includes('surf') || desc.includes('praia')) vibeHits++; }
-    else if (v.includes('community') || v.includes('comunidade')) { if (allVibes.some(pv => pv.includes('community') || pv.includes('local')) || desc.includes('aldeia') || desc.includes('village') || desc.includes('comunidade')) vibeHits++; }
-  });
-  score += Math.min(vibeHits * 3, 8);
-
-  // Buyer type specific bonuses
-  const bt = (profile.buyer_type || '').toLowerCase();
-  if (bt.includes('retired') || bt.includes('reformado')) {
-    if (enrichment?.hospitals_count_5km >= 1) score += 4; // hospital within 5km important for retirees
-    else if (enrichment?.pharmacies_count_1km >= 1) score += 2; // pharmacy is ok but not as good
-    if (walk >= 5) score += 2; // walkability matters for retirees
-  } else if (bt.includes('family') || bt.includes('família') || bt.includes('familia')) {
-    if (enrichment?.schools === 'excellent') score += 4;
-    else if (enrichment?.schools === 'good') score += 2;
-    if (enrichment?.playgrounds_count_1km >= 1) score += 3; // playgrounds very important for families
-    if (enrichment?.parks_count_1km >= 1) score += 2;
-  } else if (bt.includes('remote') || bt.includes('remoto')) {
-    if (property.sqm >= 100) score += 2; // space for office
-    if (enrichment?.coworking_count_2km >= 1) score += 2; // coworking nearby is a plus
-  } else if (bt.includes('investor') || bt.includes('investidor')) {
-    if (property.price_per_sqm && property.price_per_sqm < 2000) score += 3;
-  }
-
-  return Math.min(100, Math.max(0, score));
+  let closed = false;
+  res.on('close', () => { closed = true; });
+  return {
+    send(event, data) {
+      if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      if (!closed) res.end();
+    },
+  };
+}
+
+// Full matching pipeline for a built profile: candidates → enrichment → pre-score → AI score
+/**
+ * @param {Object} options
+ * @param {boolean} options.persona - also generate the buyer persona
+ * @param {Object} options.diversity - parseDiversityOptions() result; null = plain score order
+ * @param {string} options.mode - AI scoring mode for scoreProperties (default: its own)
+ * @param {Function} options.onProgress - (event, data) as each stage lands: 'candidates' { count },
+ *   'shortlist' [pre-scored candidates], 'score' { property, enrichment, score }, 'persona'
+ */
+async function runMatch(profile, { persona: withPersona = true, diversity = parseDiversityOptions(), mode, onProgress, excludeIds = [] } = {}) {
+  const weights = resolveWeights(await ruleStore.getActive(), profile.buyer_type);
+  const candidates = await getCandidates(profile, { excludeIds });
+  onProgress?.('candidates', { count: candidates.length });
+  if (candidates.length === 0) {
+    return { candidates, topMatches: [], persona: null, rulesVersion: weights.version };
+  }
+
+  console.log(`[Match] ${candidates.length} candidates in ${profile.city}`);
+
+  // Get enrichment data for candidates
+  const enrichmentMap = await getEnrichmentBatch(candidates.map(c => c.id));
+  const propertiesWithEnrichment = candidates.map(p => ({
+    property: p,
+    enrichment: enrichmentMap[p.id] || null,
+  }));
+
+  // Quick rule-based pre-sort (instant, free) → pick 6 for AI scoring, skipping
+  // duplicate listings and spreading across towns / types / prices
+  const preScored = propertiesWithEnrichment.map(pe => ({
+    ...pe,
+    preScore: quickPreScore(profile, pe.property, pe.enrichment, weights.prescore),
+  }));
+  preScored.sort((a, b) => b.preScore - a.preScore);
+  const topCandidates = diversity
+    ? diversify(preScored, { ...diversity, limit: 6, relevance: pe => pe.preScore })
+    : preScored.slice(0, 6);
+
+  console.log(`[Match] Pre-sorted ${candidates.length} → top ${topCandidates.length} for AI scoring`);
+  onProgress?.('shortlist', topCandidates);
+
+  // AI Score top candidates only (parallel) + persona in parallel
+  const [topMatches, persona] = await Promise.all([
+    scoreProperties(profile, topCandidates, {
+      cache: scoreCache, ruleWeights: weights.rules, diversity, mode,
+      onScore: onProgress && (result => onProgress('score', result)),
+    }),
+    withPersona
+      ? generatePersona(profile).then(p => { onProgress?.('persona', p); return p; })
+      : null,
+  ]);
+
+  return { candidates, topMatches, persona, rulesVersion: weights.version };
+}
+
+// How the returned scores were actually produced — Claude or the rule-based fallback,
+// and which scoring rule set ranked the candidates
+function scoringMeta(topMatches, rulesVersion, persona) {
+  const aiScored = topMatches.filter(m => m.score?.source === 'ai').length;
+  return {
+    rules_version: rulesVersion ?? null,
+    ai_scored: aiScored,
+    rule_scored: topMatches.length - aiScored,
+    fully_ai_scored: topMatches.length > 0 && aiScored === topMatches.length,
+    ...(persona !== undefined ? { persona_source: persona?.source || null } : {}),
+  };
+}
+
+// Score fields of a match (also streamed on their own by /api/match/stream)
+function formatScore(m) {
+  return {
+    score: m.score?.score || 0,
+    highlights: m.score?.highlights || [],
+    concerns: m.score?.concerns || [],
+    reasoning: m.score?.reasoning || '',
+    score_source: m.score?.source || null,
+    // Why this score: [{ factor, points, evidence }], points relative to the scorer's baseline
+    breakdown: m.score?.breakdown || [],
+  };
+}
+
+// Shape a scored match for API responses
+function formatMatch(m, i, language) {
+  return {
+    rank: i + 1,
+    property: formatProperty(m.property, m.enrichment, language),
+    enrichment: m.enrichment,
+    ...formatScore(m),
+    // Same home listed by other agencies (collapsed by the diversity re-ranker)
+    duplicate_listing_ids: m.duplicate_ids || [],
+  };
+}
+
+async function runSavedSearchAlertsJob() {
+  try {
+    const { version } = await ruleStore.getActive();
+    return await runSavedSearchAlerts(supabase, { findNewMatches, rulesVersion: version });
+  } catch (err) {
+    console.error('[Saved Search Alerts] Error:', err.message);
+    return null;
+  }
 }
 
+// Quiz answers a profile can't be built from: the message for a 400, or null. A drawn
+// area or commute limit that's ignored would quietly widen the search.
+function invalidAnswers(answers) {
+  try {
+    parseGeoFilter(answers?.area || {});
+  } catch (err) {
+    return `Invalid area: ${err.message}`;
+  }
+  try {
+    parseAnchors(answers?.commuteAnchors, answers?.transport);
+  } catch (err) {
+    return `Invalid commute anchors: ${err.message}`;
+  }
+  return null;
+}
 
 function buildProfile(answers) {
   // Parse budget values from form fields
@@ -849,14 +2359,22 @@ function buildProfile(answers) {
     return parseFloat(n) || 0;
   };
 
+  // Area drawn on the map — { bbox } | { lat, lng, radius_km } | { polygon } (checked by invalidAnswers)
+  const area = parseGeoFilter(answers.area || {});
+
+  // Places the buyer travels to — [{ label, lat, lng, max_minutes, mode, days_per_week }]
+  const commuteAnchors = parseAnchors(answers.commuteAnchors, answers.transport);
+
   return {
     // Location (hardcoded Silver Coast for now)
     city: answers.location || 'Silver Coast',
     country: 'PT',
+    area,
 
     // Buyer profile (new)
     buyer_type: answers.buyerType || '',
     transport: answers.transport || '',
+    commute_anchors: commuteAnchors,
 
     // Property essentials (from form)
     min_beds: parseInt(answers.minBeds) || 1,
@@ -869,6 +2387,8 @@ function buildProfile(answers) {
     property_condition: answers.condition || '',
     outdoor_space: answers.outdoor || '',
     features: answers.features || [],
+    // Free text ("quinta with olive trees") — pulls in listings whose descriptions match
+    semantic_query: String(answers.lookingFor || '').trim().slice(0, 300),
 
     // Lifestyle
     setting: answers.setting || '',
@@ -890,164 +2410,17 @@ function buildProfile(answers) {
   };
 }
 
-async function getCandidates(profile) {
-  let query = supabase
-    .from('properties')
-    .select('*, agents(name, initials, phone, agency:agencies(name))')
-    .eq('listing_status', 'active')
-    .eq('country', 'PT');
-
-  // If specific concelhos selected, filter by them
-  const selectedConcelhos = profile.raw_answers?.concelhos;
-  if (selectedConcelhos && Array.isArray(selectedConcelhos) && selectedConcelhos.length > 0) {
-    // Strip emoji prefix from concelho names
-    const cleanNames = selectedConcelhos.map(c => c.replace(/^[^\w]*/, '').trim());
-    query = query.in('city', cleanNames);
-  }
-  // Otherwise: no city filter — include ALL active Silver Coast properties
-
-  // Budget filter with 20% buffer
-  const budgetMin = Math.max(0, (profile.budget_min || 0) * 0.8);
-  const budgetMax = (profile.budget_max || 9999999) * 1.2;
-  query = query.gte('price', budgetMin).lte('price', budgetMax);
-
-  // Min bedrooms filter
-  if (profile.min_beds && profile.min_beds > 1) {
-    query = query.gte('beds', profile.min_beds);
-  }
-
-  // Min sqm filter (with buffer)
-  if (profile.min_sqm && profile.min_sqm > 0) {
-    query = query.gte('sqm', Math.round(profile.min_sqm * 0.8));
-  }
-
-  // Condition filter
-  const condStr = (profile.property_condition || '').toLowerCase();
-  if (condStr.includes('new build') || condStr.includes('nova')) {
-    query = query.neq('condition', 'renovation-major');
-  } else if ((condStr.includes('full renovation') || condStr.includes('total')) && !condStr.includes("don't") && !condStr.includes('tanto')) {
-    query = query.neq('condition', 'move-in');
-  }
-
-  // Fetch with pagination
-  const { data: page1, error: err1 } = await query.range(0, 999);
-  if (err1) {
-    console.error('Candidate query error:', err1);
-    return [];
-  }
-  let allCandidates = page1 || [];
-
-  if (allCandidates.length === 1000) {
-    const { data: page2 } = await query.range(1000, 1999);
-    if (page2 && page2.length > 0) {
-      allCandidates = [...allCandidates, ...page2];
-    }
-  }
-
-  console.log(`[getCandidates] ${allCandidates.length} candidates (budget: €${Math.round(budgetMin/1000)}K-€${Math.round(budgetMax/1000)}K, beds>=${profile.min_beds || 1}, sqm>=${profile.min_sqm || 'any'}${selectedConcelhos ? ', concelhos: ' + selectedConcelhos.join(',') : ''})`);
-  return allCandidates;
-}
-
-
-async function getEnrichmentBatch(propertyIds) {
-  if (!propertyIds.length) return {};
-
-  // Batch into chunks of 200 to avoid query size limits
-  const CHUNK = 200;
-  const allData = [];
-  for (let i = 0; i < propertyIds.length; i += CHUNK) {
-    const chunk = propertyIds.slice(i, i + CHUNK);
-    const { data } = await supabase
-      .from('property_enrichment')
-      .select('*')
-      .in('property_id', chunk);
-    if (data) allData.push(...data);
-  }
-
-  // If a property has both old (google+gov) and new (openstreetmap) rows,
-  // prefer the openstreetmap one
-  const map = {};
-  allData.forEach(e => {
-    const existing = map[e.property_id];
-    if (!existing || e.enrichment_source === 'openstreetmap') {
-      map[e.property_id] = e;
-    }
-  });
-  return map;
-}
-
-async function enrichAndSave(property) {
-  try {
-    // Use OpenStreetMap enrichment (works globally — PT, IE, UK, anywhere)
-    const enrichment = await enrichWithOSM(property);
-    if (!enrichment) return null;
-
-    const { error } = await supabase
-      .from('property_enrichment')
-      .upsert(enrichment, { onConflict: 'property_id' });
-
-    if (error) console.error('Save enrichment error:', error);
-    return enrichment;
-  } catch (err) {
-    console.error('Enrichment error:', err.message);
-    return null;
-  }
-}
-
-async function upsertAgent(agentData) {
-  // Find or create agency
-  let agencyId = null;
-  if (agentData.agency) {
-    const { data: existing } = await supabase
-      .from('agencies')
-      .select('id')
-      .eq('name', agentData.agency)
-      .single();
-
-    if (existing) {
-      agencyId = existing.id;
-    } else {
-      const { data: newAgency } = await supabase
-        .from('agencies')
-        .insert({ name: agentData.agency })
-        .select('id')
-        .single();
-      agencyId = newAgency?.id;
-    }
-  }
-
-  // Find or create agent
-  const { data: existingAgent } = await supabase
-    .from('agents')
-    .select('id')
-    .eq('name', agentData.name)
-    .eq('agency_id', agencyId)
-    .single();
-
-  if (existingAgent) return existingAgent.id;
-
-  const { data: newAgent } = await supabase
-    .from('agents')
-    .insert({
-      name: agentData.name,
-      phone: agentData.phone,
-      initials: agentData.initials || agentData.name.split(' ').map(n => n[0]).join(''),
-      agency_id: agencyId,
-    })
-    .select('id')
-    .single();
-
-  return newAgent?.id;
-}
-
-function formatProperty(p, enrichment) {
+// language: the buyer's ('en' | 'pt') — description and tagline are shown in it when translated
+function formatProperty(property, enrichment, language = 'en') {
   // Merge enrichment data so frontend cards show real data
   const e = enrichment || {};
+  const p = localizeProperty(property, language);
   return {
     id: p.id,
     title: p.title,
     tagline: p.tagline,
     description: p.description,
+    description_language: p.description_language,
     price: p.price,
     currency: p.currency,
     beds: p.beds,
@@ -1073,7 +2446,11 @@ function formatProperty(p, enrichment) {
     neighborhood_type: e.neighborhood_type || null,
     features: p.features,
     parking: p.parking,
+    land_sqm: p.land_sqm ?? null,
+    renovation_needed: p.renovation_needed ?? null,
+    red_flags: p.red_flags || [],
     commute_city_center: p.commute_city_center,
+    commutes: p.commutes || null,
     image_urls: p.image_urls,
     source_url: p.source_url,
     latitude: p.latitude,
@@ -1101,7 +2478,7 @@ function formatProperty(p, enrichment) {
   };
 }
 
-async function saveSearch(profile, candidateCount, topMatches) {
+async function saveSearch(profile, candidateCount, topMatches, rulesVersion = null) {
   try {
     const { data } = await supabase
       .from('searches')
@@ -1111,6 +2488,15 @@ async function saveSearch(profile, candidateCount, topMatches) {
         results_count: topMatches.length,
         top_score: topMatches[0]?.score?.score || 0,
         scoring_model: process.env.ANTHROPIC_API_KEY ? 'claude-sonnet-4.5' : 'rule-based',
+        rules_version: rulesVersion,
+        buyer_type: buyerTypeKey(profile.buyer_type),
+        // What was shown, so feedback can be tied back to the score and its breakdown
+        results: topMatches.map(m => ({
+          property_id: m.property.id,
+          score: m.score?.score || 0,
+          source: m.score?.source || null,
+          breakdown: m.score?.breakdown || [],
+        })),
       })
       .select('id')
       .single();
@@ -2031,4 +3417,5 @@ app.listen(PORT, () => {
   console.log(`\nhomeAImatch API running on port ${PORT}`);
   console.log(`AI scoring: ${process.env.ANTHROPIC_API_KEY ? 'ENABLED (Claude)' : 'DISABLED (rule-based)'}`);
   console.log(`Database: ${process.env.SUPABASE_URL ? 'CONNECTED' : 'NOT CONFIGURED'}\n`);
+  if (SCHEDULER_ENABLED) scheduler.start({ intervalMs: Number(process.env.SCHEDULER_TICK_MS) || undefined });
 });
@@ -0,0 +1,72 @@
+/**
+ * homeAImatch — Claude Stub for Evaluation
+ *
+ * A local HTTP server speaking just enough of the Anthropic Messages API for
+ * scoreWithAI / scoreBatchWithAI. Replies come from canned fixtures, keyed by
+ * buyer id and property id; the property is recognised by its title in the prompt.
+ *
+ * Point the SDK at it before ai-scoring.js is imported:
+ *   const stub = await startClaudeStub({ properties, replies });
+ *   process.env.ANTHROPIC_API_KEY = 'eval-stub';
+ *   process.env.ANTHROPIC_BASE_URL = stub.url;
+ */
+
+import http from 'http';
+
+const NEUTRAL_SCORE = 65;
+
+export async function startClaudeStub({ properties, replies = {} }) {
+  const idByTitle = new Map(properties.map(p => [p.title, p.id]));
+  const stats = { requests: 0, canned: 0, neutral: 0 };
+  let buyerId = null;
+
+  const replyFor = (title) => {
+    const propertyId = idByTitle.get(title);
+    const canned = replies[buyerId]?.[propertyId];
+    if (canned) {
+      stats.canned++;
+      return canned;
+    }
+    stats.neutral++;
+    return { score: NEUTRAL_SCORE, highlights: [], concerns: [], reasoning: 'Neutral eval stub reply (no canned reply for this pair).' };
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      stats.requests++;
+      const request = JSON.parse(body || '{}');
+      const prompt = String(request.messages?.[0]?.content || '');
+
+      let text;
+      const batch = [...prompt.matchAll(/PROPERTY \[(P\d+)\]:\n- Title: (.*)/g)];
+      if (batch.length) {
+        text = JSON.stringify(batch.map(([, ref, title]) => ({ id: ref, ...replyFor(title.trim()) })));
+      } else {
+        const single = prompt.match(/PROPERTY:\n- Title: (.*)/);
+        text = JSON.stringify(replyFor(single ? single[1].trim() : ''));
+      }
+
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({
+        id: `msg_eval_${stats.requests}`,
+        type: 'message',
+        role: 'assistant',
+        model: request.model,
+        content: [{ type: 'text', text }],
+        stop_reason: 'end_turn',
+        usage: { input_tokens: 0, output_tokens: 0 },
+      }));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    stats,
+    setBuyer(id) { buyerId = id; },
+    close() { return new Promise(resolve => server.close(resolve)); },
+  };
+}
@@ -0,0 +1,51 @@
+/**
+ * homeAImatch — Ranking Metrics
+ *
+ * Graded relevance labels: 0 = not relevant … 3 = excellent.
+ */
+
+// Relevance ≥ this counts as a hit for precision@k
+export const RELEVANT_GRADE = 2;
+
+function dcg(grades, k) {
+  return grades
+    .slice(0, k)
+    .reduce((sum, g, i) => sum + (2 ** g - 1) / Math.log2(i + 2), 0);
+}
+
+/**
+ * Normalised DCG of a ranking
+ * @param {Array} rankedGrades - label of each result, in ranked order
+ * @param {Array} allGrades - every label for this buyer (defines the ideal ranking)
+ * @returns {number} 0-1 (1 when there is nothing relevant to find)
+ */
+export function ndcgAt(rankedGrades, allGrades, k) {
+  const ideal = dcg([...allGrades].sort((a, b) => b - a), k);
+  return ideal === 0 ? 1 : dcg(rankedGrades, k) / ideal;
+}
+
+export function precisionAt(rankedGrades, k, threshold = RELEVANT_GRADE) {
+  return rankedGrades.slice(0, k).filter(g => g >= threshold).length / k;
+}
+
+export function mean(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+}
+
+/**
+ * Average each numeric metric over rows, optionally grouped
+ * @param {Array} rows - [{ ...metrics }]
+ * @param {Array} metrics - metric keys to average
+ * @param {Function} groupBy - row => group name (omit for a single overall group)
+ * @returns {Object} { [group]: { n, [metric]: mean } }
+ */
+export function aggregate(rows, metrics, groupBy = () => 'all') {
+  const groups = {};
+  for (const row of rows) {
+    (groups[groupBy(row)] ||= []).push(row);
+  }
+  return Object.fromEntries(Object.entries(groups).map(([name, members]) => [
+    name,
+    { n: members.length, ...Object.fromEntries(metrics.map(m => [m, mean(members.map(r => r[m]))])) },
+  ]));
+}
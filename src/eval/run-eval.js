@@ -0,0 +1,245 @@
+/**
+ * homeAImatch — Offline Ranking Evaluation
+ *
+ * Runs the matching pipeline (commutes → quickPreScore → diversified top 6 → scoreProperties)
+ * over labelled fixtures and reports NDCG@k and precision@5, overall and per buyer
+ * type. Unlike runMatch there is no tie-break jitter, so runs are repeatable.
+ *
+ * Usage:
+ *   npm run eval
+ *   npm run eval -- --rules tuned.json --compare default
+ *   npm run eval -- --scorer rules --json
+ *
+ * Options:
+ *   --fixtures <dir>     fixture directory (default src/eval/fixtures)
+ *   --rules <file>       rule set to evaluate: { weights, presets } as accepted by
+ *                        POST /api/admin/scoring-rules, or "default" (built-in weights)
+ *   --compare <file>     second rule set — reports both and the difference (B − A)
+ *   --scorer <name>      stub (default, canned replies via a local Claude stub),
+ *                        rules (scoreWithRules only) or claude (real API, needs ANTHROPIC_API_KEY)
+ *   --mode <mode>        batch | per-property (default batch)
+ *   --k <n>              NDCG cutoff (default 10)
+ *   --no-diversity       plain score order instead of the MMR re-ranking runMatch uses
+ *   --json               machine-readable output
+ *
+ * Fixtures: buyers.json, properties.json, enrichment.json (by property id),
+ * labels.json ({ buyer_id: { property_id: 0-3 } }), ai-replies.json (stub replies).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { quickPreScore } from '../services/prescore.js';
+import { resolveWeights, validateRuleSetInput, buyerTypeKey } from '../services/scoring-rules.js';
+import { estimateCommutes } from '../services/commute.js';
+import { diversify, parseDiversityOptions } from '../services/diversity.js';
+import { startClaudeStub } from './claude-stub.js';
+import { ndcgAt, precisionAt, aggregate } from './metrics.js';
+
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+const AI_CANDIDATES = 6; // same cut as runMatch
+const METRICS = ['ndcg', 'precision_at_5', 'prescore_ndcg'];
+
+function parseArgs(argv) {
+  const args = { fixtures: path.join(HERE, 'fixtures'), rules: 'default', compare: null, scorer: 'stub', mode: 'batch', k: 10, json: false, diversity: true };
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    const value = () => {
+      if (argv[i + 1] == null) throw new Error(`${flag} needs a value`);
+      return argv[++i];
+    };
+    if (flag === '--fixtures') args.fixtures = value();
+    else if (flag === '--rules') args.rules = value();
+    else if (flag === '--compare') args.compare = value();
+    else if (flag === '--scorer') args.scorer = value();
+    else if (flag === '--mode') args.mode = value();
+    else if (flag === '--k') args.k = parseInt(value());
+    else if (flag === '--json') args.json = true;
+    else if (flag === '--no-diversity') args.diversity = false;
+    else throw new Error(`Unknown option: ${flag}`);
+  }
+  if (!['stub', 'rules', 'claude'].includes(args.scorer)) throw new Error('--scorer must be stub, rules or claude');
+  if (!['batch', 'per-property'].includes(args.mode)) throw new Error('--mode must be batch or per-property');
+  if (!(args.k > 0)) throw new Error('--k must be a positive number');
+  return args;
+}
+
+function readJSON(file, fallback) {
+  if (!fs.existsSync(file)) {
+    if (fallback !== undefined) return fallback;
+    throw new Error(`Missing fixture file: ${file}`);
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function loadFixtures(dir) {
+  const fixtures = {
+    buyers: readJSON(path.join(dir, 'buyers.json')),
+    properties: readJSON(path.join(dir, 'properties.json')),
+    enrichment: readJSON(path.join(dir, 'enrichment.json'), {}),
+    labels: readJSON(path.join(dir, 'labels.json')),
+    replies: readJSON(path.join(dir, 'ai-replies.json'), {}),
+  };
+
+  // The stub recognises properties by title, and labels must point at real ids
+  const titles = new Set();
+  const ids = new Set(fixtures.properties.map(p => p.id));
+  for (const p of fixtures.properties) {
+    if (titles.has(p.title)) throw new Error(`Duplicate property title in fixtures: "${p.title}"`);
+    titles.add(p.title);
+  }
+  for (const buyer of fixtures.buyers) {
+    for (const id of Object.keys(fixtures.labels[buyer.id] || {})) {
+      if (!ids.has(id)) throw new Error(`labels.json: ${buyer.id} labels unknown property ${id}`);
+    }
+  }
+  return fixtures;
+}
+
+function loadRuleSet(spec) {
+  if (!spec || spec === 'default') return { name: 'default', ruleSet: null };
+  const raw = JSON.parse(fs.readFileSync(spec, 'utf8'));
+  const ruleSet = raw.rule_set || raw; // accept a GET /api/admin/scoring-rules/:version response too
+  validateRuleSetInput({ weights: ruleSet.weights, presets: ruleSet.presets });
+  return { name: path.basename(spec), ruleSet };
+}
+
+// Run one buyer through the pipeline and grade the ranking
+async function evaluateBuyer(buyer, fixtures, ruleSet, { scoreProperties, stub, mode, k, diversity }) {
+  const profile = buyer.profile;
+  const labels = fixtures.labels[buyer.id] || {};
+  const gradeOf = (id) => labels[id] || 0;
+  const weights = resolveWeights(ruleSet, profile.buyer_type);
+
+  const candidates = await Promise.all(fixtures.properties.map(async p => ({
+    property: { ...p, commutes: await estimateCommutes(p, profile.commute_anchors) },
+    enrichment: fixtures.enrichment[p.id] || null,
+  })));
+
+  const preScored = candidates
+    .map(pe => ({ ...pe, preScore: quickPreScore(profile, pe.property, pe.enrichment, weights.prescore) }))
+    .sort((a, b) => b.preScore - a.preScore);
+
+  const aiCandidates = diversity
+    ? diversify(preScored, { ...diversity, limit: AI_CANDIDATES, relevance: pe => pe.preScore })
+    : preScored.slice(0, AI_CANDIDATES);
+
+  stub?.setBuyer(buyer.id);
+  const scored = await scoreProperties(profile, aiCandidates, { mode, ruleWeights: weights.rules, diversity });
+
+  // Returned matches first, then everything else in pre-score order
+  const shown = scored.map(m => m.property.id);
+  const ranking = [...shown, ...preScored.map(pe => pe.property.id).filter(id => !shown.includes(id))];
+  const allGrades = fixtures.properties.map(p => gradeOf(p.id));
+
+  return {
+    buyer_id: buyer.id,
+    buyer_type: buyerTypeKey(profile.buyer_type) || 'other',
+    top5: ranking.slice(0, 5),
+    ndcg: ndcgAt(ranking.map(gradeOf), allGrades, k),
+    precision_at_5: precisionAt(ranking.map(gradeOf), 5),
+    prescore_ndcg: ndcgAt(preScored.map(pe => gradeOf(pe.property.id)), allGrades, k),
+  };
+}
+
+async function evaluate(config, fixtures, context) {
+  const rows = [];
+  for (const buyer of fixtures.buyers) {
+    rows.push(await evaluateBuyer(buyer, fixtures, config.ruleSet, context));
+  }
+  return {
+    name: config.name,
+    overall: aggregate(rows, METRICS).all,
+    by_buyer_type: aggregate(rows, METRICS, r => r.buyer_type),
+    buyers: rows,
+  };
+}
+
+// ─── Output ──────────────────────────────────────────────────────────────────
+const fmt = (n) => n.toFixed(3);
+const signed = (n) => (n >= 0 ? '+' : '') + n.toFixed(3);
+
+function printTable(header, rows) {
+  const widths = header.map((h, i) => Math.max(h.length, ...rows.map(r => String(r[i]).length)));
+  const line = (cells) => cells.map((c, i) => String(c).padEnd(widths[i])).join('  ').trimEnd();
+  console.log(line(header));
+  console.log(widths.map(w => '-'.repeat(w)).join('  '));
+  rows.forEach(r => console.log(line(r)));
+  console.log('');
+}
+
+function printReport(results, k) {
+  const [a, b] = results;
+  const ndcgLabel = `ndcg@${k}`;
+
+  if (!b) {
+    console.log(`\nRule set: ${a.name}\n`);
+    printTable(['group', 'n', ndcgLabel, 'p@5', `prescore ${ndcgLabel}`], [
+      ['overall', a.overall.n, fmt(a.overall.ndcg), fmt(a.overall.precision_at_5), fmt(a.overall.prescore_ndcg)],
+      ...Object.entries(a.by_buyer_type).map(([type, m]) => [type, m.n, fmt(m.ndcg), fmt(m.precision_at_5), fmt(m.prescore_ndcg)]),
+    ]);
+    printTable(['buyer', ndcgLabel, 'p@5', 'top 5'], a.buyers.map(r => [r.buyer_id, fmt(r.ndcg), fmt(r.precision_at_5), r.top5.join(' ')]));
+    return;
+  }
+
+  console.log(`\nA: ${a.name}   B: ${b.name}\n`);
+  const groups = [['overall', a.overall, b.overall], ...Object.keys(a.by_buyer_type).map(t => [t, a.by_buyer_type[t], b.by_buyer_type[t]])];
+  printTable(['group', `${ndcgLabel} A`, `${ndcgLabel} B`, 'Δ', 'p@5 A', 'p@5 B', 'Δ', 'prescore Δ'], groups.map(([name, ma, mb]) => [
+    name, fmt(ma.ndcg), fmt(mb.ndcg), signed(mb.ndcg - ma.ndcg), fmt(ma.precision_at_5), fmt(mb.precision_at_5), signed(mb.precision_at_5 - ma.precision_at_5),
+    signed(mb.prescore_ndcg - ma.prescore_ndcg),
+  ]));
+
+  const changed = a.buyers
+    .map((ra, i) => [ra, b.buyers[i]])
+    .filter(([ra, rb]) => ra.top5.join() !== rb.top5.join());
+  if (changed.length === 0) {
+    console.log('Top 5 unchanged for every buyer.\n');
+    return;
+  }
+  printTable(['buyer', 'Δ ' + ndcgLabel, 'top 5 A', 'top 5 B'], changed.map(([ra, rb]) => [
+    ra.buyer_id, signed(rb.ndcg - ra.ndcg), ra.top5.join(' '), rb.top5.join(' '),
+  ]));
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const fixtures = loadFixtures(args.fixtures);
+  const configs = [loadRuleSet(args.rules), ...(args.compare ? [loadRuleSet(args.compare)] : [])];
+
+  // ai-scoring.js picks its client at import time, so the scorer is set up first
+  let stub = null;
+  if (args.scorer === 'stub') {
+    stub = await startClaudeStub({ properties: fixtures.properties, replies: fixtures.replies });
+    process.env.ANTHROPIC_API_KEY = 'eval-stub';
+    process.env.ANTHROPIC_BASE_URL = stub.url;
+  } else if (args.scorer === 'rules') {
+    delete process.env.ANTHROPIC_API_KEY;
+  } else if (!process.env.ANTHROPIC_API_KEY) {
+    throw new Error('--scorer claude needs ANTHROPIC_API_KEY');
+  }
+  const { scoreProperties } = await import('../services/ai-scoring.js');
+
+  try {
+    const results = [];
+    for (const config of configs) {
+      results.push(await evaluate(config, fixtures, {
+        scoreProperties, stub, mode: args.mode, k: args.k, diversity: args.diversity ? parseDiversityOptions() : null,
+      }));
+    }
+
+    if (args.json) {
+      console.log(JSON.stringify({ scorer: args.scorer, mode: args.mode, k: args.k, results, stub: stub?.stats || null }, null, 2));
+    } else {
+      console.log(`Scorer: ${args.scorer} (${args.mode}), ${fixtures.buyers.length} buyers × ${fixtures.properties.length} properties`);
+      printReport(results, args.k);
+      if (stub) console.log(`Stub: ${stub.stats.requests} requests, ${stub.stats.canned} canned / ${stub.stats.neutral} neutral replies`);
+    }
+  } finally {
+    await stub?.close();
+  }
+}
+
+main().catch(err => {
+  console.error(`[Eval] ${err.message}`);
+  process.exit(1);
+});
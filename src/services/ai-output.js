@@ -0,0 +1,311 @@
+/**
+ * homeAImatch — AI Output Validation
+ *
+ * Schemas for what Claude returns (property scores, batch scores, buyer personas),
+ * plus a process-wide tally of how often we had to repair a reply or fall back to
+ * the rule-based scorer. The tally is reported by /api/health.
+ *
+ * Validators take the parsed JSON and return { value, errors }:
+ *  - value: the normalised object (clamped, trimmed, defaults filled) or null if unusable
+ *  - errors: human-readable problems, sent back to Claude on the repair pass
+ */
+
+import { SCORE_FACTORS } from './score-breakdown.js';
+import { FEATURE_VOCAB, PARKING_TYPES, PET_SUITABILITY, RENOVATION_LEVELS } from './feature-extraction.js';
+import { LANGUAGES, MAX_TAGLINE_LENGTH } from './translation.js';
+import { sanitizeDeltas, DELTA_NUMBER_KEYS, DELTA_LIST_KEYS } from './refinement.js';
+
+const SCORE_MIN = 0;
+const SCORE_MAX = 100;
+const MAX_HIGHLIGHTS = 5;
+const MAX_CONCERNS = 3;
+const MAX_ITEM_LENGTH = 200;
+const MAX_REASONING_LENGTH = 600;
+const MAX_BREAKDOWN_POINTS = 50;
+const MAX_PERSONA_TITLE = 80;
+const MAX_PERSONA_DESCRIPTION = 800;
+const MAX_RED_FLAGS = 6;
+const MAX_RED_FLAG_LENGTH = 80;
+const MAX_DESCRIPTION_LENGTH = 6000;
+const MAX_COMPARISON_SUMMARY = 1500;
+const MAX_PROS_CONS = 4;
+const MAX_EXPLANATION_LENGTH = 600;
+
+/**
+ * Pull the JSON out of a model reply — tolerates ```json fences and chatter around it
+ * @throws {Error} when no JSON value can be parsed
+ */
+export function parseJSONReply(text) {
+  const clean = (text || '').replace(/```json|```/g, '').trim();
+  try {
+    return JSON.parse(clean);
+  } catch {
+    const start = clean.search(/[[{]/);
+    const end = Math.max(clean.lastIndexOf('}'), clean.lastIndexOf(']'));
+    if (start === -1 || end <= start) throw new Error('reply contains no JSON');
+    return JSON.parse(clean.slice(start, end + 1));
+  }
+}
+
+function stringList(v, max, field, errors) {
+  if (v == null) return [];
+  const items = Array.isArray(v) ? v : (typeof v === 'string' ? [v] : null);
+  if (!items) {
+    errors.push(`"${field}" must be an array of strings`);
+    return [];
+  }
+  return items
+    .filter(x => typeof x === 'string' && x.trim())
+    .map(x => x.trim().slice(0, MAX_ITEM_LENGTH))
+    .slice(0, max);
+}
+
+// Optional and advisory: malformed entries are dropped rather than triggering a repair pass
+function breakdownList(v) {
+  if (!Array.isArray(v)) return [];
+  return v
+    .filter(e => e && SCORE_FACTORS.includes(e.factor) && Number.isFinite(Number(e.points)) && Number(e.points) !== 0)
+    .map(e => ({
+      factor: e.factor,
+      points: Math.round(Math.min(MAX_BREAKDOWN_POINTS, Math.max(-MAX_BREAKDOWN_POINTS, Number(e.points))) * 10) / 10,
+      evidence: typeof e.evidence === 'string' ? e.evidence.trim().slice(0, MAX_ITEM_LENGTH) : '',
+    }))
+    .sort((a, b) => Math.abs(b.points) - Math.abs(a.points));
+}
+
+/**
+ * { score: 0-100 integer, highlights: string[≤5], concerns: string[≤3], reasoning: string,
+ *   breakdown: [{ factor, points, evidence }] }
+ */
+export function validateScore(raw) {
+  const errors = [];
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { value: null, errors: ['expected a JSON object'] };
+  }
+
+  const n = typeof raw.score === 'string' ? Number(raw.score.trim()) : raw.score;
+  if (typeof n !== 'number' || !Number.isFinite(n)) {
+    errors.push('"score" must be a number between 0 and 100');
+  }
+  const highlights = stringList(raw.highlights, MAX_HIGHLIGHTS, 'highlights', errors);
+  const concerns = stringList(raw.concerns, MAX_CONCERNS, 'concerns', errors);
+  const reasoning = typeof raw.reasoning === 'string' ? raw.reasoning.trim() : '';
+  if (!reasoning) errors.push('"reasoning" must be a non-empty string');
+
+  if (errors.length) return { value: null, errors };
+  return {
+    value: {
+      score: Math.round(Math.min(SCORE_MAX, Math.max(SCORE_MIN, n))),
+      highlights,
+      concerns,
+      reasoning: reasoning.slice(0, MAX_REASONING_LENGTH),
+      breakdown: breakdownList(raw.breakdown),
+    },
+    errors,
+  };
+}
+
+/**
+ * Batch reply: an array of score objects, each with an "id" from refs.
+ * value is { [ref]: score } for every valid entry (partial results are still usable).
+ */
+export function validateScoreBatch(raw, refs) {
+  if (!Array.isArray(raw)) return { value: null, errors: ['expected a JSON array'] };
+
+  const value = {};
+  const errors = [];
+  for (const item of raw) {
+    const id = item?.id;
+    if (!refs.includes(id)) {
+      errors.push(`unknown or missing "id" ${JSON.stringify(id ?? null)} (expected one of ${refs.join(', ')})`);
+      continue;
+    }
+    const { value: score, errors: itemErrors } = validateScore(item);
+    if (score) value[id] = score;
+    else errors.push(...itemErrors.map(e => `${id}: ${e}`));
+  }
+  const missing = refs.filter(r => !value[r] && !errors.some(e => e.startsWith(`${r}:`)));
+  if (missing.length) errors.push(`missing entries for ${missing.join(', ')}`);
+
+  return { value, errors };
+}
+
+/**
+ * { emoji: string, title: string ≤80, description: string ≤800 }
+ */
+export function validatePersona(raw) {
+  const errors = [];
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { value: null, errors: ['expected a JSON object'] };
+  }
+
+  const emoji = typeof raw.emoji === 'string' ? raw.emoji.trim() : '';
+  const title = typeof raw.title === 'string' ? raw.title.trim() : '';
+  const description = typeof raw.description === 'string' ? raw.description.trim() : '';
+  if (!title) errors.push('"title" must be a non-empty string');
+  if (!description) errors.push('"description" must be a non-empty string');
+
+  if (errors.length) return { value: null, errors };
+  return {
+    value: {
+      emoji: emoji.slice(0, 16) || '🏡',
+      title: title.slice(0, MAX_PERSONA_TITLE),
+      description: description.slice(0, MAX_PERSONA_DESCRIPTION),
+    },
+    errors,
+  };
+}
+
+// { value, confidence, evidence } with confidence clamped to 0-1
+function extractedItem(raw, value) {
+  const c = Number(raw?.confidence);
+  return {
+    value,
+    confidence: Number.isFinite(c) ? Math.round(Math.min(1, Math.max(0, c)) * 100) / 100 : 0.5,
+    evidence: typeof raw?.evidence === 'string' ? raw.evidence.trim().slice(0, MAX_ITEM_LENGTH) : '',
+  };
+}
+
+// Items outside the vocabulary are dropped, not sent back for repair
+function vocabItems(v, vocab) {
+  if (!Array.isArray(v)) return [];
+  const seen = new Set();
+  return v
+    .map(i => extractedItem(i, typeof i?.value === 'string' ? i.value.toLowerCase().trim() : null))
+    .filter(i => vocab.includes(i.value) && !seen.has(i.value) && seen.add(i.value));
+}
+
+/**
+ * Listing details read from a description (see feature-extraction.js for the vocabularies):
+ * { features, parking, red_flags: [{ value, confidence, evidence }],
+ *   pet_suitability, renovation, land_sqm: { value, confidence, evidence } }
+ */
+export function validateExtraction(raw) {
+  const errors = [];
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { value: null, errors: ['expected a JSON object'] };
+  }
+  for (const key of ['features', 'parking', 'red_flags']) {
+    if (raw[key] != null && !Array.isArray(raw[key])) errors.push(`"${key}" must be an array of { value, confidence, evidence }`);
+  }
+  if (errors.length) return { value: null, errors };
+
+  const pet = raw.pet_suitability?.value;
+  const renovation = raw.renovation?.value;
+  const land = Number(raw.land_sqm?.value);
+  return {
+    value: {
+      features: vocabItems(raw.features, FEATURE_VOCAB),
+      parking: vocabItems(raw.parking, PARKING_TYPES),
+      pet_suitability: extractedItem(raw.pet_suitability, PET_SUITABILITY.includes(pet) ? pet : 'unknown'),
+      renovation: extractedItem(raw.renovation, RENOVATION_LEVELS.includes(renovation) ? renovation : null),
+      land_sqm: extractedItem(raw.land_sqm, raw.land_sqm?.value != null && land > 0 ? Math.round(land) : null),
+      red_flags: (Array.isArray(raw.red_flags) ? raw.red_flags : [])
+        .filter(i => typeof i?.value === 'string' && i.value.trim())
+        .slice(0, MAX_RED_FLAGS)
+        .map(i => extractedItem(i, i.value.trim().toLowerCase().slice(0, MAX_RED_FLAG_LENGTH))),
+    },
+    errors,
+  };
+}
+
+/**
+ * { source_language: 'en' | 'pt', description_en, description_pt, tagline_en ≤90, tagline_pt ≤90 }
+ */
+export function validateTranslation(raw) {
+  const errors = [];
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { value: null, errors: ['expected a JSON object'] };
+  }
+
+  const text = (key) => (typeof raw[key] === 'string' ? raw[key].trim() : '');
+  if (!LANGUAGES.includes(raw.source_language)) errors.push(`"source_language" must be one of: ${LANGUAGES.join(', ')}`);
+  for (const key of ['description_en', 'description_pt', 'tagline_en', 'tagline_pt']) {
+    if (!text(key)) errors.push(`"${key}" must be a non-empty string`);
+  }
+
+  if (errors.length) return { value: null, errors };
+  return {
+    value: {
+      source_language: raw.source_language,
+      description_en: text('description_en').slice(0, MAX_DESCRIPTION_LENGTH),
+      description_pt: text('description_pt').slice(0, MAX_DESCRIPTION_LENGTH),
+      tagline_en: text('tagline_en').slice(0, MAX_TAGLINE_LENGTH),
+      tagline_pt: text('tagline_pt').slice(0, MAX_TAGLINE_LENGTH),
+    },
+    errors,
+  };
+}
+
+/**
+ * Comparison narrative for the given property ids:
+ * { summary: string ≤1500, properties: [{ property_id, pros: string[] ≤4, cons: string[] ≤4 }],
+ *   best_fit_id: one of ids | null }
+ */
+export function validateComparison(raw, ids) {
+  const errors = [];
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { value: null, errors: ['expected a JSON object'] };
+  }
+
+  const summary = typeof raw.summary === 'string' ? raw.summary.trim() : '';
+  if (!summary) errors.push('"summary" must be a non-empty string');
+  if (!Array.isArray(raw.properties)) errors.push('"properties" must be an array of { property_id, pros, cons }');
+  if (raw.best_fit_id != null && !ids.includes(String(raw.best_fit_id))) {
+    errors.push(`"best_fit_id" must be one of ${ids.join(', ')} or null`);
+  }
+  if (errors.length) return { value: null, errors };
+
+  const byId = new Map(raw.properties.filter(p => ids.includes(String(p?.property_id))).map(p => [String(p.property_id), p]));
+  return {
+    value: {
+      summary: summary.slice(0, MAX_COMPARISON_SUMMARY),
+      properties: ids.filter(id => byId.has(id)).map(id => ({
+        property_id: id,
+        pros: stringList(byId.get(id).pros, MAX_PROS_CONS, `${id}.pros`, errors),
+        cons: stringList(byId.get(id).cons, MAX_PROS_CONS, `${id}.cons`, errors),
+      })),
+      best_fit_id: raw.best_fit_id != null ? String(raw.best_fit_id) : null,
+    },
+    errors,
+  };
+}
+
+/**
+ * Refinement of a buyer's search: { deltas (see sanitizeDeltas in refinement.js), explanation: string }.
+ * Unknown keys, property types and concelhos are dropped; wrongly typed values are sent back.
+ */
+export function validateRefinement(raw) {
+  const errors = [];
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { value: null, errors: ['expected a JSON object'] };
+  }
+  for (const key of DELTA_NUMBER_KEYS) {
+    if (raw[key] != null && !(Number.isFinite(Number(raw[key])) && Number(raw[key]) >= 0)) errors.push(`"${key}" must be a non-negative number`);
+  }
+  for (const key of DELTA_LIST_KEYS) {
+    if (raw[key] != null && !Array.isArray(raw[key])) errors.push(`"${key}" must be an array of strings`);
+  }
+  const explanation = typeof raw.explanation === 'string' ? raw.explanation.trim() : '';
+  if (!explanation) errors.push('"explanation" must be a non-empty string');
+
+  if (errors.length) return { value: null, errors };
+  return { value: { deltas: sanitizeDeltas(raw), explanation: explanation.slice(0, MAX_EXPLANATION_LENGTH) }, errors };
+}
+
+// ─── Outcome counters ────────────────────────────────────────────────────────
+// outcome: 'ai' (valid first time), 'repaired' (valid after the repair pass), 'fallback' (rule-based)
+const startedAt = new Date().toISOString();
+const stats = {};
+
+export function recordAIOutcome(kind, outcome, reason = null) {
+  const s = stats[kind] || (stats[kind] = { ai: 0, repaired: 0, fallback: 0, fallback_reasons: {} });
+  s[outcome] = (s[outcome] || 0) + 1;
+  if (outcome === 'fallback' && reason) {
+    s.fallback_reasons[reason] = (s.fallback_reasons[reason] || 0) + 1;
+  }
+}
+
+export function getAIOutcomeStats() {
+  return { since: startedAt, ...JSON.parse(JSON.stringify(stats)) };
+}
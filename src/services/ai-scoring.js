@@ -2,9 +2,19 @@
  * homeAImatch — AI Scoring Service
  * Uses Claude Sonnet 4.5 to score properties against buyer profiles.
  * Falls back to rule-based scoring if API key is not set.
+ * Replies are schema-checked (ai-output.js); every score carries source: 'ai' | 'rules'.
  */
 
 import Anthropic from '@anthropic-ai/sdk';
+import { interpretWithRules, PROPERTY_TYPES } from './refinement.js';
+import { DEFAULT_WEIGHTS } from './scoring-rules.js';
+import { diversify } from './diversity.js';
+import { createTally, SCORE_FACTORS } from './score-breakdown.js';
+import { parseJSONReply, validateScore, validateScoreBatch, validatePersona, validateExtraction, validateTranslation, validateComparison, validateRefinement, recordAIOutcome } from './ai-output.js';
+import { extractWithRules, FEATURE_VOCAB, PARKING_TYPES } from './feature-extraction.js';
+import { RULES_MODEL } from './changed-listings.js';
+import { translateWithRules, MAX_TAGLINE_LENGTH } from './translation.js';
+import { describeComparison } from './property-comparison.js';
 
 const client = process.env.ANTHROPIC_API_KEY 
   ? new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY })
@@ -29,18 +39,28 @@ CRITERIA (adjust from 65 baseline):
 +5-10: Key features found in property/description (pool, garden, sea view, etc.)
 +3-8: Neighbourhood vibe match (family-friendly, nightlife, artsy, quiet, surf, local community — read the description and location for clues about the area's character)
 +3-8: Transport/walkability alignment
++3-8: Estimated commute to the buyer's anchor points well within their max travel time (frequent trips matter most)
 +3-5: Buyer-type specific (schools for families, healthcare for retirees, office space for remote workers)
 +2-5: Priority matches (beach proximity, restaurants, peace & quiet, nature, etc.)
 -5-10: Missing critical features buyer specifically requested
 -5-10: Area type or vibe mismatch
 -3-5: Condition mismatch
+-5-10: Commute to an anchor point over the buyer's max travel time
+
+BREAKDOWN: list the factors that moved the score away from the 65 baseline, so the buyer can see why. Each entry is { "factor", "points", "evidence" } where factor is one of: ${SCORE_FACTORS.join(', ')}; points is the adjustment (negative for penalties) and the points should add up to score − 65; evidence is a short fact from the listing or area data.
 
 ALWAYS respond in English. Return ONLY a JSON object (no markdown, no backticks):
 {
   "score": 84,
   "highlights": ["€93K under budget — great value", "Walkable beach town vibe matches perfectly", "Modern kitchen as requested"],
   "concerns": ["No garden — buyer wanted outdoor space"],
-  "reasoning": "Strong match for a beach-loving couple. The apartment is well under budget, in a family-friendly coastal area with the laid-back surf vibe they want, walkable to the beach and local restaurants."
+  "reasoning": "Strong match for a beach-loving couple. The apartment is well under budget, in a family-friendly coastal area with the laid-back surf vibe they want, walkable to the beach and local restaurants.",
+  "breakdown": [
+    { "factor": "budget", "points": 12, "evidence": "€93K under max budget" },
+    { "factor": "area", "points": 6, "evidence": "Beach 0.8 km" },
+    { "factor": "vibe", "points": 5, "evidence": "Laid-back surf town" },
+    { "factor": "features", "points": -4, "evidence": "No garden" }
+  ]
 }`;
 
 const SYSTEM_PROMPT_PT = `Você é o homeAImatch, um assistente de IA para correspondência de imóveis na Costa de Prata de Portugal. Avalia o quão bem um imóvel corresponde ao estilo de vida de um comprador.
@@ -62,32 +82,69 @@ CRITÉRIOS (ajustar a partir da base 65):
 +5-10: Características encontradas (piscina, jardim, vista mar, etc.)
 +3-8: Ambiente do bairro corresponde (familiar, vida noturna, artístico, calmo, surf, comunidade local — leia a descrição e localização)
 +3-8: Alinhamento transporte/caminhabilidade
++3-8: Tempo de deslocação estimado aos pontos de referência do comprador bem dentro do máximo (viagens frequentes pesam mais)
 +3-5: Correspondência tipo de comprador (escolas, saúde, escritório)
 +2-5: Prioridades diárias (praia, restaurantes, sossego, natureza)
 -5-10: Faltam características pedidas
 -5-10: Zona ou ambiente não corresponde
 -3-5: Condição não corresponde
+-5-10: Deslocação a um ponto de referência acima do tempo máximo do comprador
+
+DECOMPOSIÇÃO: liste os fatores que afastaram a pontuação da base 65, para o comprador perceber porquê. Cada entrada é { "factor", "points", "evidence" } em que factor é um de: ${SCORE_FACTORS.join(', ')} (sempre estas chaves em inglês); points é o ajuste (negativo para penalizações) e a soma deve dar score − 65; evidence é um facto curto do anúncio ou dos dados da zona.
 
 RESPONDA SEMPRE em Português de Portugal. Devolve APENAS um objecto JSON (sem markdown, sem backticks):
 {
   "score": 84,
   "highlights": ["€93K abaixo do orçamento — excelente valor", "Zona de praia com ambiente descontraído", "Cozinha moderna como pedido"],
   "concerns": ["Sem jardim — comprador queria espaço exterior"],
-  "reasoning": "Forte correspondência para um casal costeiro. Bem abaixo do orçamento, zona familiar perto da praia com o ambiente tranquilo que procuram."
+  "reasoning": "Forte correspondência para um casal costeiro. Bem abaixo do orçamento, zona familiar perto da praia com o ambiente tranquilo que procuram.",
+  "breakdown": [
+    { "factor": "budget", "points": 12, "evidence": "€93K abaixo do máximo" },
+    { "factor": "area", "points": 6, "evidence": "Praia a 0,8 km" },
+    { "factor": "vibe", "points": 5, "evidence": "Vila de surf descontraída" },
+    { "factor": "features", "points": -4, "evidence": "Sem jardim" }
+  ]
 }`;
 
-/**
- * Score a single property against a buyer profile using Claude
- */
-export async function scoreWithAI(buyerProfile, property, enrichment) {
-  if (!client) {
-    return scoreWithRules(buyerProfile, property, enrichment);
-  }
+const toArr = (v) => Array.isArray(v) ? v : (v ? [v] : []);
 
-  const toArr = (v) => Array.isArray(v) ? v : (v ? [v] : []);
+// Model used by completeJSON — recorded with stored extractions/translations
+const CLAUDE_MODEL = 'claude-sonnet-4-5-20250929';
 
-  const prompt = `
-BUYER PROFILE:
+const EXTRACTION_PROMPT = `You read Portuguese real-estate listings (descriptions in Portuguese or English) and pull out facts a buyer would care about. Only report what the listing states or clearly implies; never guess from the property type alone.
+
+Return ONLY a JSON object (no markdown, no backticks). Every value is { "value", "confidence" (0-1), "evidence" (the words in the listing, max 100 chars) }:
+{
+  "features": [{ "value": "sea view", "confidence": 0.9, "evidence": "vistas de mar" }],
+  "parking": [{ "value": "garage", "confidence": 0.9, "evidence": "garagem para 2 carros" }],
+  "pet_suitability": { "value": "unknown", "confidence": 0, "evidence": "" },
+  "renovation": { "value": "light", "confidence": 0.7, "evidence": "precisa de pintura" },
+  "land_sqm": { "value": 2500, "confidence": 0.8, "evidence": "terreno de 2.500 m2" },
+  "red_flags": [{ "value": "no habitation licence", "confidence": 0.8, "evidence": "sem licença de habitação" }]
+}
+
+- features: only from ${FEATURE_VOCAB.join(', ')}
+- parking: only from ${PARKING_TYPES.join(', ')}
+- pet_suitability: suitable | unsuitable | unknown (suitable only if pets are mentioned as welcome, or a private fenced garden is described)
+- renovation: none | light | major, or null if the listing doesn't say
+- land_sqm: plot/land area in m² (convert hectares), or null — not the built area
+- red_flags: short English phrases for legal, structural or access problems (missing licences, unlicensed extensions, damp, asbestos, roof, no mains utilities, unpaved access, tenants, inheritance disputes); [] if none`;
+
+// Appended to the system prompt when several properties are scored in one request
+const BATCH_INSTRUCTIONS_EN = `
+
+BATCH MODE: You will receive ONE buyer profile and SEVERAL properties, each labelled with an id like [P1]. Score every property independently against the buyer (do not grade on a curve). Return ONLY a JSON array with exactly one object per property, in any order, each including its "id":
+[{ "id": "P1", "score": 84, "highlights": [...], "concerns": [...], "reasoning": "...", "breakdown": [...] }]`;
+
+const BATCH_INSTRUCTIONS_PT = `
+
+MODO LOTE: Vai receber UM perfil de comprador e VÁRIOS imóveis, cada um identificado com um id como [P1]. Avalie cada imóvel de forma independente (sem comparar entre eles). Devolva APENAS um array JSON com exatamente um objecto por imóvel, em qualquer ordem, cada um com o seu "id":
+[{ "id": "P1", "score": 84, "highlights": [...], "concerns": [...], "reasoning": "...", "breakdown": [...] }]`;
+
+// ─── Prompt blocks ───────────────────────────────────────────────────────────
+function buyerProfileBlock(buyerProfile) {
+  const anchors = buyerProfile.commute_anchors || [];
+  return `BUYER PROFILE:
 - Buyer type: ${buyerProfile.buyer_type || 'Not specified'}
 - Transport: ${buyerProfile.transport || 'Not specified'}
 - Budget: €${(buyerProfile.budget_min || 0).toLocaleString()} – €${(buyerProfile.budget_max || 0).toLocaleString()}
@@ -101,8 +158,14 @@ BUYER PROFILE:
 - Pets: ${buyerProfile.pets || 'None'}
 - Parking: ${buyerProfile.parking || 'Not specified'}
 - Purpose: ${buyerProfile.purpose || 'Not specified'}
+- Commute anchors: ${anchors.map(a => `${a.label} (max ${a.max_minutes} min by ${a.mode}${a.days_per_week ? ', ' + a.days_per_week + 'x/week' : ''})`).join('; ') || 'None'}
+${buyerProfile.semantic_query ? `- In their own words: "${buyerProfile.semantic_query}"
+` : ''}`;
+}
 
-PROPERTY:
+function propertyBlock(buyerProfile, property, enrichment, heading = 'PROPERTY:') {
+  const commutes = property.commutes || [];
+  return `${heading}
 - Title: ${property.title}
 - Price: €${property.price?.toLocaleString()} (${property.price <= (buyerProfile.budget_max || 9999999) ? '€' + ((buyerProfile.budget_max || 0) - property.price).toLocaleString() + ' under max budget' : 'OVER budget'})
 - Beds: ${property.beds}, Baths: ${property.baths}, Size: ${property.sqm || '?'}m²
@@ -113,8 +176,12 @@ PROPERTY:
 - Parking: ${toArr(property.parking).join(', ') || 'None'}
 - Pet-friendly: ${property.pet_friendly || 'Unknown'}
 - EPC: ${property.epc_rating || 'Unknown'}
-- Description: ${(property.description || '').slice(0, 400)}
-${enrichment ? `
+${property.land_sqm ? `- Land: ${property.land_sqm.toLocaleString()}m²
+` : ''}${property.renovation_needed ? `- Work needed (read from the description): ${property.renovation_needed}
+` : ''}${property.red_flags?.length ? `- Red flags in the listing: ${property.red_flags.join('; ')}
+` : ''}- Description: ${(property.description || '').slice(0, 400)}
+${commutes.length ? `- Estimated travel times (approximate): ${commutes.map(c => `${c.label} ${c.minutes} min by ${c.mode} (max ${c.max_minutes})${c.within ? '' : ' — OVER LIMIT'}`).join('; ')}
+` : ''}${enrichment ? `
 NEIGHBOURHOOD DATA:
 - Walkability: ${enrichment.walkability}/10 (${enrichment.walkability_label || ''})
 - Type: ${enrichment.neighborhood_type || 'Unknown'}
@@ -130,52 +197,205 @@ NEIGHBOURHOOD DATA:
 - Coworking: ${enrichment.coworking_count_2km || 0} spaces within 2km
 - Beach: ${enrichment.beach_nearby ? 'Yes — ' + (enrichment.nearest_beach?.name || '') + ' (' + (enrichment.nearest_beach?.distance_km || '?') + ' km)' : 'No'}
 - Airport: ${enrichment.nearest_airport ? enrichment.nearest_airport.name + ' (' + enrichment.nearest_airport.distance_km + ' km)' : 'No major airport nearby'}
-` : ''}
-Score this property. Baseline is 65 — adjust based on how well it fits this buyer's lifestyle, vibe preferences, and priorities.`;
+` : ''}`;
+}
 
+// ─── Validated completions ───────────────────────────────────────────────────
+function checkReply(text, validate) {
   try {
+    return validate(parseJSONReply(text));
+  } catch (err) {
+    return { value: null, errors: [`reply is not valid JSON (${err.message})`] };
+  }
+}
+
+/**
+ * Ask Claude for JSON and validate it. An invalid reply gets ONE repair pass: the
+ * reply and the validation errors are sent back and Claude returns corrected JSON.
+ * @param {Object} request - { system?, messages, max_tokens }
+ * @param {Function} validate - (parsed) => { value, errors }, see ai-output.js
+ * @returns {Object} { value, repaired, errors } — errors may be non-empty for partially valid batches
+ * @throws {Error} with err.reason = 'invalid_output' when neither attempt is usable
+ */
+export async function completeJSON({ system, messages, max_tokens }, validate) {
+  const ask = async (msgs) => {
     const response = await client.messages.create({
-      model: 'claude-sonnet-4-5-20250929',
+      model: CLAUDE_MODEL,
+      max_tokens,
+      ...(system ? { system } : {}),
+      messages: msgs,
+    });
+    return response.content[0]?.text || '';
+  };
+
+  const text = await ask(messages);
+  const first = checkReply(text, validate);
+  if (first.value && first.errors.length === 0) return { value: first.value, repaired: false, errors: [] };
+
+  console.warn(`[AI Output] Invalid reply (${first.errors.slice(0, 3).join('; ')}) — requesting repair`);
+  const repairText = await ask([
+    ...messages,
+    { role: 'assistant', content: text || '(empty reply)' },
+    { role: 'user', content: `Your reply did not match the required format:\n- ${first.errors.join('\n- ')}\nReturn ONLY the corrected JSON, with no other text.` },
+  ]);
+  const second = checkReply(repairText, validate);
+
+  // Batch replies can be partly valid — keep whichever attempt is more complete
+  const best = second.value && (!first.value || second.errors.length <= first.errors.length) ? second : first;
+  if (!best.value) {
+    const err = new Error(`invalid AI output after repair: ${second.errors.slice(0, 3).join('; ')}`);
+    err.reason = 'invalid_output';
+    throw err;
+  }
+  return { value: best.value, repaired: best === second, errors: best.errors };
+}
+
+/**
+ * Score a single property against a buyer profile using Claude
+ * @param {Object} ruleWeights - weights for the rule-based fallback (see scoring-rules.js)
+ */
+export async function scoreWithAI(buyerProfile, property, enrichment, ruleWeights) {
+  if (!client) {
+    recordAIOutcome('score', 'fallback', 'disabled');
+    return scoreWithRules(buyerProfile, property, enrichment, ruleWeights);
+  }
+
+  const prompt = `
+${buyerProfileBlock(buyerProfile)}
+${propertyBlock(buyerProfile, property, enrichment)}
+Score this property. Baseline is 65 — adjust based on how well it fits this buyer's lifestyle, vibe preferences, and priorities.`;
+
+  try {
+    const { value, repaired } = await completeJSON({
       max_tokens: 500,
       system: buyerProfile.language === 'pt' ? SYSTEM_PROMPT_PT : SYSTEM_PROMPT_EN,
       messages: [{ role: 'user', content: prompt }],
-    });
-
-    const text = response.content[0]?.text || '';
-    const clean = text.replace(/```json|```/g, '').trim();
-    return JSON.parse(clean);
+    }, validateScore);
+    recordAIOutcome('score', repaired ? 'repaired' : 'ai');
+    return { ...value, source: 'ai' };
   } catch (err) {
     console.error('AI scoring error:', err.message);
-    return scoreWithRules(buyerProfile, property, enrichment);
+    recordAIOutcome('score', 'fallback', err.reason || 'api_error');
+    return scoreWithRules(buyerProfile, property, enrichment, ruleWeights);
   }
 }
 
 /**
- * Score multiple properties, return top results sorted by score
+ * Score several properties in ONE Claude request (profile sent once, JSON array back).
+ * Any property missing or invalid in the reply (after the repair pass) — or the whole
+ * reply if it won't parse — falls back to an individual scoreWithAI call.
+ * @returns {Array} scores in the same order as propertiesWithEnrichment
  */
-export async function scoreProperties(buyerProfile, propertiesWithEnrichment) {
-  const BATCH_SIZE = 5;
-  const results = [];
+export async function scoreBatchWithAI(buyerProfile, propertiesWithEnrichment, ruleWeights) {
+  if (!client) {
+    return propertiesWithEnrichment.map(({ property, enrichment }) => {
+      recordAIOutcome('score', 'fallback', 'disabled');
+      return scoreWithRules(buyerProfile, property, enrichment, ruleWeights);
+    });
+  }
+
+  const refs = propertiesWithEnrichment.map((_, i) => `P${i + 1}`);
+  const prompt = `
+${buyerProfileBlock(buyerProfile)}
+${propertiesWithEnrichment.map(({ property, enrichment }, i) => propertyBlock(buyerProfile, property, enrichment, `PROPERTY [${refs[i]}]:`)).join('\n')}
+Score each of the ${refs.length} properties (${refs.join(', ')}). Baseline is 65 — adjust based on how well each fits this buyer's lifestyle, vibe preferences, and priorities.`;
 
+  let byRef = {};
+  try {
+    const pt = buyerProfile.language === 'pt';
+    const { value, repaired } = await completeJSON({
+      max_tokens: 350 * refs.length + 200,
+      system: (pt ? SYSTEM_PROMPT_PT : SYSTEM_PROMPT_EN) + (pt ? BATCH_INSTRUCTIONS_PT : BATCH_INSTRUCTIONS_EN),
+      messages: [{ role: 'user', content: prompt }],
+    }, (parsed) => validateScoreBatch(parsed, refs));
+
+    for (const [ref, score] of Object.entries(value)) {
+      byRef[ref] = { ...score, source: 'ai' };
+      recordAIOutcome('score', repaired ? 'repaired' : 'ai');
+    }
+  } catch (err) {
+    console.error('AI batch scoring error:', err.message);
+    byRef = {};
+  }
+
+  const missing = refs.filter(r => !byRef[r]);
+  if (missing.length > 0) {
+    console.warn(`[AI Batch] ${missing.length}/${refs.length} properties missing from batch reply — scoring individually`);
+  }
+
+  return Promise.all(propertiesWithEnrichment.map(({ property, enrichment }, i) =>
+    byRef[refs[i]] || scoreWithAI(buyerProfile, property, enrichment, ruleWeights)
+  ));
+}
+
+// Scores aligned with the input, one Claude request or per-property requests.
+// onScore(index, score) fires as each score lands (all at once in batch mode)
+async function scoreAll(buyerProfile, propertiesWithEnrichment, mode, ruleWeights, onScore) {
+  if (propertiesWithEnrichment.length === 0) return [];
+  if (mode === 'batch') {
+    const scores = await scoreBatchWithAI(buyerProfile, propertiesWithEnrichment, ruleWeights);
+    scores.forEach((score, i) => onScore?.(i, score));
+    return scores;
+  }
+
+  const BATCH_SIZE = 5;
+  const scores = [];
   for (let i = 0; i < propertiesWithEnrichment.length; i += BATCH_SIZE) {
     const batch = propertiesWithEnrichment.slice(i, i + BATCH_SIZE);
-    const scores = await Promise.all(
-      batch.map(({ property, enrichment }) =>
-        scoreWithAI(buyerProfile, property, enrichment)
-      )
-    );
-
-    for (let j = 0; j < batch.length; j++) {
-      results.push({
-        property: batch[j].property,
-        enrichment: batch[j].enrichment,
-        score: scores[j],
-      });
+    scores.push(...await Promise.all(
+      batch.map(async ({ property, enrichment }, j) => {
+        const score = await scoreWithAI(buyerProfile, property, enrichment, ruleWeights);
+        onScore?.(i + j, score);
+        return score;
+      })
+    ));
+  }
+  return scores;
+}
+
+/**
+ * Score multiple properties, return the top 5 (or `limit`) — by score, or MMR re-ranked when diversity is set
+ * @param {Object} options
+ * @param {string} options.mode - 'batch' (one request for all) or 'per-property'
+ *   (defaults to AI_SCORING_MODE env, else 'batch')
+ * @param {Object} options.cache - optional score cache ({ lookup, store }, see score-cache.js);
+ *   only AI scores (source 'ai') are cached — rule-based scores are free to recompute
+ * @param {Object} options.ruleWeights - weights for the rule-based fallback (resolveWeights(...).rules)
+ * @param {Object} options.diversity - { lambda, dedupe, weights } from parseDiversityOptions (diversity.js), or null
+ * @param {Function} options.onScore - called with { property, enrichment, score } for every property
+ *   as soon as its score is known (cache hits first), before the final ranking
+ * @param {number} options.limit - how many to return (null: all of them, by score)
+ */
+export async function scoreProperties(buyerProfile, propertiesWithEnrichment, { mode = process.env.AI_SCORING_MODE || 'batch', cache = null, ruleWeights, diversity = null, onScore = null, limit = 5 } = {}) {
+  const useCache = !!(cache && client);
+  const cached = useCache
+    ? await cache.lookup(buyerProfile, propertiesWithEnrichment)
+    : propertiesWithEnrichment.map(() => null);
+  propertiesWithEnrichment.forEach((pe, i) => { if (cached[i]) onScore?.({ ...pe, score: cached[i] }); });
+
+  const misses = propertiesWithEnrichment.filter((_, i) => !cached[i]);
+  const fresh = await scoreAll(buyerProfile, misses, mode, ruleWeights, onScore && ((j, score) => onScore({ ...misses[j], score })));
+  const freshResults = misses.map((pe, j) => ({ ...pe, score: fresh[j] }));
+
+  if (useCache) {
+    if (misses.length < propertiesWithEnrichment.length) {
+      console.log(`[Score Cache] ${propertiesWithEnrichment.length - misses.length}/${propertiesWithEnrichment.length} scores from cache`);
     }
+    await cache.store(buyerProfile, freshResults.filter(r => r.score?.source === 'ai'));
   }
 
+  const results = [
+    ...propertiesWithEnrichment
+      .map((pe, i) => cached[i] ? { ...pe, score: cached[i] } : null)
+      .filter(Boolean),
+    ...freshResults,
+  ];
+
+  if (diversity && limit) {
+    return diversify(results, { ...diversity, limit, relevance: r => r.score?.score || 0 });
+  }
   results.sort((a, b) => (b.score?.score || 0) - (a.score?.score || 0));
-  return results.slice(0, 5);
+  return limit ? results.slice(0, limit) : results;
 }
 
 /**
@@ -183,13 +403,12 @@ export async function scoreProperties(buyerProfile, propertiesWithEnrichment) {
  */
 export async function generatePersona(profile) {
   if (!client) {
-    return fallbackPersona(profile);
+    recordAIOutcome('persona', 'fallback', 'disabled');
+    return { ...fallbackPersona(profile), source: 'rules' };
   }
 
   try {
-    const toArr = (v) => Array.isArray(v) ? v : (v ? [v] : []);
-    const response = await client.messages.create({
-      model: 'claude-sonnet-4-5-20250929',
+    const { value, repaired } = await completeJSON({
       max_tokens: 250,
       messages: [{
         role: 'user',
@@ -197,24 +416,185 @@ export async function generatePersona(profile) {
 Profile: ${profile.buyer_type || 'Home buyer'}, searching on the Silver Coast Portugal, budget €${(profile.budget_min || 0).toLocaleString()}–€${(profile.budget_max || 0).toLocaleString()}, wants ${profile.outdoor_space || 'flexible'} outdoor space, area: ${profile.setting || 'flexible'}, vibe: ${toArr(profile.vibe).join(', ') || 'not specified'}, priorities: ${toArr(profile.priorities).join(', ') || 'none specified'}, pets: ${profile.pets || 'none'}, transport: ${profile.transport || 'car'}, features: ${toArr(profile.features).join(', ') || 'none'}, purpose: ${profile.purpose || 'primary home'}.
 Return ONLY JSON: { "emoji": "🌿", "title": "The Urban Gardener", "description": "..." }`
       }],
-    });
-
-    const text = response.content[0]?.text || '';
-    return JSON.parse(text.replace(/```json|```/g, '').trim());
+    }, validatePersona);
+    recordAIOutcome('persona', repaired ? 'repaired' : 'ai');
+    return { ...value, source: 'ai' };
   } catch (err) {
     console.error('Persona error:', err.message);
-    return fallbackPersona(profile);
+    recordAIOutcome('persona', 'fallback', err.reason || 'api_error');
+    return { ...fallbackPersona(profile), source: 'rules' };
+  }
+}
+
+/**
+ * Read features, parking, pet suitability, renovation, land size and red flags out of a
+ * listing (see feature-extraction.js). Falls back to keyword rules without an API key.
+ * @returns {Object} { value, model, source: 'ai' | 'rules' }
+ */
+export async function extractListingDetails(property) {
+  if (!client) {
+    recordAIOutcome('extraction', 'fallback', 'disabled');
+    return { value: extractWithRules(property), model: RULES_MODEL, source: 'rules' };
+  }
+
+  try {
+    const { value, repaired } = await completeJSON({
+      system: EXTRACTION_PROMPT,
+      max_tokens: 700,
+      messages: [{
+        role: 'user',
+        content: `TITLE: ${property.title || ''}
+TYPE: ${property.property_type || 'unknown'}, ${property.beds ?? '?'} bed, ${property.sqm || '?'}m², ${property.city || ''}
+CONDITION (from the portal, often a default): ${property.condition || 'unknown'}
+LISTED FEATURES: ${toArr(property.features).join(', ') || 'none'}
+
+DESCRIPTION:
+${String(property.description || '').slice(0, 4000) || '(none)'}`
+      }],
+    }, validateExtraction);
+    recordAIOutcome('extraction', repaired ? 'repaired' : 'ai');
+    return { value, model: CLAUDE_MODEL, source: 'ai' };
+  } catch (err) {
+    console.error('Extraction error:', err.message);
+    recordAIOutcome('extraction', 'fallback', err.reason || 'api_error');
+    return { value: extractWithRules(property), model: RULES_MODEL, source: 'rules' };
+  }
+}
+
+/**
+ * Translate a listing's description between Portuguese and English and write a short
+ * tagline in both (see translation.js). Without an API key the source text is kept as-is.
+ * @returns {Object} { value, model, source: 'ai' | 'rules' }
+ */
+export async function translateListing(property) {
+  if (!property.description || !client) {
+    if (!client) recordAIOutcome('translation', 'fallback', 'disabled');
+    return { value: translateWithRules(property), model: RULES_MODEL, source: 'rules' };
+  }
+
+  try {
+    const { value, repaired } = await completeJSON({
+      max_tokens: 3000,
+      messages: [{
+        role: 'user',
+        content: `Translate this Portuguese real-estate listing between European Portuguese (Portugal, not Brazil) and British English. Keep the meaning, facts and numbers exactly; don't add anything. Keep place names and Portuguese terms buyers will meet (e.g. T3, quinta, concelho) in both versions. The version in the source language is the original text, unchanged.
+Also write a tagline in each language: one catchy but factual line of at most ${MAX_TAGLINE_LENGTH} characters, no price, no emoji.
+
+TITLE: ${property.title || ''}
+TYPE: ${property.property_type || 'unknown'}, ${property.beds ?? '?'} bed, ${property.sqm || '?'}m², ${property.city || ''}
+
+DESCRIPTION:
+${property.description.slice(0, 5000)}
+
+Return ONLY JSON: { "source_language": "pt", "description_en": "...", "description_pt": "...", "tagline_en": "...", "tagline_pt": "..." }`
+      }],
+    }, validateTranslation);
+    recordAIOutcome('translation', repaired ? 'repaired' : 'ai');
+    // The original is kept verbatim rather than Claude's copy of it
+    return { value: { ...value, [`description_${value.source_language}`]: property.description }, model: CLAUDE_MODEL, source: 'ai' };
+  } catch (err) {
+    console.error('Translation error:', err.message);
+    recordAIOutcome('translation', 'fallback', err.reason || 'api_error');
+    return { value: translateWithRules(property), model: RULES_MODEL, source: 'rules' };
+  }
+}
+
+/**
+ * Comparison narrative for a shortlist, written for the buyer's profile
+ * @param {Array} items - [{ property, enrichment }] (2-4)
+ * @param {Object} table - buildComparison(items), used for the rule-based fallback
+ * @returns {Object} { summary, properties: [{ property_id, pros, cons }], best_fit_id, source }
+ */
+export async function compareWithAI(buyerProfile, items, table) {
+  const fallback = () => ({ summary: describeComparison(table, buyerProfile.language), properties: [], best_fit_id: null, source: 'rules' });
+  if (!client) {
+    recordAIOutcome('comparison', 'fallback', 'disabled');
+    return fallback();
+  }
+
+  const ids = items.map(({ property }) => String(property.id));
+  const pt = buyerProfile.language === 'pt';
+  try {
+    const { value, repaired } = await completeJSON({
+      max_tokens: 1200,
+      system: pt ? SYSTEM_PROMPT_PT : SYSTEM_PROMPT_EN,
+      messages: [{
+        role: 'user',
+        content: `${buyerProfileBlock(buyerProfile)}
+The buyer has shortlisted these homes and wants them compared side by side:
+${items.map(({ property, enrichment }) => propertyBlock(buyerProfile, property, enrichment, `PROPERTY [${property.id}]:`)).join('\n')}
+Compare them for THIS buyer: what each does best, the trade-offs between them, and which fits their profile best (or null if it's genuinely a toss-up). Be concrete — use prices, distances and counts from the data. Write in ${pt ? 'Portuguese (European/Portugal)' : 'English'}, addressed to the buyer; the summary is 3-5 sentences.
+Return ONLY JSON: { "summary": "...", "properties": [{ "property_id": "${ids[0]}", "pros": ["..."], "cons": ["..."] }], "best_fit_id": "${ids[0]}" }`
+      }],
+    }, raw => validateComparison(raw, ids));
+    recordAIOutcome('comparison', repaired ? 'repaired' : 'ai');
+    return { ...value, source: 'ai' };
+  } catch (err) {
+    console.error('Comparison error:', err.message);
+    recordAIOutcome('comparison', 'fallback', err.reason || 'api_error');
+    return fallback();
   }
 }
 
 /**
- * Rule-based fallback scoring — starts at 65 baseline
+ * Turn a buyer's follow-up message into profile deltas
+ * @param {Object} profile - current buyer profile
+ * @param {string} message - e.g. "cheaper, and closer to the beach"
+ * @param {Array} lastMatches - previous results, for relative asks ("cheaper than these")
+ * @returns {Object} { deltas, explanation }
  */
-function scoreWithRules(profile, property, enrichment) {
-  let score = 65;
+export async function interpretRefinement(profile, message, lastMatches = []) {
+  if (!client) {
+    recordAIOutcome('refinement', 'fallback', 'disabled');
+    return interpretWithRules(profile, message);
+  }
+
+  try {
+    const { value, repaired } = await completeJSON({
+      max_tokens: 400,
+      messages: [{
+        role: 'user',
+        content: `A home buyer on Portugal's Silver Coast is refining their property search. Turn their message into changes to the search profile.
+
+CURRENT PROFILE:
+- Budget: €${(profile.budget_min || 0).toLocaleString()} – €${(profile.budget_max || 0).toLocaleString()}
+- Min beds: ${profile.min_beds || 1}, Min baths: ${profile.min_baths || 1}, Min size: ${profile.min_sqm || 'any'}m²
+- Only property types: ${toArr(profile.property_types).join(', ') || 'any'}; excluded: ${toArr(profile.exclude_property_types).join(', ') || 'none'}
+- Concelhos: ${toArr(profile.concelhos || profile.raw_answers?.concelhos).join(', ') || 'all'}
+- Area type: ${profile.setting || 'flexible'}, Condition: ${profile.property_condition || 'any'}
+- Features: ${toArr(profile.features).join(', ') || 'none'}
+- Priorities: ${toArr(profile.priorities).join(', ') || 'none'}
+- Vibe: ${toArr(profile.vibe).join(', ') || 'none'}
+
+CURRENT RESULTS:
+${lastMatches.map(m => `- ${m.title} — €${(m.price || 0).toLocaleString()}, ${m.property_type}, ${m.city}`).join('\n') || '- none'}
+
+BUYER SAYS: "${message}"
+
+Relative asks must become concrete numbers (e.g. "cheaper" → a budget_max about 15% lower, or below the cheaper current results). Property types must come from: ${PROPERTY_TYPES.join(', ')}. Omit anything the buyer did not ask to change. Write the explanation in ${profile.language === 'pt' ? 'Portuguese (European/Portugal)' : 'English'}, one or two sentences addressed to the buyer.
+Return ONLY JSON with any of these keys:
+{ "budget_min": 0, "budget_max": 0, "min_beds": 0, "min_baths": 0, "min_sqm": 0, "setting": "", "property_condition": "", "property_types": [], "exclude_property_types": [], "concelhos": [], "add_features": [], "remove_features": [], "add_priorities": [], "remove_priorities": [], "add_vibe": [], "remove_vibe": [], "explanation": "" }`
+      }],
+    }, validateRefinement);
+    recordAIOutcome('refinement', repaired ? 'repaired' : 'ai');
+    return value;
+  } catch (err) {
+    console.error('Refinement error:', err.message);
+    recordAIOutcome('refinement', 'fallback', err.reason || 'api_error');
+    return interpretWithRules(profile, message);
+  }
+}
+
+/**
+ * Rule-based fallback scoring — starts at the rule set's baseline (65 by default)
+ * @param {Object} w - rules weights (resolveWeights(...).rules), defaults to the built-in set
+ */
+function scoreWithRules(profile, property, enrichment, w = DEFAULT_WEIGHTS.rules) {
+  const tally = createTally(w.base);
   const highlights = [];
   const concerns = [];
   const pt = profile.language === 'pt';
+  const tr = (en, ptText) => pt ? ptText : en;
 
   // Budget (+12 / -10)
   const price = property.price || 0;
@@ -223,108 +603,130 @@ function scoreWithRules(profile, property, enrichment) {
   if (price >= bMin && price <= bMax) {
     const savings = bMax - price;
     const savingsPct = bMax > 0 ? savings / bMax : 0;
-    if (savingsPct >= 0.3) { score += 12; highlights.push(pt ? `€${Math.round(savings/1000)}K abaixo do orçamento` : `€${Math.round(savings/1000)}K under budget`); }
-    else if (savingsPct >= 0.15) { score += 8; highlights.push(pt ? 'Bem dentro do orçamento' : 'Well within budget'); }
-    else { score += 4; }
+    const evidence = tr(`€${Math.round(savings/1000)}K under max budget`, `€${Math.round(savings/1000)}K abaixo do máximo`);
+    if (savingsPct >= 0.3) { tally.add('budget', w.budget_savings_30, evidence); highlights.push(pt ? `€${Math.round(savings/1000)}K abaixo do orçamento` : `€${Math.round(savings/1000)}K under budget`); }
+    else if (savingsPct >= 0.15) { tally.add('budget', w.budget_savings_15, evidence); highlights.push(pt ? 'Bem dentro do orçamento' : 'Well within budget'); }
+    else { tally.add('budget', w.budget_in_range, evidence); }
   } else if (price <= bMax * 1.1) {
-    score -= 3;
+    tally.add('budget', w.budget_slightly_over, tr(`€${Math.round((price - bMax)/1000)}K over max budget`, `€${Math.round((price - bMax)/1000)}K acima do máximo`));
     concerns.push(pt ? 'Ligeiramente acima do orçamento' : 'Slightly above budget');
   } else {
-    score -= 10;
+    tally.add('budget', w.budget_over, tr(`€${Math.round((price - bMax)/1000)}K over max budget`, `€${Math.round((price - bMax)/1000)}K acima do máximo`));
     concerns.push(pt ? 'Acima do orçamento' : 'Above budget');
   }
 
   // Size & beds (+8 / -5)
   if (profile.min_sqm && profile.min_sqm > 0 && property.sqm) {
-    if (property.sqm >= profile.min_sqm * 1.2) { score += 5; highlights.push(pt ? `${property.sqm}m² — espaçoso` : `${property.sqm}m² — spacious`); }
-    else if (property.sqm >= profile.min_sqm) { score += 3; }
-    else { score -= 3; }
+    const evidence = `${property.sqm}m² / min ${profile.min_sqm}m²`;
+    if (property.sqm >= profile.min_sqm * 1.2) { tally.add('size', w.sqm_spacious, evidence); highlights.push(pt ? `${property.sqm}m² — espaçoso` : `${property.sqm}m² — spacious`); }
+    else if (property.sqm >= profile.min_sqm) { tally.add('size', w.sqm_meets, evidence); }
+    else { tally.add('size', w.sqm_below, evidence); }
   }
-  if (property.beds >= (profile.min_beds || 1)) { score += 3; }
-  else { score -= 5; concerns.push(pt ? 'Quartos insuficientes' : 'Not enough bedrooms'); }
+  const bedsEvidence = tr(`${property.beds} beds / min ${profile.min_beds || 1}`, `${property.beds} quartos / mín. ${profile.min_beds || 1}`);
+  if (property.beds >= (profile.min_beds || 1)) { tally.add('bedrooms', w.beds_meets, bedsEvidence); }
+  else { tally.add('bedrooms', w.beds_short, bedsEvidence); concerns.push(pt ? 'Quartos insuficientes' : 'Not enough bedrooms'); }
 
   // Walkability & transport (+10 / -5)
   const transport = (profile.transport || '').toLowerCase();
   const walkScore = enrichment?.walkability ?? property.walkability;
   const needsWalk = transport.includes('walking') || transport.includes('pé') || transport.includes('public') || transport.includes('público') || transport.includes('bicycle') || transport.includes('bicicleta');
+  const walkEvidence = tr(`walkability ${walkScore ?? '?'}/10`, `caminhabilidade ${walkScore ?? '?'}/10`);
   if (needsWalk) {
-    if (walkScore >= 7) { score += 8; highlights.push(pt ? `Caminhável (${walkScore}/10)` : `Walkable (${walkScore}/10)`); }
-    else if (walkScore >= 5) { score += 4; }
-    else if (walkScore != null && walkScore < 3) { score -= 5; concerns.push(pt ? 'Dependente de carro' : 'Car-dependent'); }
-    if (enrichment?.transport_count_500m >= 2) { score += 2; }
+    if (walkScore >= 7) { tally.add('walkability', w.walk_needed_high, walkEvidence); highlights.push(pt ? `Caminhável (${walkScore}/10)` : `Walkable (${walkScore}/10)`); }
+    else if (walkScore >= 5) { tally.add('walkability', w.walk_needed_mid, walkEvidence); }
+    else if (walkScore != null && walkScore < 3) { tally.add('walkability', w.walk_needed_poor, walkEvidence); concerns.push(pt ? 'Dependente de carro' : 'Car-dependent'); }
+    if (enrichment?.transport_count_500m >= 2) { tally.add('walkability', w.walk_needed_transit_stops, tr(`${enrichment.transport_count_500m} transport stops within 500m`, `${enrichment.transport_count_500m} paragens a 500m`)); }
   } else {
-    if (walkScore >= 7) { score += 3; }
+    if (walkScore >= 7) { tally.add('walkability', w.walk_car_high, walkEvidence); }
   }
 
   // Area type (+8 / -3)
   const setting = (profile.setting || '').toLowerCase();
   if (setting.includes('beach') || setting.includes('praia')) {
-    if (enrichment?.beach_nearby) { score += 8; highlights.push(pt ? `Praia a ${enrichment.nearest_beach?.distance_km || '?'} km` : `Beach ${enrichment.nearest_beach?.distance_km || '?'} km`); }
-    else { score -= 3; }
+    if (enrichment?.beach_nearby) { tally.add('area', w.setting_beach, tr(`beach ${enrichment.nearest_beach?.distance_km || '?'} km`, `praia a ${enrichment.nearest_beach?.distance_km || '?'} km`)); highlights.push(pt ? `Praia a ${enrichment.nearest_beach?.distance_km || '?'} km` : `Beach ${enrichment.nearest_beach?.distance_km || '?'} km`); }
+    else { tally.add('area', w.setting_beach_missing, tr('no beach nearby', 'sem praia perto')); }
   } else if (setting.includes('urban') || setting.includes('urbano')) {
-    if (enrichment?.neighborhood_type === 'urban' || walkScore >= 7) { score += 6; }
+    if (enrichment?.neighborhood_type === 'urban' || walkScore >= 7) { tally.add('area', w.setting_urban, tr('urban area', 'zona urbana')); }
   } else if (setting.includes('country') || setting.includes('campo')) {
-    if (enrichment?.neighborhood_type === 'rural') { score += 6; }
-  } else { score += 3; }
-  if (!setting.includes('beach') && !setting.includes('praia') && enrichment?.beach_nearby) { score += 2; }
+    if (enrichment?.neighborhood_type === 'rural') { tally.add('area', w.setting_country, tr('rural area', 'zona rural')); }
+  } else { tally.add('area', w.setting_flexible, tr('flexible on area type', 'zona flexível')); }
+  if (!setting.includes('beach') && !setting.includes('praia') && enrichment?.beach_nearby) { tally.add('area', w.beach_bonus, tr('beach nearby', 'praia perto')); }
 
   // Neighbourhood vibe match (+6 max)
   const vibes = (profile.vibe || []).map(v => v.toLowerCase());
   const pVibes = (property.neighborhood_vibe || []).map(v => v.toLowerCase());
   const desc = (property.description || '').toLowerCase();
-  let vibeHits = 0;
+  const matchedVibes = [];
   vibes.forEach(v => {
-    if (v.includes('family') || v.includes('familiar')) { if (pVibes.some(pv => pv.includes('family')) || desc.includes('familiar') || desc.includes('family') || desc.includes('tranquil')) vibeHits++; }
-    else if (v.includes('nightlife') || v.includes('noturna')) { if (pVibes.some(pv => pv.includes('nightlife')) || enrichment?.restaurants_count_1km >= 5) vibeHits++; }
-    else if (v.includes('artsy') || v.includes('artístico') || v.includes('artistico')) { if (pVibes.some(pv => pv.includes('artsy') || pv.includes('creative'))) vibeHits++; }
-    else if (v.includes('quiet') || v.includes('calmo') || v.includes('tranquilo')) { if (pVibes.some(pv => pv.includes('quiet') || pv.includes('peaceful')) || (walkScore != null && walkScore <= 5)) vibeHits++; }
-    else if (v.includes('nature') || v.includes('natureza')) { if (pVibes.some(pv => pv.includes('nature')) || enrichment?.parks_count_1km >= 2 || enrichment?.neighborhood_type === 'rural') vibeHits++; }
-    else if (v.includes('upscale') || v.includes('sofisticado') || v.includes('exclusivo')) { if (pVibes.some(pv => pv.includes('upscale') || pv.includes('luxury'))) vibeHits++; }
-    else if (v.includes('surf') || v.includes('descontraído') || v.includes('laid-back')) { if (enrichment?.beach_nearby || desc.includes('surf') || desc.includes('praia')) vibeHits++; }
-    else if (v.includes('community') || v.includes('comunidade')) { if (desc.includes('comunidade') || desc.includes('community') || desc.includes('aldeia') || desc.includes('village')) vibeHits++; }
+    if (v.includes('family') || v.includes('familiar')) { if (pVibes.some(pv => pv.includes('family')) || desc.includes('familiar') || desc.includes('family') || desc.includes('tranquil')) matchedVibes.push(v); }
+    else if (v.includes('nightlife') || v.includes('noturna')) { if (pVibes.some(pv => pv.includes('nightlife')) || enrichment?.restaurants_count_1km >= 5) matchedVibes.push(v); }
+    else if (v.includes('artsy') || v.includes('artístico') || v.includes('artistico')) { if (pVibes.some(pv => pv.includes('artsy') || pv.includes('creative'))) matchedVibes.push(v); }
+    else if (v.includes('quiet') || v.includes('calmo') || v.includes('tranquilo')) { if (pVibes.some(pv => pv.includes('quiet') || pv.includes('peaceful')) || (walkScore != null && walkScore <= 5)) matchedVibes.push(v); }
+    else if (v.includes('nature') || v.includes('natureza')) { if (pVibes.some(pv => pv.includes('nature')) || enrichment?.parks_count_1km >= 2 || enrichment?.neighborhood_type === 'rural') matchedVibes.push(v); }
+    else if (v.includes('upscale') || v.includes('sofisticado') || v.includes('exclusivo')) { if (pVibes.some(pv => pv.includes('upscale') || pv.includes('luxury'))) matchedVibes.push(v); }
+    else if (v.includes('surf') || v.includes('descontraído') || v.includes('laid-back')) { if (enrichment?.beach_nearby || desc.includes('surf') || desc.includes('praia')) matchedVibes.push(v); }
+    else if (v.includes('community') || v.includes('comunidade')) { if (desc.includes('comunidade') || desc.includes('community') || desc.includes('aldeia') || desc.includes('village')) matchedVibes.push(v); }
+  });
+  tally.add('vibe', Math.min(matchedVibes.length * w.vibe_match, w.vibe_cap), matchedVibes.join(', '));
+
+  // Commute to anchor points (+4 / -5 each)
+  (property.commutes || []).forEach(c => {
+    if (c.within) {
+      tally.add('commute', c.minutes <= c.max_minutes * 0.75 ? w.commute_comfortable : w.commute_within, `${c.label} ~${c.minutes}/${c.max_minutes} min`);
+      if (c.days_per_week >= 3) highlights.push(`${c.label}: ~${c.minutes} min`);
+    } else {
+      tally.add('commute', w.commute_over, `${c.label} ~${c.minutes}/${c.max_minutes} min`);
+      concerns.push(pt ? `${c.label}: ~${c.minutes} min (máx. ${c.max_minutes})` : `${c.label}: ~${c.minutes} min (max ${c.max_minutes})`);
+    }
   });
-  score += Math.min(vibeHits * 3, 6);
 
   // Buyer type (+5)
   const bt = (profile.buyer_type || '').toLowerCase();
   if (bt.includes('retired') || bt.includes('reformado')) {
-    if (enrichment?.hospitals_count_5km >= 1) { score += 4; }
-    else if (enrichment?.pharmacies_count_1km >= 1) { score += 2; }
+    if (enrichment?.hospitals_count_5km >= 1) { tally.add('buyer_type', w.retired_hospital, tr('hospital within 5km', 'hospital a menos de 5km')); }
+    else if (enrichment?.pharmacies_count_1km >= 1) { tally.add('buyer_type', w.retired_pharmacy, tr('pharmacy within 1km', 'farmácia a menos de 1km')); }
   }
-  if ((bt.includes('family') || bt.includes('família')) && ['excellent','good'].includes(enrichment?.schools)) { score += 4; highlights.push(pt ? 'Boas escolas perto' : 'Good schools nearby'); }
-  if ((bt.includes('family') || bt.includes('família')) && enrichment?.playgrounds_count_1km >= 1) { score += 3; highlights.push(pt ? 'Parques infantis perto' : 'Playgrounds nearby'); }
-  if ((bt.includes('remote') || bt.includes('remoto')) && property.sqm >= 100) { score += 2; }
+  if ((bt.includes('family') || bt.includes('família')) && ['excellent','good'].includes(enrichment?.schools)) { tally.add('buyer_type', w.family_schools, tr(`${enrichment.schools} schools`, `escolas: ${enrichment.schools}`)); highlights.push(pt ? 'Boas escolas perto' : 'Good schools nearby'); }
+  if ((bt.includes('family') || bt.includes('família')) && enrichment?.playgrounds_count_1km >= 1) { tally.add('buyer_type', w.family_playgrounds, tr('playgrounds within 1km', 'parques infantis a 1km')); highlights.push(pt ? 'Parques infantis perto' : 'Playgrounds nearby'); }
+  if ((bt.includes('remote') || bt.includes('remoto')) && property.sqm >= 100) { tally.add('buyer_type', w.remote_space, tr(`${property.sqm}m² — room for an office`, `${property.sqm}m² — espaço para escritório`)); }
 
   // Priorities (+3 each, max +12)
   const prios = (profile.priorities || []).map(p => p.toLowerCase());
-  let hits = 0;
-  if (prios.some(p => p.includes('beach') || p.includes('praia')) && enrichment?.beach_nearby) hits++;
-  if (prios.some(p => p.includes('school') || p.includes('escola')) && ['excellent','good'].includes(enrichment?.schools)) hits++;
-  if (prios.some(p => p.includes('walkable') || p.includes('caminhável')) && walkScore >= 7) hits++;
-  if (prios.some(p => p.includes('restaurant') || p.includes('restaurante')) && enrichment?.restaurants_count_1km >= 3) hits++;
-  if (prios.some(p => p.includes('hospital') || p.includes('saúde') || p.includes('healthcare')) && (enrichment?.hospitals_count_5km >= 1 || enrichment?.healthcare_count_1km >= 1)) hits++;
-  if (prios.some(p => p.includes('peace') || p.includes('paz') || p.includes('sossego')) && walkScore <= 5) hits++;
-  if (prios.some(p => p.includes('nature') || p.includes('natureza')) && enrichment?.parks_count_1km >= 2) hits++;
-  if (prios.some(p => p.includes('playground') || p.includes('infantil') || p.includes('infantis')) && enrichment?.playgrounds_count_1km >= 1) hits++;
-  score += Math.min(hits * 3, 12);
+  const matchedPrios = [];
+  if (prios.some(p => p.includes('beach') || p.includes('praia')) && enrichment?.beach_nearby) matchedPrios.push('beach');
+  if (prios.some(p => p.includes('school') || p.includes('escola')) && ['excellent','good'].includes(enrichment?.schools)) matchedPrios.push('schools');
+  if (prios.some(p => p.includes('walkable') || p.includes('caminhável')) && walkScore >= 7) matchedPrios.push('walkable');
+  if (prios.some(p => p.includes('restaurant') || p.includes('restaurante')) && enrichment?.restaurants_count_1km >= 3) matchedPrios.push('restaurants');
+  if (prios.some(p => p.includes('hospital') || p.includes('saúde') || p.includes('healthcare')) && (enrichment?.hospitals_count_5km >= 1 || enrichment?.healthcare_count_1km >= 1)) matchedPrios.push('healthcare');
+  if (prios.some(p => p.includes('peace') || p.includes('paz') || p.includes('sossego')) && walkScore <= 5) matchedPrios.push('peace & quiet');
+  if (prios.some(p => p.includes('nature') || p.includes('natureza')) && enrichment?.parks_count_1km >= 2) matchedPrios.push('nature');
+  if (prios.some(p => p.includes('playground') || p.includes('infantil') || p.includes('infantis')) && enrichment?.playgrounds_count_1km >= 1) matchedPrios.push('playgrounds');
+  tally.add('priorities', Math.min(matchedPrios.length * w.priority_match, w.priority_cap), matchedPrios.join(', '));
+
+  // Free-text wish matched in the description (+5 × match strength)
+  if (property.semantic_match) {
+    tally.add('description', Math.round(w.semantic_match * property.semantic_match), tr(`matches "${profile.semantic_query}"`, `corresponde a "${profile.semantic_query}"`));
+  }
 
   // Convenience (+3)
-  if (enrichment?.shops_count_1km >= 3 && enrichment?.restaurants_count_1km >= 3) { score += 3; }
+  if (enrichment?.shops_count_1km >= 3 && enrichment?.restaurants_count_1km >= 3) { tally.add('convenience', w.convenience, tr('shops and restaurants within 1km', 'lojas e restaurantes a 1km')); }
 
   // Pets (+3 / -3)
   const pets = (profile.pets || '').toLowerCase();
   if (pets.includes('dog') || pets.includes('cão') || pets.includes('cat') || pets.includes('gato')) {
-    if (property.pet_friendly) { score += 3; }
-    else { score -= 3; concerns.push(pt ? 'Não aceita animais' : 'Not pet-friendly'); }
+    if (property.pet_friendly) { tally.add('pets', w.pets_ok, tr('pet-friendly', 'aceita animais')); }
+    else { tally.add('pets', w.pets_not_ok, tr('not pet-friendly', 'não aceita animais')); concerns.push(pt ? 'Não aceita animais' : 'Not pet-friendly'); }
   }
 
   return {
-    score: Math.min(98, Math.max(30, score)),
+    score: Math.min(w.max, Math.max(w.min, tally.score)),
     highlights: highlights.slice(0, 5),
     concerns: concerns.slice(0, 3),
     reasoning: pt
       ? `Pontuação baseada em orçamento, localização, ambiente, caminhabilidade (${walkScore || '?'}/10) e prioridades.`
       : `Score based on budget, location, vibe, walkability (${walkScore || '?'}/10), and priorities.`,
+    breakdown: tally.breakdown(),
+    source: 'rules',
   };
 }
 
@@ -0,0 +1,156 @@
+/**
+ * homeAImatch — Casafari Sync State
+ *
+ * What lets a Casafari sync pick up where the last one left off:
+ *  - a high-water mark per concelho (`casafari_sync_state`): when the last complete sync
+ *    of it started. The next sync only asks for listings changed since then (minus an
+ *    hour of overlap), instead of re-downloading the whole concelho.
+ *  - a checkpoint when a sync stops early (maxCalls or the monthly budget): the next
+ *    sync of the same concelhos carries on from that page with the same change filter.
+ *  - the number of API calls made this month (`casafari_api_usage`), checked before
+ *    every page against CASAFARI_MONTHLY_CALL_BUDGET.
+ *
+ * casafari_sync_state: location_id, high_water_mark, last_full_sync_at, checkpoint (json), updated_at
+ * casafari_api_usage: month ('2025-01', primary key), calls, updated_at
+ *
+ * Calls are counted in the database so workers running side by side can't both take the
+ * last one:
+ *   create function increment_casafari_api_calls(p_month text, p_budget int) returns int
+ *   language sql as $$
+ *     insert into casafari_api_usage as u (month, calls, updated_at) values (p_month, 1, now())
+ *     on conflict (month) do update set calls = u.calls + 1, updated_at = now()
+ *       where u.calls < p_budget
+ *     returning calls;
+ *   $$;
+ *
+ * Usage:
+ *   const casafariState = createCasafariState(supabase);
+ *   const plan = await casafariState.plan(locationIds);  // { mode, changed_since, offset, … }
+ *   if (await casafariState.recordCall() == null) { … budget used … }
+ */
+
+export const DEFAULT_MONTHLY_CALL_BUDGET = 1000;
+
+// Re-fetch a little before the mark — listing timestamps and our clock don't agree exactly
+const HIGH_WATER_OVERLAP_MS = 60 * 60 * 1000;
+
+const currentMonth = () => new Date().toISOString().slice(0, 7);
+
+// Checkpoints belong to one exact set of concelhos
+const scopeKey = (locationIds) => locationIds.map(Number).sort((a, b) => a - b).join(',');
+
+/**
+ * @param {Object} supabase - Supabase client
+ * @param {Object} options
+ * @param {number} options.monthlyBudget - Casafari API calls allowed per calendar month
+ * @returns {Object} { plan, saveCheckpoint, complete, locations, usage, recordCall }
+ */
+export function createCasafariState(supabase, { monthlyBudget = Number(process.env.CASAFARI_MONTHLY_CALL_BUDGET) || DEFAULT_MONTHLY_CALL_BUDGET } = {}) {
+  // State rows for these concelhos (all of them when locationIds is null)
+  async function locations(locationIds = null) {
+    let query = supabase.from('casafari_sync_state').select('*').order('location_id');
+    if (locationIds) query = query.in('location_id', locationIds);
+    const { data, error } = await query;
+    if (error) throw new Error(`Casafari sync state load failed: ${error.message}`);
+    return data || [];
+  }
+
+  /**
+   * How the next sync of these concelhos should run
+   * @param {Object} options
+   * @param {boolean} options.full - ignore high-water marks and fetch everything
+   * @param {boolean} options.resume - carry on from a checkpoint when there is one
+   * @returns {Object} { mode: 'full' | 'incremental', changed_since, offset, seen_since, resumed_from }
+   *   — seen_since is when the interrupted sync started (null for a fresh one)
+   */
+  async function plan(locationIds, { full = false, resume = true } = {}) {
+    const rows = await locations(locationIds);
+    const byId = new Map(rows.map(r => [Number(r.location_id), r]));
+    const states = locationIds.map(id => byId.get(Number(id)) || null);
+
+    const checkpoint = states[0]?.checkpoint;
+    const sameCheckpoint = checkpoint && states.every(s => s?.checkpoint?.sync_id === checkpoint.sync_id);
+    if (resume && sameCheckpoint && checkpoint.scope === scopeKey(locationIds) && (!full || checkpoint.mode === 'full')) {
+      return {
+        mode: checkpoint.mode,
+        changed_since: checkpoint.changed_since,
+        offset: checkpoint.offset,
+        seen_since: checkpoint.seen_since,
+        resumed_from: checkpoint.sync_id,
+      };
+    }
+
+    const marks = states.map(s => s?.high_water_mark);
+    if (full || marks.some(m => !m)) {
+      return { mode: 'full', changed_since: null, offset: 0, seen_since: null, resumed_from: null };
+    }
+    const oldest = Math.min(...marks.map(m => new Date(m).getTime()));
+    return {
+      mode: 'incremental',
+      changed_since: new Date(oldest - HIGH_WATER_OVERLAP_MS).toISOString(),
+      offset: 0,
+      seen_since: null,
+      resumed_from: null,
+    };
+  }
+
+  async function upsert(locationIds, fields) {
+    const now = new Date().toISOString();
+    const { error } = await supabase
+      .from('casafari_sync_state')
+      .upsert(locationIds.map(id => ({ location_id: Number(id), ...fields, updated_at: now })), { onConflict: 'location_id' });
+    if (error) throw new Error(`Casafari sync state update failed: ${error.message}`);
+  }
+
+  /**
+   * A sync stopped before its last page — remember where, so the next one resumes
+   * @param {Object} checkpoint - { sync_id, mode, offset, changed_since, seen_since }
+   */
+  async function saveCheckpoint(locationIds, checkpoint) {
+    await upsert(locationIds, { checkpoint: { ...checkpoint, scope: scopeKey(locationIds) } });
+  }
+
+  /**
+   * A sync reached its last page: move the high-water mark to when it started
+   * @param {Object} options
+   * @param {string} options.mark - when the (first part of the) sync started
+   * @param {string} options.mode - 'full' also records last_full_sync_at
+   */
+  async function complete(locationIds, { mark, mode }) {
+    await upsert(locationIds, {
+      high_water_mark: mark,
+      checkpoint: null,
+      ...(mode === 'full' ? { last_full_sync_at: mark } : {}),
+    });
+  }
+
+  /**
+   * API calls this month against the budget
+   * @returns {Object} { month, calls, budget, remaining }
+   */
+  async function usage() {
+    const month = currentMonth();
+    const { data, error } = await supabase
+      .from('casafari_api_usage')
+      .select('calls')
+      .eq('month', month)
+      .maybeSingle();
+    if (error) throw new Error(`Casafari usage load failed: ${error.message}`);
+    const calls = data?.calls || 0;
+    return { month, calls, budget: monthlyBudget, remaining: Math.max(0, monthlyBudget - calls) };
+  }
+
+  /**
+   * Take one API call from this month's budget, before the request (a failed call may
+   * still be billed). Atomic — see increment_casafari_api_calls above.
+   * @returns {number|null} calls used this month including this one, or null when the budget is used
+   */
+  async function recordCall() {
+    if (monthlyBudget <= 0) return null;
+    const { data, error } = await supabase.rpc('increment_casafari_api_calls', { p_month: currentMonth(), p_budget: monthlyBudget });
+    if (error) throw new Error(`Casafari usage update failed: ${error.message}`);
+    return data ?? null;
+  }
+
+  return { plan, saveCheckpoint, complete, locations, usage, recordCall };
+}
@@ -11,6 +11,12 @@
 
 const CASAFARI_BASE_URL = 'https://api.casafari.com/v1';
 
+// Complete syncs a listing may be missing from before it's taken off the site
+export const DEFAULT_DELIST_GRACE_RUNS = 3;
+
+// Search filter for listings created or changed since a date (incremental syncs)
+const CHANGED_SINCE_FILTER = 'updated_date_from';
+
 // ─── Silver Coast concelho IDs (from Casafari References) ────────────────────
 export const SILVER_COAST_CONCELHOS = {
   // Leiria district
@@ -30,6 +36,28 @@ export const SILVER_COAST_CONCELHOS = {
   arruda_vinhos:  2789,
 };
 
+// Synced when no concelhos are given
+export const DEFAULT_SYNC_CONCELHOS = ['lourinha', 'peniche'];
+
+// Location IDs for a sync request: given IDs, else concelho keys ('peniche'), else the defaults
+export function resolveLocationIds({ locationIds = null, concelhos = null } = {}) {
+  let ids = locationIds || [];
+  if (Array.isArray(concelhos)) {
+    ids = concelhos.map(name => SILVER_COAST_CONCELHOS[String(name).toLowerCase()]).filter(Boolean);
+  }
+  return ids.length ? ids : DEFAULT_SYNC_CONCELHOS.map(name => SILVER_COAST_CONCELHOS[name]);
+}
+
+// ─── Concelho name on a listing → Casafari location ID ───────────────────────
+// 'Caldas da Rainha' → SILVER_COAST_CONCELHOS.caldas_rainha; null for concelhos we don't sync
+export function concelhoIdForCity(city) {
+  const key = String(city || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+    .split(/[^a-z]+/)
+    .filter(w => w && !['da', 'de', 'do', 'das', 'dos'].includes(w))
+    .join('_');
+  return SILVER_COAST_CONCELHOS[key] ?? null;
+}
+
 // ─── Property type mapping: Casafari type → homeAImatch type ─────────────────
 const TYPE_MAP = {
   apartment: 'flat',
@@ -241,6 +269,7 @@ function extractFeatures(cp) {
  * @param {number[]} options.locationIds - Concelho IDs
  * @param {number} options.limit - Results per page (max 100)
  * @param {number} options.offset - Pagination offset
+ * @param {string} options.changedSince - Only listings created or changed since (ISO date), or null for all
  * @returns {Object} { count, results, next }
  */
 export async function fetchCasafariProperties({
@@ -248,6 +277,7 @@ export async function fetchCasafariProperties({
   locationIds,
   limit = 100,
   offset = 0,
+  changedSince = null,
 }) {
   const url = `${CASAFARI_BASE_URL}/properties/search?limit=${limit}&offset=${offset}`;
 
@@ -261,8 +291,9 @@ export async function fetchCasafariProperties({
       'villa', 'country_estate', 'chalet', 'bungalow', 'family_house',
     ],
   };
+  if (changedSince) body[CHANGED_SINCE_FILTER] = changedSince;
 
-  console.log(`[Casafari] Fetching: locations=${locationIds.join(',')}, limit=${limit}, offset=${offset}`);
+  console.log(`[Casafari] Fetching: locations=${locationIds.join(',')}, limit=${limit}, offset=${offset}${changedSince ? `, changed since ${changedSince}` : ''}`);
 
   const res = await fetch(url, {
     method: 'POST',
@@ -285,7 +316,7 @@ export async function fetchCasafariProperties({
  * Fetch ALL properties for given locations (handles pagination)
  * Each page of 100 = 1 API call
  */
-export async function fetchAllCasafariProperties({ token, locationIds, maxCalls = 10 }) {
+export async function fetchAllCasafariProperties({ token, locationIds, maxCalls = 10, changedSince = null }) {
   const allProperties = [];
   let offset = 0;
   const limit = 100;
@@ -293,7 +324,7 @@ export async function fetchAllCasafariProperties({ token, locationIds, maxCalls
   let callCount = 0;
 
   do {
-    const data = await fetchCasafariProperties({ token, locationIds, limit, offset });
+    const data = await fetchCasafariProperties({ token, locationIds, limit, offset, changedSince });
     totalCount = data.count;
     callCount++;
 
@@ -327,8 +358,8 @@ export async function fetchAllCasafariProperties({ token, locationIds, maxCalls
  * Sync Casafari properties to Supabase
  * - Maps Casafari format → homeAImatch format
  * - Upserts properties (update if casafari_id exists, insert if new)
- * - Triggers OSM enrichment for new properties
- * - Marks missing properties as inactive
+ * - Stamps every listing it sees with last_seen_at, and records Casafari's sale status
+ *   for known listings that are no longer for sale (deactivateMissing acts on both)
  *
  * @param {Object} supabase - Supabase client
  * @param {Function} enrichAndSave - Enrichment function
@@ -343,16 +374,25 @@ export async function syncToSupabase(supabase, enrichAndSave, { casafariProperti
     skipped: 0,
     errors: [],
     enriching: 0,
+    reported_inactive: 0, // known listings Casafari now reports as sold / off the market
+    changed_ids: [], // existing properties whose price or description changed
+    inserted_ids: [],
   };
-
-  // Get existing casafari_ids to detect updates vs inserts
-  const { data: existing } = await supabase
-    .from('properties')
-    .select('id, casafari_id')
-    .eq('source', 'casafari')
-    .not('casafari_id', 'is', null);
-
-  const existingMap = new Map((existing || []).map(e => [e.casafari_id, e.id]));
+  const seenAt = new Date().toISOString();
+
+  // Look up this page's casafari_ids to detect updates vs inserts (a listing missed here
+  // would be inserted again and never stamped as seen)
+  const existingMap = new Map();
+  const pageIds = [...new Set(casafariProperties.map(cp => String(cp.property_id)))];
+  for (let i = 0; i < pageIds.length; i += 200) {
+    const { data: existing, error } = await supabase
+      .from('properties')
+      .select('id, casafari_id, price, description')
+      .eq('source', 'casafari')
+      .in('casafari_id', pageIds.slice(i, i + 200));
+    if (error) throw new Error(`Existing listing lookup failed: ${error.message}`);
+    (existing || []).forEach(e => existingMap.set(e.casafari_id, e));
+  }
 
   for (const cp of casafariProperties) {
     try {
@@ -362,8 +402,17 @@ export async function syncToSupabase(supabase, enrichAndSave, { casafariProperti
         continue;
       }
 
-      // Skip properties that are not actively for sale
+      // Skip properties that are not actively for sale — but note what Casafari says about
+      // ones we list, so the end-of-sync delisting can tell sold from withdrawn
       if (cp.sale_status !== 'active') {
+        const known = existingMap.get(String(cp.property_id));
+        if (known) {
+          await supabase
+            .from('properties')
+            .update({ casafari_sale_status: cp.sale_status || 'inactive', last_seen_at: seenAt })
+            .eq('id', known.id);
+          results.reported_inactive++;
+        }
         results.skipped++;
         continue;
       }
@@ -406,7 +455,6 @@ export async function syncToSupabase(supabase, enrichAndSave, { casafariProperti
         latitude: mapped.latitude,
         longitude: mapped.longitude,
         description: mapped.description,
-        tagline: mapped.tagline,
         image_urls: mapped.image_urls,
         source_url: mapped.source_url,
         epc_rating: mapped.epc_rating,
@@ -415,30 +463,39 @@ export async function syncToSupabase(supabase, enrichAndSave, { casafariProperti
         pet_friendly: mapped.pet_friendly,
         neighborhood_vibe: mapped.neighborhood_vibe,
         casafari_id: mapped.casafari_id,
+        price_per_sqm: mapped.price_per_sqm,
+        days_on_market: mapped.days_on_market,
         listing_status: mapped.listing_status,
         source: 'casafari',
         agent_id: agentId,
+        casafari_sale_status: 'active',
+        last_seen_at: seenAt,
+        missed_syncs: 0,
+        delisted_at: null,
       };
 
-      const existingId = existingMap.get(mapped.casafari_id);
+      const existingRow = existingMap.get(mapped.casafari_id);
 
-      if (existingId) {
+      if (existingRow) {
         // Update existing property
         const { error } = await supabase
           .from('properties')
           .update(propertyData)
-          .eq('id', existingId);
+          .eq('id', existingRow.id);
 
         if (error) {
           results.errors.push({ title: mapped.title, error: error.message });
         } else {
           results.updated++;
+          if (existingRow.price !== propertyData.price || existingRow.description !== propertyData.description) {
+            results.changed_ids.push(existingRow.id);
+          }
         }
       } else {
         // Insert new property
         const { data: inserted, error } = await supabase
           .from('properties')
-          .insert(propertyData)
+          .insert({ ...propertyData, tagline: mapped.tagline }) // updates keep the generated tagline (see translation.js)
           .select()
           .single();
 
@@ -446,6 +503,7 @@ export async function syncToSupabase(supabase, enrichAndSave, { casafariProperti
           results.errors.push({ title: mapped.title, error: error.message });
         } else {
           results.inserted++;
+          results.inserted_ids.push(inserted.id);
           // Don't trigger enrichment here — it will be queued after sync completes
           // to avoid overwhelming OSM Overpass API with parallel requests
           if (inserted.latitude && inserted.longitude) {
@@ -462,31 +520,99 @@ export async function syncToSupabase(supabase, enrichAndSave, { casafariProperti
 }
 
 /**
- * Mark properties as inactive if they're no longer in Casafari results
- * (call this after sync to clean up delisted properties)
+ * Take listings off the site that a complete sync no longer returns, within the
+ * concelhos that sync searched (listings elsewhere are never touched).
+ *  - Casafari reports the listing as sold → 'sold'; as otherwise off the market →
+ *    'withdrawn' (straight away — Casafari told us)
+ *  - missing from the results → missed_syncs + 1, and 'withdrawn' once it has been
+ *    missing from graceRuns complete syncs in a row (one missed page or a listing
+ *    briefly hidden by the portal shouldn't delist it)
+ * Only call this after a sync that reached its last page: a sync cut short by maxCalls
+ * hasn't seen everything. An incremental sync only returns changed listings, so after
+ * one pass countMissing: false — Casafari's sold / withdrawn reports still apply.
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {Object} options
+ * @param {number[]} options.locationIds - concelhos the sync searched
+ * @param {string} options.seenSince - when the sync started (listings it saw have last_seen_at after this)
+ * @param {number} options.graceRuns - consecutive misses before a missing listing is withdrawn
+ * @param {boolean} options.countMissing - treat listings the sync didn't return as missing
+ * @param {boolean} options.dryRun - report what would happen without changing anything
+ * @returns {Object} { dry_run, grace_runs, location_ids, checked, seen, missing,
+ *   deactivated: [{ id, casafari_id, title, city, status, reason }], pending: [{ id, title, city, missed_syncs }] }
  */
-export async function deactivateMissing(supabase, activeCasafariIds, locationIds) {
-  // Get all casafari properties in our DB for these locations
-  const { data: dbProperties } = await supabase
-    .from('properties')
-    .select('id, casafari_id, city')
-    .eq('source', 'casafari')
-    .eq('listing_status', 'active');
-
-  if (!dbProperties) return { deactivated: 0 };
-
-  const activeSet = new Set(activeCasafariIds.map(String));
-  const toDeactivate = dbProperties.filter(p => p.casafari_id && !activeSet.has(p.casafari_id));
-
-  if (toDeactivate.length > 0) {
-    const ids = toDeactivate.map(p => p.id);
-    await supabase
+export async function deactivateMissing(supabase, { locationIds, seenSince, graceRuns = DEFAULT_DELIST_GRACE_RUNS, countMissing = true, dryRun = false }) {
+  const scope = new Set(locationIds.map(Number));
+  const rows = [];
+  for (let from = 0; ; from += 1000) {
+    const { data, error } = await supabase
       .from('properties')
-      .update({ listing_status: 'sold' })
-      .in('id', ids);
+      .select('id, casafari_id, title, city, last_seen_at, missed_syncs, casafari_sale_status')
+      .eq('source', 'casafari')
+      .eq('listing_status', 'active')
+      .not('casafari_id', 'is', null)
+      .range(from, from + 999);
+    if (error) throw new Error(`Delisting load failed: ${error.message}`);
+    rows.push(...(data || []));
+    if (!data || data.length < 1000) break;
+  }
 
-    console.log(`[Casafari] Deactivated ${toDeactivate.length} properties no longer in Casafari`);
+  const inScope = rows.filter(p => scope.has(concelhoIdForCity(p.city)));
+  const since = new Date(seenSince);
+  const report = {
+    dry_run: dryRun,
+    grace_runs: graceRuns,
+    count_missing: countMissing,
+    location_ids: [...scope],
+    checked: inScope.length,
+    seen: 0,
+    missing: 0,
+    deactivated: [],
+    pending: [],
+  };
+  const misses = new Map(); // new missed_syncs value → ids
+
+  for (const p of inScope) {
+    const entry = { id: p.id, casafari_id: p.casafari_id, title: p.title, city: p.city };
+    if (p.last_seen_at && new Date(p.last_seen_at) >= since) {
+      report.seen++;
+      if (p.casafari_sale_status && p.casafari_sale_status !== 'active') {
+        const status = p.casafari_sale_status === 'sold' ? 'sold' : 'withdrawn';
+        report.deactivated.push({ ...entry, status, reason: `casafari: ${p.casafari_sale_status}` });
+      }
+      continue;
+    }
+    if (!countMissing) continue;
+    report.missing++;
+    const missed = (p.missed_syncs || 0) + 1;
+    if (missed >= graceRuns) {
+      report.deactivated.push({ ...entry, status: 'withdrawn', reason: `missing from ${missed} complete syncs` });
+    } else {
+      report.pending.push({ id: p.id, title: p.title, city: p.city, missed_syncs: missed });
+      misses.set(missed, [...(misses.get(missed) || []), p.id]);
+    }
+  }
+
+  if (!dryRun) {
+    const now = new Date().toISOString();
+    for (const status of ['sold', 'withdrawn']) {
+      const ids = report.deactivated.filter(d => d.status === status).map(d => d.id);
+      for (let i = 0; i < ids.length; i += 200) {
+        const { error } = await supabase
+          .from('properties')
+          .update({ listing_status: status, delisted_at: now })
+          .in('id', ids.slice(i, i + 200));
+        if (error) throw new Error(`Delisting update failed: ${error.message}`);
+      }
+    }
+    for (const [missed, ids] of misses) {
+      for (let i = 0; i < ids.length; i += 200) {
+        await supabase.from('properties').update({ missed_syncs: missed }).in('id', ids.slice(i, i + 200));
+      }
+    }
   }
 
-  return { deactivated: toDeactivate.length };
+  const sold = report.deactivated.filter(d => d.status === 'sold').length;
+  console.log(`[Casafari] Delisting${dryRun ? ' (dry run)' : ''}: ${inScope.length} in scope, ${report.missing} missing — ${sold} sold, ${report.deactivated.length - sold} withdrawn, ${report.pending.length} within grace`);
+  return report;
 }
@@ -0,0 +1,92 @@
+/**
+ * homeAImatch — Changed Listing Runs
+ *
+ * The loop shared by the per-listing AI steps that run after each sync (feature
+ * extraction, translation): load the listings, skip those whose source text hasn't
+ * changed since the stored hash, and process the rest one at a time, counting AI and
+ * rule-based results.
+ *
+ * Usage:
+ *   const summary = await processChangedListings(supabase, { label: 'Extraction', doneKey: 'extracted', hash, storedHashes, run });
+ */
+
+// Model recorded for results made by the rule-based fallbacks
+export const RULES_MODEL = 'rules-v1';
+
+const ID_CHUNK = 200;
+const PAGE_SIZE = 1000; // PostgREST's row limit per request
+
+/**
+ * Hash to store with a result. Rules standing in for a failed Claude call get none, so
+ * the listing is tried again on the next run; without an API key rules are the result.
+ */
+export function resultHash(hash, source) {
+  return source === 'ai' || !process.env.ANTHROPIC_API_KEY ? hash : null;
+}
+
+async function loadListings(supabase, { ids, columns, label }) {
+  const properties = [];
+  if (ids) {
+    for (let i = 0; i < ids.length; i += ID_CHUNK) {
+      const { data, error } = await supabase.from('properties').select(columns).in('id', ids.slice(i, i + ID_CHUNK));
+      if (error) throw new Error(`${label} load failed: ${error.message}`);
+      properties.push(...(data || []));
+    }
+    return properties;
+  }
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('properties')
+      .select(columns)
+      .eq('listing_status', 'active')
+      .order('id')
+      .range(from, from + PAGE_SIZE - 1);
+    if (error) throw new Error(`${label} load failed: ${error.message}`);
+    properties.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+  return properties;
+}
+
+/**
+ * Run a step over new / changed listings
+ * @param {Object} supabase - Supabase client
+ * @param {Object} options
+ * @param {string} options.label - log prefix and error wording ('Extraction')
+ * @param {string} options.doneKey - summary count of processed listings ('extracted')
+ * @param {string} options.columns - properties columns the step needs
+ * @param {Array} options.ids - only these properties (default: active listings)
+ * @param {boolean} options.force - process even if the listing hasn't changed
+ * @param {number} options.limit - max listings to process in one run
+ * @param {Function} options.hash - property => hash of what the step reads
+ * @param {Function} options.storedHashes - async properties => Map of id → hash stored with the last result
+ * @param {Function} options.run - async property => source ('ai' | 'rules'); stores the result
+ * @returns {Object} { checked, [doneKey], ai, rules, skipped, errors, remaining? }
+ */
+export async function processChangedListings(supabase, {
+  label, doneKey, columns = '*', ids = null, force = false, limit = 200, hash, storedHashes, run,
+}) {
+  const summary = { checked: 0, [doneKey]: 0, ai: 0, rules: 0, skipped: 0, errors: [] };
+
+  const properties = await loadListings(supabase, { ids, columns, label });
+  summary.checked = properties.length;
+
+  const stored = await storedHashes(properties);
+  const todo = properties.filter(p => force || stored.get(p.id) !== hash(p));
+  summary.skipped = properties.length - todo.length;
+
+  // One at a time — each is a Claude call when AI is on
+  for (const property of todo.slice(0, limit)) {
+    try {
+      const source = await run(property);
+      summary[doneKey]++;
+      summary[source === 'ai' ? 'ai' : 'rules']++;
+    } catch (err) {
+      summary.errors.push({ id: property.id, error: err.message });
+    }
+  }
+  if (todo.length > limit) summary.remaining = todo.length - limit;
+
+  console.log(`[${label}] ${summary[doneKey]} ${doneKey} (${summary.ai} AI, ${summary.rules} rules), ${summary.skipped} unchanged, ${summary.errors.length} errors`);
+  return summary;
+}
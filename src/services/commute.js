@@ -0,0 +1,164 @@
+/**
+ * homeAImatch — Commute Estimation
+ *
+ * Estimates travel time from a property to buyer anchor points (office, school,
+ * family home) without calling a paid routing API.
+ *
+ * Providers:
+ *  - approximate (default): straight-line distance × road detour factor ÷ typical speed
+ *  - osrm: a self-hosted OSRM server (ROUTING_PROVIDER=osrm, OSRM_URL=http://localhost:5000)
+ *
+ * Any object with `{ name, estimate(from, to, mode) }` can be plugged in with setRoutingProvider().
+ */
+
+import { haversine } from './geo.js';
+
+export const COMMUTE_MODES = ['car', 'transit', 'bike', 'walk'];
+const MAX_ANCHORS = 5;
+
+// Lisbon city centre (Praça do Comércio) — reference point for properties.commute_city_center
+export const LISBON_CENTER = { label: 'Lisbon centre', lat: 38.7077, lng: -9.1365 };
+
+// ─── Approximation parameters per mode ──────────────────────────────────────
+// detour: road km per straight-line km; overhead: parking / waiting / walking to the stop
+const MODE_PARAMS = {
+  car:     { detour: 1.3,  overheadMin: 5 },
+  transit: { detour: 1.4,  overheadMin: 15, speedKmh: 35 },
+  bike:    { detour: 1.2,  overheadMin: 2,  speedKmh: 15 },
+  walk:    { detour: 1.15, overheadMin: 0,  speedKmh: 4.8 },
+};
+
+// Cars go faster on longer trips (motorway share grows with distance)
+function carSpeedKmh(roadKm) {
+  if (roadKm < 10) return 35;
+  if (roadKm < 40) return 60;
+  return 85;
+}
+
+export const approximateProvider = {
+  name: 'approximate',
+  async estimate(from, to, mode = 'car') {
+    const params = MODE_PARAMS[mode] || MODE_PARAMS.car;
+    const roadKm = haversine(from.lat, from.lng, to.lat, to.lng) * params.detour;
+    const speed = mode === 'car' || !params.speedKmh ? carSpeedKmh(roadKm) : params.speedKmh;
+    return {
+      minutes: Math.round(roadKm / speed * 60 + params.overheadMin),
+      distance_km: Math.round(roadKm * 10) / 10,
+    };
+  },
+};
+
+/**
+ * Routing provider backed by a self-hosted OSRM server.
+ * Transit isn't routed by OSRM, so it falls back to the approximation.
+ */
+export function createOsrmProvider(baseUrl) {
+  const profiles = { car: 'driving', bike: 'cycling', walk: 'foot' };
+  return {
+    name: 'osrm',
+    async estimate(from, to, mode = 'car') {
+      const profile = profiles[mode];
+      if (!profile) return approximateProvider.estimate(from, to, mode);
+
+      try {
+        const url = `${baseUrl}/route/v1/${profile}/${from.lng},${from.lat};${to.lng},${to.lat}?overview=false`;
+        const res = await fetch(url);
+        if (!res.ok) throw new Error(`OSRM error ${res.status}`);
+        const data = await res.json();
+        const route = data.routes?.[0];
+        if (!route) throw new Error('OSRM returned no route');
+        return {
+          minutes: Math.round(route.duration / 60 + MODE_PARAMS[mode].overheadMin),
+          distance_km: Math.round(route.distance / 100) / 10,
+        };
+      } catch (err) {
+        console.warn(`[Commute] OSRM failed, using approximation: ${err.message}`);
+        return approximateProvider.estimate(from, to, mode);
+      }
+    },
+  };
+}
+
+let provider = process.env.ROUTING_PROVIDER === 'osrm' && process.env.OSRM_URL
+  ? createOsrmProvider(process.env.OSRM_URL)
+  : approximateProvider;
+
+export function setRoutingProvider(p) { provider = p || approximateProvider; }
+export function getRoutingProvider() { return provider; }
+
+// Default mode from the quiz "transport" answer
+export function modeFromTransport(transport) {
+  const t = (transport || '').toLowerCase();
+  if (t.includes('bicycle') || t.includes('bicicleta')) return 'bike';
+  if (t.includes('walking') || t.includes('pé')) return 'walk';
+  if (t.includes('public') || t.includes('público')) return 'transit';
+  return 'car';
+}
+
+/**
+ * Validate buyer anchor points from quiz answers.
+ * @param {Array} input - [{ label, lat, lng, max_minutes, mode?, days_per_week? }]
+ * @param {string} transport - quiz transport answer, used when an anchor has no mode
+ * @returns {Array} normalised anchors (empty if none)
+ * @throws {Error} with a user-facing message when an anchor is malformed
+ */
+export function parseAnchors(input, transport) {
+  if (!input) return [];
+  if (!Array.isArray(input)) throw new Error('commute anchors must be an array');
+  if (input.length > MAX_ANCHORS) throw new Error(`at most ${MAX_ANCHORS} commute anchors are supported`);
+
+  return input.map((a, i) => {
+    if (!a || typeof a !== 'object') throw new Error(`anchor ${i + 1} must be an object`);
+    const lat = Number(a.lat);
+    const lng = Number(a.lng);
+    const maxMinutes = Number(a.max_minutes);
+    const mode = a.mode || modeFromTransport(transport);
+    if (a.lat == null || a.lng == null || !Number.isFinite(lat) || !Number.isFinite(lng)) throw new Error(`anchor ${i + 1} needs lat and lng`);
+    if (Math.abs(lat) > 90 || Math.abs(lng) > 180) throw new Error(`anchor ${i + 1} lat must be within ±90 and lng within ±180`);
+    if (!(maxMinutes > 0 && maxMinutes <= 240)) throw new Error(`anchor ${i + 1} max_minutes must be between 1 and 240`);
+    if (!COMMUTE_MODES.includes(mode)) throw new Error(`anchor ${i + 1} mode must be one of: ${COMMUTE_MODES.join(', ')}`);
+    return {
+      label: a.label || `Anchor ${i + 1}`,
+      lat,
+      lng,
+      max_minutes: maxMinutes,
+      mode,
+      days_per_week: a.days_per_week != null ? Number(a.days_per_week) : null,
+    };
+  });
+}
+
+/**
+ * Travel time from a property to each anchor.
+ * @returns {Array|null} [{ label, mode, minutes, distance_km, max_minutes, within }] or null without coordinates
+ */
+export async function estimateCommutes(property, anchors) {
+  if (!anchors?.length || property.latitude == null || property.longitude == null) return null;
+  const from = { lat: Number(property.latitude), lng: Number(property.longitude) };
+
+  return Promise.all(anchors.map(async a => {
+    const { minutes, distance_km } = await provider.estimate(from, a, a.mode);
+    return {
+      label: a.label,
+      mode: a.mode,
+      minutes,
+      distance_km,
+      max_minutes: a.max_minutes,
+      days_per_week: a.days_per_week,
+      within: minutes <= a.max_minutes,
+    };
+  }));
+}
+
+/**
+ * Minutes by car to Lisbon centre — fills properties.commute_city_center
+ */
+export async function estimateCityCenterCommute(property) {
+  if (property.latitude == null || property.longitude == null) return null;
+  const { minutes } = await provider.estimate(
+    { lat: Number(property.latitude), lng: Number(property.longitude) },
+    LISBON_CENTER,
+    'car'
+  );
+  return minutes;
+}
@@ -0,0 +1,125 @@
+/**
+ * homeAImatch — Diversity Re-ranking
+ *
+ * Maximal marginal relevance (MMR) over scored matches: each pick balances its own
+ * score against how similar it is to what's already been picked (same concelho,
+ * same property type, same price band), so the top five aren't five near-identical
+ * flats in one town. Near-duplicate listings — the same home listed by several
+ * agencies — are collapsed into the best-scored copy.
+ *
+ * Used twice per match: to choose which pre-scored candidates go to Claude, and to
+ * order the final results.
+ */
+
+import { haversine } from './geo.js';
+
+export const DEFAULT_LAMBDA = 0.8; // 1 = pure score order, 0 = pure diversity
+export const DEFAULT_SIMILARITY_WEIGHTS = { concelho: 0.4, property_type: 0.3, price_band: 0.3 };
+
+const PRICE_BAND_PCT = 0.1;          // prices within 10% share a band
+const DUPLICATE_PRICE_PCT = 0.03;
+const DUPLICATE_SQM_PCT = 0.05;
+const DUPLICATE_DISTANCE_KM = 0.15;
+
+const closeTo = (a, b, pct) => Math.abs(a - b) <= Math.max(a, b) * pct;
+const norm = (v) => String(v || '').toLowerCase().trim();
+
+/**
+ * Same home listed twice (typically by different agencies): same beds, price within 3%,
+ * size within 5%, and either within 150m or — without coordinates — same concelho and type
+ */
+export function isNearDuplicate(a, b) {
+  if (a.id === b.id) return true;
+  if ((a.beds ?? null) !== (b.beds ?? null)) return false;
+  if (!a.price || !b.price || !closeTo(a.price, b.price, DUPLICATE_PRICE_PCT)) return false;
+  if (a.sqm && b.sqm && !closeTo(a.sqm, b.sqm, DUPLICATE_SQM_PCT)) return false;
+
+  if (a.latitude != null && a.longitude != null && b.latitude != null && b.longitude != null) {
+    return haversine(Number(a.latitude), Number(a.longitude), Number(b.latitude), Number(b.longitude)) <= DUPLICATE_DISTANCE_KM;
+  }
+  return !!(a.sqm && b.sqm) && norm(a.city) === norm(b.city) && norm(a.property_type) === norm(b.property_type);
+}
+
+/**
+ * 0-1 similarity between two properties on the diversity attributes
+ */
+export function similarity(a, b, weights = DEFAULT_SIMILARITY_WEIGHTS) {
+  const total = (weights.concelho || 0) + (weights.property_type || 0) + (weights.price_band || 0);
+  if (total === 0) return 0;
+  let sim = 0;
+  if (a.city && norm(a.city) === norm(b.city)) sim += weights.concelho || 0;
+  if (a.property_type && norm(a.property_type) === norm(b.property_type)) sim += weights.property_type || 0;
+  if (a.price && b.price && closeTo(a.price, b.price, PRICE_BAND_PCT)) sim += weights.price_band || 0;
+  return sim / total;
+}
+
+/**
+ * Validate per-request diversity options (request body `diversity`)
+ * @param {Object|boolean} input - false to turn re-ranking off, or { lambda, dedupe, weights }
+ * @returns {Object|null} options for diversify(), or null when disabled
+ * @throws {Error} with a user-facing message
+ */
+export function parseDiversityOptions(input) {
+  if (input === false || input?.enabled === false) return null;
+  if (input == null || input === true) return { lambda: DEFAULT_LAMBDA, dedupe: true, weights: DEFAULT_SIMILARITY_WEIGHTS };
+  if (typeof input !== 'object' || Array.isArray(input)) throw new Error('diversity must be an object or false');
+
+  const lambda = input.lambda != null ? Number(input.lambda) : DEFAULT_LAMBDA;
+  if (!(lambda >= 0 && lambda <= 1)) throw new Error('diversity.lambda must be between 0 and 1');
+
+  const weights = { ...DEFAULT_SIMILARITY_WEIGHTS };
+  for (const [key, value] of Object.entries(input.weights || {})) {
+    if (!(key in DEFAULT_SIMILARITY_WEIGHTS)) {
+      throw new Error(`diversity.weights.${key} is not supported (use ${Object.keys(DEFAULT_SIMILARITY_WEIGHTS).join(', ')})`);
+    }
+    const n = Number(value);
+    if (!(n >= 0 && n <= 1)) throw new Error(`diversity.weights.${key} must be between 0 and 1`);
+    weights[key] = n;
+  }
+
+  return { lambda, dedupe: input.dedupe !== false, weights };
+}
+
+/**
+ * Greedy MMR selection
+ * @param {Array} items - [{ property, ... }]
+ * @param {Object} options
+ * @param {Function} options.relevance - item => 0-100 score
+ * @param {number} options.limit - how many to return
+ * @param {number} options.lambda - score vs diversity trade-off (0-1)
+ * @param {boolean} options.dedupe - drop near-duplicate listings
+ * @param {Object} options.weights - similarity weights per attribute
+ * @returns {Array} selected items in ranked order; kept items carry duplicate_ids of the copies they absorbed
+ */
+export function diversify(items, { relevance, limit = 5, lambda = DEFAULT_LAMBDA, dedupe = true, weights = DEFAULT_SIMILARITY_WEIGHTS }) {
+  const pool = [...items].sort((a, b) => relevance(b) - relevance(a));
+  const selected = [];
+
+  while (selected.length < limit && pool.length > 0) {
+    let bestIndex = -1;
+    let bestValue = -Infinity;
+
+    for (let i = 0; i < pool.length; i++) {
+      const candidate = pool[i];
+      const duplicateOf = dedupe ? selected.find(s => isNearDuplicate(s.property, candidate.property)) : null;
+      if (duplicateOf) {
+        duplicateOf.duplicate_ids = [...(duplicateOf.duplicate_ids || []), candidate.property.id];
+        pool.splice(i--, 1);
+        continue;
+      }
+
+      const maxSim = selected.reduce((m, s) => Math.max(m, similarity(s.property, candidate.property, weights)), 0);
+      const value = lambda * (relevance(candidate) / 100) - (1 - lambda) * maxSim;
+      if (value > bestValue) {
+        bestValue = value;
+        bestIndex = i;
+      }
+    }
+
+    if (bestIndex === -1) break;
+    selected.push({ ...pool[bestIndex] });
+    pool.splice(bestIndex, 1);
+  }
+
+  return selected;
+}
@@ -0,0 +1,58 @@
+/**
+ * homeAImatch — Transactional Email
+ * Sends email through Resend when RESEND_API_KEY is set.
+ * Without a key the message is logged instead, so local runs never fail on email.
+ */
+
+const RESEND_URL = 'https://api.resend.com/emails';
+const FROM_ADDRESS = 'homeAImatch <noreply@homeaimatch.com>';
+
+// Whether sendEmail actually sends (false: it only logs)
+export function emailEnabled() {
+  return !!process.env.RESEND_API_KEY;
+}
+
+// For user and listing text going into an email body
+export function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Send a single email
+ * @param {Object} message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.html - HTML body
+ * @returns {boolean} true if the provider accepted the message
+ */
+export async function sendEmail({ to, subject, html }) {
+  if (!emailEnabled()) {
+    console.log(`[Email] RESEND_API_KEY not set. Would send "${subject}" to ${to}`);
+    return false;
+  }
+
+  try {
+    const res = await fetch(RESEND_URL, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${process.env.RESEND_API_KEY}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ from: FROM_ADDRESS, to, subject, html }),
+    });
+
+    if (!res.ok) {
+      console.error(`[Email] Resend error ${res.status}: ${await res.text()}`);
+      return false;
+    }
+    return true;
+  } catch (err) {
+    console.error('[Email] Send failed:', err.message);
+    return false;
+  }
+}
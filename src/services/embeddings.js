@@ -0,0 +1,267 @@
+/**
+ * homeAImatch — Description Embeddings & Semantic Search
+ *
+ * Embeds each listing's title, features and full description into the
+ * `property_embeddings` table, and searches them with free text ("quinta with olive
+ * trees", "terraço com vista mar") in Portuguese or English.
+ *
+ * Providers (EMBEDDING_PROVIDER):
+ *  - hash  (default) — deterministic, dependency-free: PT/EN real-estate terms mapped to
+ *           shared tokens, then words and word pairs hashed into a fixed-size vector.
+ *           Good enough for keyword-ish phrases, and stable for tests.
+ *  - local — multilingual sentence model run on the CPU via the optional
+ *           @xenova/transformers package (EMBEDDING_MODEL to override the model).
+ *
+ * Rows are keyed by (property_id, model) and carry a hash of the embedded text, so
+ * switching provider or editing a listing just means re-indexing what's stale.
+ *
+ * Usage:
+ *   const index = createEmbeddingIndex(supabase);
+ *   await index.reindex();                       // embed new / changed listings
+ *   await index.search('sea view terrace');      // [{ property_id, similarity }]
+ */
+
+import crypto from 'crypto';
+
+const HASH_DIMS = 512;
+const DEFAULT_LOCAL_MODEL = 'Xenova/paraphrase-multilingual-MiniLM-L12-v2';
+const MAX_TEXT_LENGTH = 2000;
+const EMBED_BATCH = 32;
+
+// Portuguese and English words for the same thing share a token (accents already stripped)
+const GLOSSARY = {
+  mar: 'sea', oceano: 'sea', ocean: 'sea',
+  vista: 'view', vistas: 'view', views: 'view',
+  oliveira: 'olive', oliveiras: 'olive', olival: 'olive', olives: 'olive',
+  arvore: 'tree', arvores: 'tree', trees: 'tree', pomar: 'orchard',
+  terraco: 'terrace', terracos: 'terrace', terraces: 'terrace',
+  varanda: 'balcony', varandas: 'balcony', balconies: 'balcony',
+  jardim: 'garden', jardins: 'garden', gardens: 'garden',
+  piscina: 'pool', swimming: 'pool',
+  praia: 'beach', praias: 'beach', beaches: 'beach',
+  quinta: 'farm', herdade: 'farm', farmhouse: 'farm', monte: 'farm',
+  moradia: 'house', vivenda: 'house', villa: 'house', houses: 'house',
+  apartamento: 'apartment', flat: 'apartment', andar: 'apartment',
+  garagem: 'garage', lareira: 'fireplace', cozinha: 'kitchen',
+  quarto: 'bedroom', quartos: 'bedroom', suite: 'bedroom', bedrooms: 'bedroom',
+  campo: 'countryside', country: 'countryside', rural: 'countryside',
+  centro: 'centre', center: 'centre', downtown: 'centre',
+  sossego: 'quiet', calmo: 'quiet', calma: 'quiet', tranquilo: 'quiet', tranquila: 'quiet', peaceful: 'quiet',
+  historico: 'historic', historica: 'historic', muralhas: 'walls',
+  ruina: 'ruin', ruinas: 'ruin', recuperar: 'renovate', renovar: 'renovate', remodelar: 'renovate',
+  renovation: 'renovate', remodelado: 'renovated', remodelada: 'renovated', renovada: 'renovated',
+  terreno: 'land', plot: 'land', hectares: 'land',
+  vinha: 'vineyard', vinhas: 'vineyard', vineyards: 'vineyard',
+  floresta: 'forest', bosque: 'forest', pinhal: 'forest', woods: 'forest',
+  rio: 'river', lagoa: 'lagoon', aldeia: 'village', vila: 'town',
+  estudio: 'studio', escritorio: 'office', arrecadacao: 'storage', pedra: 'stone',
+};
+
+const STOPWORDS = new Set([
+  'the', 'and', 'with', 'for', 'from', 'near', 'this', 'that', 'has', 'have', 'very',
+  'com', 'para', 'uma', 'dos', 'das', 'por', 'que', 'mais', 'muito', 'junto', 'sua', 'seu', 'nos', 'nas',
+]);
+
+function tokens(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(w => w.length >= 3 && !STOPWORDS.has(w))
+    .map(w => GLOSSARY[w] || w);
+}
+
+// FNV-1a, for a stable bucket + sign per feature
+function fnv1a(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function normalize(vector) {
+  const length = Math.sqrt(vector.reduce((sum, x) => sum + x * x, 0));
+  return length === 0 ? vector : vector.map(x => x / length);
+}
+
+function hashEmbed(text) {
+  const words = tokens(text);
+  const vector = new Array(HASH_DIMS).fill(0);
+  const add = (feature, weight) => {
+    const h = fnv1a(feature);
+    vector[h % HASH_DIMS] += (h & 0x80000000 ? -1 : 1) * weight;
+  };
+  words.forEach((w, i) => {
+    add(w, 1);
+    if (i > 0) add(`${words[i - 1]} ${w}`, 0.5);
+  });
+  return normalize(vector);
+}
+
+/**
+ * Pick an embedding provider
+ * @param {string} name - 'hash' or 'local' (default EMBEDDING_PROVIDER env, else 'hash')
+ * @returns {Object} { name, model, minSimilarity, embed(texts) → Promise<number[][]> }
+ */
+export function createEmbeddingProvider(name = process.env.EMBEDDING_PROVIDER || 'hash') {
+  if (name === 'hash') {
+    return {
+      name,
+      model: `hash-v1-${HASH_DIMS}`,
+      minSimilarity: 0.12,
+      async embed(texts) { return texts.map(hashEmbed); },
+    };
+  }
+
+  if (name === 'local') {
+    const model = process.env.EMBEDDING_MODEL || DEFAULT_LOCAL_MODEL;
+    let extractor = null;
+    return {
+      name,
+      model,
+      minSimilarity: 0.35,
+      async embed(texts) {
+        if (!extractor) {
+          let transformers;
+          try {
+            transformers = await import('@xenova/transformers');
+          } catch {
+            throw new Error('EMBEDDING_PROVIDER=local needs the optional @xenova/transformers package (npm install @xenova/transformers)');
+          }
+          extractor = await transformers.pipeline('feature-extraction', model, { quantized: true });
+        }
+        const output = await extractor(texts, { pooling: 'mean', normalize: true });
+        return output.tolist();
+      },
+    };
+  }
+
+  throw new Error(`Unknown EMBEDDING_PROVIDER "${name}" (use hash or local)`);
+}
+
+/**
+ * The text a listing is embedded from
+ */
+export function embeddingText(property) {
+  return [property.title, (property.features || []).join(', '), property.property_type, property.city, property.description]
+    .filter(Boolean)
+    .join('\n')
+    .slice(0, MAX_TEXT_LENGTH);
+}
+
+const contentHash = (text) => crypto.createHash('sha256').update(text).digest('hex').slice(0, 32);
+
+const dot = (a, b) => {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+};
+
+// Every row of a query, in ordered pages — PostgREST returns at most 1000 rows per request
+async function loadAll(query, orderColumn, what) {
+  const rows = [];
+  for (let from = 0; ; from += 1000) {
+    const { data, error } = await query().order(orderColumn).range(from, from + 999);
+    if (error) throw new Error(`${what} failed: ${error.message}`);
+    rows.push(...(data || []));
+    if (!data || data.length < 1000) break;
+  }
+  return rows;
+}
+
+/**
+ * Build an embedding index bound to a Supabase client
+ * @param {Object} supabase - Supabase client
+ * @param {Object} options
+ * @param {Object} options.provider - from createEmbeddingProvider (default: EMBEDDING_PROVIDER env)
+ * @param {number} options.cacheSeconds - how long search keeps the vectors in memory
+ */
+export function createEmbeddingIndex(supabase, { provider = createEmbeddingProvider(), cacheSeconds = 300 } = {}) {
+  let cached = null;
+  let cachedAt = 0;
+
+  // Every stored vector for the current model, kept in memory between searches
+  async function loadVectors() {
+    if (cached && Date.now() - cachedAt < cacheSeconds * 1000) return cached;
+    cached = await loadAll(
+      () => supabase.from('property_embeddings').select('property_id, embedding').eq('model', provider.model),
+      'property_id',
+      'Embedding load',
+    );
+    cachedAt = Date.now();
+    return cached;
+  }
+
+  return {
+    provider,
+
+    /**
+     * Embed listings whose text changed since they were last indexed
+     * @param {Object} options
+     * @param {Array} options.ids - only these properties (default: every active listing)
+     * @param {boolean} options.force - re-embed even if unchanged
+     * @returns {Object} { checked, embedded, skipped }
+     */
+    async reindex({ ids = null, force = false } = {}) {
+      const listings = () => {
+        const query = supabase.from('properties').select('id, title, description, features, property_type, city');
+        return ids ? query.in('id', ids) : query.eq('listing_status', 'active');
+      };
+      const properties = await loadAll(listings, 'id', 'Embedding reindex');
+
+      // Stored hashes, in chunks of 200 ids to keep the query string short
+      const hashById = new Map();
+      for (let i = 0; i < properties.length; i += 200) {
+        const { data: existing } = await supabase
+          .from('property_embeddings')
+          .select('property_id, content_hash')
+          .eq('model', provider.model)
+          .in('property_id', properties.slice(i, i + 200).map(p => p.id));
+        (existing || []).forEach(r => hashById.set(r.property_id, r.content_hash));
+      }
+
+      const stale = properties
+        .map(p => ({ id: p.id, text: embeddingText(p) }))
+        .map(p => ({ ...p, hash: contentHash(p.text) }))
+        .filter(p => force || hashById.get(p.id) !== p.hash);
+
+      for (let i = 0; i < stale.length; i += EMBED_BATCH) {
+        const batch = stale.slice(i, i + EMBED_BATCH);
+        const vectors = await provider.embed(batch.map(p => p.text));
+        const rows = batch.map((p, j) => ({
+          property_id: p.id,
+          model: provider.model,
+          content_hash: p.hash,
+          embedding: vectors[j].map(x => Math.round(x * 1e5) / 1e5),
+          updated_at: new Date().toISOString(),
+        }));
+        const { error: upsertError } = await supabase.from('property_embeddings').upsert(rows, { onConflict: 'property_id,model' });
+        if (upsertError) throw new Error(`Embedding save failed: ${upsertError.message}`);
+      }
+
+      if (stale.length) cached = null;
+      console.log(`[Embeddings] ${provider.model}: ${stale.length} embedded, ${properties.length - stale.length} unchanged`);
+      return { checked: properties.length, embedded: stale.length, skipped: properties.length - stale.length };
+    },
+
+    /**
+     * Free-text search over indexed listings (may include inactive ones — filter on fetch)
+     * @param {string} text - query in Portuguese or English
+     * @param {Object} options
+     * @param {number} options.limit - max hits
+     * @param {number} options.minSimilarity - cut-off (default: the provider's)
+     * @returns {Array} [{ property_id, similarity }], best first
+     */
+    async search(text, { limit = 20, minSimilarity = provider.minSimilarity } = {}) {
+      const [queryVector] = await provider.embed([String(text).slice(0, MAX_TEXT_LENGTH)]);
+      const vectors = await loadVectors();
+      return vectors
+        .map(r => ({ property_id: r.property_id, similarity: Math.round(dot(queryVector, r.embedding) * 1000) / 1000 }))
+        .filter(r => r.similarity >= minSimilarity)
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, limit);
+    },
+  };
+}
@@ -17,6 +17,8 @@
  *  - Neighbourhood category (urban/suburban/rural)
  */
 
+import { haversine } from './geo.js';
+
 const OVERPASS_URL = 'https://overpass-api.de/api/interpreter';
 
 // ─── Overpass query builder ─────────────────────────────────────────────────
@@ -37,17 +39,6 @@ function overpassQuery(lat, lng, radiusM, tags) {
 out center body;`;
 }
 
-// ─── Haversine distance in km ───────────────────────────────────────────────
-function haversine(lat1, lng1, lat2, lng2) {
-  const R = 6371;
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLng = (lng2 - lng1) * Math.PI / 180;
-  const a = Math.sin(dLat / 2) ** 2 +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-    Math.sin(dLng / 2) ** 2;
-  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-}
-
 // ─── Parse Overpass results into sorted list with distances ─────────────────
 function parseResults(elements, lat, lng) {
   return elements.map(el => {
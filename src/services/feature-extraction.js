@@ -0,0 +1,230 @@
+/**
+ * homeAImatch — Listing Feature Extraction
+ *
+ * Casafari only gives us a handful of structured characteristics; the rest (sea view,
+ * solar panels, an annex, a well, land size, parking, whether pets are welcome, work
+ * needed, red flags) is buried in free-text descriptions, mostly in Portuguese.
+ *
+ * After each sync, new and changed listings are read (Claude via extractListingDetails
+ * in ai-scoring.js, or extractWithRules below without an API key) and the result is
+ * stored in `property_extractions` — never over the source columns — with a confidence
+ * per value and the model that produced it. getCandidates merges confident values in
+ * at read time (applyExtraction). A rule-based result stored because Claude failed has
+ * no source hash, so the next run tries again (changed-listings.js).
+ *
+ * Usage:
+ *   const summary = await runFeatureExtraction(supabase, { extract: extractListingDetails, ids });
+ */
+
+import crypto from 'crypto';
+import { processChangedListings, resultHash } from './changed-listings.js';
+
+export const MIN_CONFIDENCE = 0.6; // below this, extracted values are stored but not used
+
+export const FEATURE_VOCAB = [
+  'sea view', 'country view', 'mountain view', 'pool', 'garden', 'terrace', 'balcony', 'garage',
+  'fireplace', 'solar panels', 'heat pump', 'annex', 'well', 'olive trees', 'fruit trees',
+  'air conditioning', 'central heating', 'double glazing', 'elevator', 'office', 'storage',
+  'barbecue', 'gated community',
+];
+export const PARKING_TYPES = ['garage', 'private', 'covered', 'street', 'ev charging'];
+export const PET_SUITABILITY = ['suitable', 'unsuitable', 'unknown'];
+export const RENOVATION_LEVELS = ['none', 'light', 'major'];
+
+// Descriptions are matched lowercased and without accents
+const plain = (text) => String(text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+// [value, pattern, confidence] — PT and EN phrasings
+const FEATURE_PATTERNS = [
+  ['sea view', /vistas? (de |para o |sobre o )?(mar|oceano)|(sea|ocean) views?/, 0.85],
+  ['country view', /vistas? (de |para o |sobre o )?campo|(countryside|country|rural) views?/, 0.75],
+  ['mountain view', /vistas? (de |para a |sobre a )?serra|mountain views?/, 0.75],
+  ['pool', /piscina|swimming pool|\bpool\b/, 0.85],
+  ['garden', /jardim|\bgarden\b/, 0.8],
+  ['terrace', /terraco|terrace/, 0.8],
+  ['balcony', /varanda|balcony/, 0.8],
+  ['garage', /garagem|garage/, 0.85],
+  ['fireplace', /lareira|salamandra|fireplace|wood ?burner/, 0.8],
+  ['solar panels', /paineis solares|painel solar|fotovoltaic|solar panels?|photovoltaic/, 0.85],
+  ['heat pump', /bomba de calor|heat pump/, 0.85],
+  ['annex', /\banexos?\b|casa de hospedes|\bannexe?\b|guest ?(house|cottage)/, 0.75],
+  ['well', /\bpoco\b|\bfuro\b|borehole|water well/, 0.8],
+  ['olive trees', /oliveiras?|olival|olive (trees|grove)/, 0.8],
+  ['fruit trees', /arvores de fruto|arvores de fruta|pomar|fruit trees|orchard/, 0.8],
+  ['air conditioning', /ar condicionado|air[- ]?con/, 0.85],
+  ['central heating', /aquecimento central|central heating/, 0.85],
+  ['double glazing', /vidros? duplos?|double[- ]glaz/, 0.8],
+  ['elevator', /elevador|\blift\b|elevator/, 0.8],
+  ['office', /escritorio|home office|\bstudy\b/, 0.7],
+  ['storage', /arrecadacao|arrumos|storage room/, 0.75],
+  ['barbecue', /churrasqueira|barbecue|\bbbq\b/, 0.8],
+  ['gated community', /condominio fechado|gated (community|development)/, 0.85],
+];
+
+const PARKING_PATTERNS = [
+  ['garage', /garagem|\bbox\b|garage/, 0.85],
+  ['private', /lugar de (estacionamento|garagem)|estacionamento privado|parqueamento|private parking|parking space/, 0.75],
+  ['covered', /telheiro|alpendre para carro|carport|covered parking/, 0.7],
+  ['street', /estacionamento (na rua|publico)|street parking|on-street parking/, 0.7],
+  ['ev charging', /carregador (de |para )?(carros? )?eletric|wallbox|ev charg/, 0.8],
+];
+
+const RED_FLAG_PATTERNS = [
+  ['no habitation licence', /sem licenca de (habitacao|utilizacao)|licenca de utilizacao em falta|no (habitation|occupancy) licen[cs]e/, 0.8],
+  ['unlicensed construction', /nao legalizad|ampliacao ilegal|construcao ilegal|illegal (extension|construction)|not legali[sz]ed|unlicensed/, 0.75],
+  ['roof needs work', /telhado (a precisar|para substituir|precisa)|roof (needs|requires)|new roof needed/, 0.7],
+  ['damp', /humidade|infiltrac|\bdamp\b|water ingress/, 0.6],
+  ['asbestos', /amianto|fibrocimento|asbestos/, 0.7],
+  ['no mains utilities', /sem (agua|luz|eletricidade) (da rede|canalizada)|off[- ]grid|no mains (water|electricity)/, 0.7],
+  ['unpaved access', /caminho de terra|estrada de terra|acesso em terra batida|dirt (road|track)|unpaved/, 0.6],
+  ['occupied / tenanted', /arrendad[oa] (a|com) inquilino|com inquilino|ocupad[oa]|tenanted|sitting tenant/, 0.7],
+  ['legal complications', /heranca indivisa|penhora|usufruto|inheritance (dispute|issues)|under (seizure|probate)/, 0.65],
+];
+
+const RENOVATION_PATTERNS = [
+  ['major', /para recuperar|ruina|precisa de obras|necessita de obras|obras profundas|to renovate|renovation project|needs (full |complete )?renovation|in need of renovation/, 0.75],
+  ['light', /obras ligeiras|algumas obras|precisa de pintura|needs (some )?updating|light renovation|cosmetic/, 0.65],
+  ['none', /totalmente (remodelad|renovad|recuperad)|remodelad[oa] recentemente|como novo|construcao nova|fully renovated|newly (renovated|built)|new build|move[- ]in ready/, 0.7],
+];
+
+const PET_PATTERNS = [
+  ['unsuitable', /nao (se )?aceita(m)? animais|animais nao (sao )?permitidos|no pets|pets not allowed/, 0.85],
+  ['suitable', /aceita(m)? animais|animais (de estimacao )?(sao )?permitidos|pet[- ]friendly|pets (allowed|welcome)/, 0.8],
+];
+
+// Land area: "terreno de 2.500 m2", "plot of 1,2 ha", "5000 sqm of land"
+const LAND_PATTERN = /(?:terreno|lote|quintal|plot|land)(?: total)?(?: de| com| of| with)?(?: cerca de| aprox\.?| approx\.?| around)? ([\d][\d.,\s]*) ?(m2|m²|sqm|hectares?|ha)\b|([\d][\d.,\s]*) ?(m2|m²|sqm|hectares?|ha) (?:de terreno|of land|plot)/;
+
+function parseAmount(raw) {
+  let s = raw.replace(/\s/g, '');
+  // PT "2.500" / "1,2" vs EN "2,500" / "1.2": a separator followed by exactly 3 digits is thousands
+  if (/[.,]\d{3}$/.test(s)) s = s.replace(/[.,]/g, '');
+  else s = s.replace(/\./g, '').replace(',', '.');
+  const n = parseFloat(s);
+  return Number.isFinite(n) ? n : null;
+}
+
+function landSqm(text) {
+  const m = text.match(LAND_PATTERN);
+  if (!m) return null;
+  const amount = parseAmount(m[1] || m[3]);
+  const unit = m[2] || m[4];
+  if (!amount) return null;
+  const sqm = unit.startsWith('h') ? amount * 10000 : amount;
+  return { value: Math.round(sqm), confidence: 0.7, evidence: m[0].trim() };
+}
+
+const matches = (patterns, text) => patterns
+  .map(([value, pattern, confidence]) => {
+    const m = text.match(pattern);
+    return m ? { value, confidence, evidence: m[0] } : null;
+  })
+  .filter(Boolean);
+
+/**
+ * Keyword extraction over title + description + structured fields (no API calls)
+ * @returns {Object} { features, parking, red_flags: [{ value, confidence, evidence }],
+ *   pet_suitability, renovation, land_sqm: { value, confidence, evidence } }
+ */
+export function extractWithRules(property) {
+  const text = plain(`${property.title || ''}\n${property.description || ''}`);
+
+  const features = matches(FEATURE_PATTERNS, text);
+  const parking = matches(PARKING_PATTERNS, text);
+
+  // Wording first; the condition column is the fallback, and 'move-in' is also what
+  // mapCasafariProperty defaults to when Casafari doesn't say, so it stays below MIN_CONFIDENCE
+  const conditionLevel = { 'renovation-major': ['major', 0.8], 'renovation-light': ['light', 0.8], new: ['none', 0.8], 'move-in': ['none', 0.5] }[property.condition];
+  const renovation = matches(RENOVATION_PATTERNS, text)[0]
+    || (conditionLevel ? { value: conditionLevel[0], confidence: conditionLevel[1], evidence: `condition: ${property.condition}` } : null)
+    || { value: null, confidence: 0, evidence: '' };
+
+  const pet = matches(PET_PATTERNS, text)[0];
+
+  return {
+    features,
+    parking,
+    pet_suitability: pet || { value: 'unknown', confidence: 0, evidence: '' },
+    renovation,
+    land_sqm: landSqm(text) || { value: null, confidence: 0, evidence: '' },
+    red_flags: matches(RED_FLAG_PATTERNS, text),
+  };
+}
+
+/**
+ * Fold confident extracted values into a property row (source values always win or are kept)
+ * @param {Object} property - properties row (not modified)
+ * @param {Object} extraction - property_extractions row: { extracted, model, source }
+ * @returns {Object} property with merged features / parking / pet_friendly, plus
+ *   land_sqm, renovation_needed and red_flags when extracted
+ */
+export function applyExtraction(property, extraction, { minConfidence = MIN_CONFIDENCE } = {}) {
+  const x = extraction?.extracted;
+  if (!x) return property;
+  const confident = (items) => (items || []).filter(i => i.confidence >= minConfidence).map(i => i.value);
+  const single = (item) => (item?.value != null && item.confidence >= minConfidence ? item.value : null);
+
+  const petSuitability = single(x.pet_suitability);
+  return {
+    ...property,
+    features: [...new Set([...(property.features || []), ...confident(x.features)])],
+    parking: [...new Set([...(property.parking || []), ...confident(x.parking)])],
+    pet_friendly: property.pet_friendly || petSuitability === 'suitable',
+    land_sqm: property.land_sqm ?? single(x.land_sqm),
+    renovation_needed: single(x.renovation),
+    red_flags: confident(x.red_flags),
+    extraction_model: extraction.model,
+  };
+}
+
+// What the extraction reads — unchanged listings are skipped on the next run
+function sourceHash(property) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([property.title, property.description, property.condition, property.features]))
+    .digest('hex').slice(0, 32);
+}
+
+/**
+ * Extract details for new / changed listings and store them in property_extractions
+ * @param {Object} supabase - Supabase client
+ * @param {Object} options
+ * @param {Function} options.extract - property => { value, model, source } (extractListingDetails)
+ * @param {Array} options.ids - only these properties (default: active listings)
+ * @param {boolean} options.force - re-extract even if the listing hasn't changed
+ * @param {number} options.limit - max listings to extract in one run
+ * @returns {Object} { checked, extracted, ai, rules, skipped, errors }
+ */
+export async function runFeatureExtraction(supabase, { extract, ids = null, force = false, limit = 200 }) {
+  return processChangedListings(supabase, {
+    label: 'Extraction',
+    doneKey: 'extracted',
+    ids,
+    force,
+    limit,
+    hash: sourceHash,
+    storedHashes: async (properties) => {
+      const hashById = new Map();
+      for (let i = 0; i < properties.length; i += 200) {
+        const { data } = await supabase
+          .from('property_extractions')
+          .select('property_id, source_hash')
+          .in('property_id', properties.slice(i, i + 200).map(p => p.id));
+        (data || []).forEach(r => hashById.set(r.property_id, r.source_hash));
+      }
+      return hashById;
+    },
+    run: async (property) => {
+      const { value, model, source } = await extract(property);
+      const { error } = await supabase.from('property_extractions').upsert({
+        property_id: property.id,
+        extracted: value,
+        model,
+        source,
+        source_hash: resultHash(sourceHash(property), source),
+        extracted_at: new Date().toISOString(),
+      }, { onConflict: 'property_id' });
+      if (error) throw new Error(error.message);
+      return source;
+    },
+  });
+}
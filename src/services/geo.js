@@ -0,0 +1,160 @@
+/**
+ * homeAImatch — Geospatial Helpers
+ *
+ * Location filters for property search and matching:
+ *  - bbox:    map viewport as [minLng, minLat, maxLng, maxLat]
+ *  - radius:  point + radius in km
+ *  - polygon: GeoJSON Polygon / MultiPolygon drawn by the buyer (coords are [lng, lat])
+ *
+ * Every filter has a bounding box so the database can pre-filter on
+ * latitude/longitude; radius and polygon are then checked exactly in JS.
+ */
+
+const KM_PER_DEG_LAT = 111.32;
+const MAX_RADIUS_KM = 200;
+
+// ─── Haversine distance in km ───────────────────────────────────────────────
+export function haversine(lat1, lng1, lat2, lng2) {
+  const R = 6371;
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLng = (lng2 - lng1) * Math.PI / 180;
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+    Math.sin(dLng / 2) ** 2;
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// ─── Input parsing ──────────────────────────────────────────────────────────
+function parseJSONish(value, label) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    throw new Error(`${label} must be valid JSON`);
+  }
+}
+
+function validLat(v) { return Number.isFinite(v) && v >= -90 && v <= 90; }
+function validLng(v) { return Number.isFinite(v) && v >= -180 && v <= 180; }
+
+function parseBbox(value) {
+  const parts = Array.isArray(value) ? value.map(Number) : String(value).split(',').map(Number);
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (parts.length !== 4 || !validLng(minLng) || !validLng(maxLng) || !validLat(minLat) || !validLat(maxLat)) {
+    throw new Error('bbox must be minLng,minLat,maxLng,maxLat');
+  }
+  if (minLng > maxLng || minLat > maxLat) {
+    throw new Error('bbox min values must be below max values');
+  }
+  return [minLng, minLat, maxLng, maxLat];
+}
+
+// Accepts a GeoJSON Polygon, MultiPolygon, or a Feature wrapping one → list of polygons (rings)
+function parsePolygon(value) {
+  let geom = parseJSONish(value, 'polygon');
+  if (geom?.type === 'Feature') geom = geom.geometry;
+
+  let polygons;
+  if (geom?.type === 'Polygon') polygons = [geom.coordinates];
+  else if (geom?.type === 'MultiPolygon') polygons = geom.coordinates;
+  else throw new Error('polygon must be a GeoJSON Polygon or MultiPolygon');
+
+  for (const rings of polygons || []) {
+    if (!Array.isArray(rings) || rings.length === 0) throw new Error('polygon has no rings');
+    for (const ring of rings) {
+      if (!Array.isArray(ring) || ring.length < 4) throw new Error('polygon rings need at least 4 positions');
+      if (ring.some(pt => !Array.isArray(pt) || !validLng(Number(pt[0])) || !validLat(Number(pt[1])))) {
+        throw new Error('polygon positions must be [lng, lat]');
+      }
+    }
+  }
+  return polygons.map(rings => rings.map(ring => ring.map(([lng, lat]) => [Number(lng), Number(lat)])));
+}
+
+/**
+ * Parse a location filter from query params or a quiz answer.
+ * @param {Object} input - { bbox } | { lat, lng, radius_km } | { polygon }
+ * @returns {Object|null} normalised filter, or null if none given
+ * @throws {Error} with a user-facing message when the input is malformed
+ */
+export function parseGeoFilter(input = {}) {
+  const { bbox, lat, lng, radius_km, polygon } = input;
+
+  if (polygon) {
+    const polygons = parsePolygon(polygon);
+    const points = polygons.flat(2);
+    const lngs = points.map(p => p[0]);
+    const lats = points.map(p => p[1]);
+    return {
+      type: 'polygon',
+      polygons,
+      bbox: [Math.min(...lngs), Math.min(...lats), Math.max(...lngs), Math.max(...lats)],
+    };
+  }
+
+  if (lat != null || lng != null || radius_km != null) {
+    const center = { lat: Number(lat), lng: Number(lng) };
+    const radius = Number(radius_km);
+    if (!validLat(center.lat) || !validLng(center.lng)) throw new Error('lat and lng are required for a radius search');
+    if (!(radius > 0 && radius <= MAX_RADIUS_KM)) throw new Error(`radius_km must be between 0 and ${MAX_RADIUS_KM}`);
+
+    const dLat = radius / KM_PER_DEG_LAT;
+    const dLng = radius / (KM_PER_DEG_LAT * Math.max(Math.cos(center.lat * Math.PI / 180), 0.01));
+    return {
+      type: 'radius',
+      center,
+      radius_km: radius,
+      bbox: [center.lng - dLng, center.lat - dLat, center.lng + dLng, center.lat + dLat],
+    };
+  }
+
+  if (bbox) {
+    return { type: 'bbox', bbox: parseBbox(bbox) };
+  }
+
+  return null;
+}
+
+// ─── Point-in-polygon (ray casting, even-odd; holes are inner rings) ────────
+function pointInRing(lng, lat, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function pointInPolygons(lng, lat, polygons) {
+  return polygons.some(([outer, ...holes]) =>
+    pointInRing(lng, lat, outer) && !holes.some(hole => pointInRing(lng, lat, hole))
+  );
+}
+
+/**
+ * Is a coordinate inside the filter? Properties without coordinates never match.
+ */
+export function pointInGeoFilter(filter, lat, lng) {
+  if (!filter) return true;
+  if (lat == null || lng == null) return false;
+  lat = Number(lat);
+  lng = Number(lng);
+
+  const [minLng, minLat, maxLng, maxLat] = filter.bbox;
+  if (lng < minLng || lng > maxLng || lat < minLat || lat > maxLat) return false;
+
+  if (filter.type === 'radius') return haversine(filter.center.lat, filter.center.lng, lat, lng) <= filter.radius_km;
+  if (filter.type === 'polygon') return pointInPolygons(lng, lat, filter.polygons);
+  return true;
+}
+
+// ─── Pre-filter a Supabase properties query to a filter's bounding box ──────
+export function applyGeoBounds(query, filter) {
+  const [minLng, minLat, maxLng, maxLat] = filter.bbox;
+  return query
+    .gte('latitude', minLat).lte('latitude', maxLat)
+    .gte('longitude', minLng).lte('longitude', maxLng);
+}
@@ -0,0 +1,344 @@
+/**
+ * homeAImatch — Background Job Handlers
+ *
+ * What the worker does for each job type in the queue (job-queue.js):
+ *  - enrich_property      { property_id, sync_id? }  OSM enrichment for one listing
+ *  - casafari_sync_page   { location_ids, offset, limit, max_calls, call, sync_id, mode,
+ *                           changed_since?, delist_dry_run?, delist_grace_runs? }
+ *                         one page of a Casafari sync (within the monthly call budget),
+ *                         then the follow-up work for the listings it touched; queues the
+ *                         next page, or casafari_sync_finish after the last one. sync_id
+ *                         is the sync_runs row the page reports to (sync-runs.js); a retry
+ *                         of a page the run already recorded does nothing.
+ *  - casafari_sync_finish { …the page settings, offset, more }
+ *                         the end of a sync, kept out of the page job so a failure here
+ *                         doesn't fetch and count the last page again: moves the
+ *                         high-water mark and delists what's gone (deactivateMissing), or
+ *                         leaves a checkpoint for a sync stopped early (casafari-state.js).
+ *                         Either way the saved-search alerts are queued.
+ *   Cancelling either job stops the sync where it is, as if stopped early.
+ *  - ai_score             { saved_search_id } | { profile, since? }
+ *                         score a buyer profile's candidates (fills the score cache)
+ *  - saved_search_alerts  {}                         check saved searches for new matches
+ *
+ * A handler returns the job result, or throws to fail the attempt. Errors marked
+ * retryable: false (permanent below) fail the job straight away.
+ */
+
+import { fetchCasafariProperties, syncToSupabase, deactivateMissing, DEFAULT_DELIST_GRACE_RUNS } from './casafari-sync.js';
+import { runSavedSearchAlerts } from './saved-search-alerts.js';
+import { runFeatureExtraction } from './feature-extraction.js';
+import { runTranslation } from './translation.js';
+import { extractListingDetails, translateListing } from './ai-scoring.js';
+
+export const JOB_TYPES = ['enrich_property', 'casafari_sync_page', 'casafari_sync_finish', 'ai_score', 'saved_search_alerts'];
+
+// Pause after each job of a type before claiming the next one — each enrichment is two
+// Overpass queries, and Overpass asks for polite use (~5 listings a minute)
+export const JOB_PAUSE_MS = {
+  enrich_property: 10000,
+  casafari_sync_page: 500,
+};
+
+// Alerts wait for queued enrichment (priority 0) — they read the enrichment rows
+const ALERTS_PRIORITY = -1;
+const CASAFARI_PAGE_SIZE = 100;
+
+/**
+ * Start a Casafari sync: plan it (changes only or full, resuming any checkpoint), record
+ * the run and queue its first page. Used by POST /api/admin/casafari-sync and the
+ * scheduler.
+ * @param {Object} deps - { queue, syncRuns, casafariState }
+ * @param {Object} options - { locationIds, maxCalls, full, resume, dryRun, graceRuns }
+ * @returns {Object} { usage, plan, run, job } — run and job are null once the monthly call budget is used
+ */
+export async function queueCasafariSync({ queue, syncRuns, casafariState }, {
+  locationIds, maxCalls = 10, full = false, resume = true, dryRun = false, graceRuns = DEFAULT_DELIST_GRACE_RUNS,
+}) {
+  const usage = await casafariState.usage();
+  if (usage.remaining <= 0) return { usage, plan: null, run: null, job: null };
+
+  const plan = await casafariState.plan(locationIds, { full, resume });
+  const run = await syncRuns.start({ locationIds, maxCalls, plan });
+  const job = await queue.enqueue('casafari_sync_page', {
+    location_ids: locationIds,
+    offset: plan.offset,
+    max_calls: run.max_calls,
+    call: 1,
+    sync_id: run.id,
+    mode: plan.mode,
+    changed_since: plan.changed_since,
+    // After the last page, listings the sync no longer returns are delisted (dryRun: only reported)
+    delist_dry_run: dryRun,
+    delist_grace_runs: graceRuns,
+  });
+  await syncRuns.attachJob(run.id, job.id);
+  return { usage, plan, run, job };
+}
+
+function permanent(message) {
+  const err = new Error(message);
+  err.retryable = false;
+  return err;
+}
+
+/**
+ * @param {Object} deps
+ * @param {Object} deps.supabase - Supabase client
+ * @param {Object} deps.queue - from createJobQueue (handlers queue follow-up jobs)
+ * @param {Object} deps.syncRuns - from createSyncRunStore
+ * @param {Object} deps.casafariState - from createCasafariState
+ * @param {Object} deps.scoreCache - from createScoreCache
+ * @param {Object} deps.ruleStore - from createRuleStore
+ * @param {Object} deps.embeddingIndex - from createEmbeddingIndex
+ * @param {Function} deps.enrichAndSave - from createListingWriter
+ * @param {Function} deps.upsertAgent - from createListingWriter
+ * @param {Function} deps.findNewMatches - from createMatching
+ * @returns {Object} { [type]: async (payload, job) => result }
+ */
+export function createJobHandlers({ supabase, queue, syncRuns, casafariState, scoreCache, ruleStore, embeddingIndex, enrichAndSave, upsertAgent, findNewMatches }) {
+  async function enrichProperty({ property_id }) {
+    const { data: property, error } = await supabase
+      .from('properties')
+      .select('id, title, latitude, longitude')
+      .eq('id', property_id)
+      .maybeSingle();
+    if (error) throw new Error(`Property load failed: ${error.message}`);
+    if (!property) throw permanent(`Property ${property_id} not found`);
+    if (property.latitude == null || property.longitude == null) {
+      return { property_id, skipped: 'no coordinates' };
+    }
+
+    // enrichAndSave logs and returns null on failure (usually Overpass busy) — retry later
+    const enrichment = await enrichAndSave(property);
+    if (!enrichment) throw new Error('OSM enrichment returned nothing');
+    return { property_id, walkability: enrichment.walkability ?? null };
+  }
+
+  // A page attempt that fails is noted on the run (with its API call, if it got that
+  // far); the run fails with the job's last attempt, leaving a checkpoint so the next
+  // sync retries from this page
+  async function casafariSyncPage(payload, job) {
+    const attempt = { apiCall: false };
+    try {
+      return await syncPage(payload, attempt, job);
+    } catch (err) {
+      const final = err.retryable === false || job.attempts >= job.max_attempts;
+      const offset = payload.offset ?? 0;
+      const report = async () => {
+        await syncRuns.recordError(payload.sync_id, err.message, { jobId: job.id, offset, apiCall: attempt.apiCall });
+        if (final && payload.location_ids?.length) {
+          await stopEarly(payload, offset, `failed: ${err.message}`, { status: 'failed', error: err.message });
+        }
+      };
+      await report().catch(e => console.error('[Sync Runs] Update failed:', e.message));
+      throw err;
+    }
+  }
+
+  async function syncPage({
+    location_ids, offset = 0, limit = CASAFARI_PAGE_SIZE, max_calls = 10, call = 1, sync_id,
+    mode = 'full', changed_since = null,
+    delist_dry_run = false, delist_grace_runs = DEFAULT_DELIST_GRACE_RUNS,
+  }, attempt = {}, job = null) {
+    const token = process.env.CASAFARI_API_TOKEN;
+    if (!token) throw permanent('CASAFARI_API_TOKEN not set in environment variables');
+    if (!location_ids?.length) throw permanent('location_ids is required');
+    const settings = { location_ids, limit, max_calls, sync_id, mode, changed_since, delist_dry_run, delist_grace_runs };
+
+    // Already fetched and counted (the attempt failed to be marked done) — don't spend
+    // another call on it
+    const run = await syncRuns.get(sync_id);
+    if (run && run.last_page_offset === offset) {
+      console.log(`[Casafari Sync] ${sync_id}: page at offset ${offset} already recorded`);
+      return { offset, already_recorded: true };
+    }
+
+    // Out of calls for the month — stop here; the next sync resumes from this page
+    if (await casafariState.recordCall() == null) {
+      const usage = await casafariState.usage();
+      const reason = `monthly Casafari call budget used (${usage.calls}/${usage.budget})`;
+      console.warn(`[Casafari Sync] ${sync_id}: ${reason}, stopping at offset ${offset}`);
+      await stopEarly(settings, offset, reason);
+      return { offset, fetched: 0, stopped: reason };
+    }
+    attempt.apiCall = true;
+
+    const page = await fetchCasafariProperties({ token, locationIds: location_ids, limit, offset, changedSince: changed_since });
+    const fetched = page.results || [];
+    console.log(`[Casafari Sync] ${sync_id} call #${call}: got ${fetched.length} properties (offset ${offset} of ${page.count})`);
+
+    const results = await syncToSupabase(supabase, enrichAndSave, { casafariProperties: fetched, upsertAgent });
+    console.log(`[Casafari Sync] ${sync_id} call #${call}: ${results.inserted} new, ${results.updated} updated, ${results.skipped} skipped, ${results.errors.length} errors`);
+    if (results.errors.length > 0) {
+      console.log(`[Casafari Sync] Errors:`, results.errors.slice(0, 5));
+    }
+
+    // Price/description changes make cached AI scores stale
+    await scoreCache.invalidate(results.changed_ids);
+
+    // Embed, extract details from and translate new and edited descriptions
+    const touched = [...results.inserted_ids, ...results.changed_ids];
+    if (touched.length > 0) {
+      await embeddingIndex.reindex({ ids: touched }).catch(err => console.error('[Embeddings] Reindex failed:', err.message));
+      await runFeatureExtraction(supabase, { extract: extractListingDetails, ids: touched })
+        .catch(err => console.error('[Extraction] Failed:', err.message));
+      await runTranslation(supabase, { translate: translateListing, ids: touched })
+        .catch(err => console.error('[Translation] Failed:', err.message));
+    }
+
+    // New listings get OSM enrichment one job at a time (the worker paces them)
+    for (const id of results.inserted_ids) {
+      await queue.enqueue('enrich_property', { property_id: id, sync_id }, { dedupeKey: `enrich:${id}` });
+    }
+
+    const nextOffset = offset + limit;
+    const more = fetched.length > 0 && nextOffset < (page.count || 0);
+    const stop = await cancelled(job);
+    const next = stop ? null
+      : more && call < max_calls
+        ? await queue.enqueue('casafari_sync_page', { ...settings, offset: nextOffset, call: call + 1 }, { dedupeKey: `casafari:${sync_id}:${nextOffset}` })
+        : await queue.enqueue('casafari_sync_finish', { ...settings, offset: nextOffset, more }, { dedupeKey: `casafari:${sync_id}:finish` });
+
+    const summary = {
+      offset,
+      fetched: fetched.length,
+      total_count: page.count ?? null,
+      inserted: results.inserted,
+      updated: results.updated,
+      skipped: results.skipped,
+      errors: results.errors,
+      enrichment_queued: results.inserted_ids.length,
+      next_job_id: next?.id || null,
+    };
+    // Last: once the page is recorded a retry of this job returns straight away
+    await syncRuns.recordPage(sync_id, summary);
+    attempt.apiCall = false; // counted with the page
+
+    if (stop) {
+      console.warn(`[Casafari Sync] ${sync_id}: page job cancelled, stopping at offset ${nextOffset}`);
+      await stopEarly(settings, nextOffset, 'cancelled');
+    }
+
+    return { ...summary, errors: results.errors.slice(0, 10) };
+  }
+
+  // The run fails with the job's last attempt
+  async function casafariSyncFinish(payload, job) {
+    try {
+      return await finishSync(payload, job);
+    } catch (err) {
+      const final = err.retryable === false || job.attempts >= job.max_attempts;
+      if (final && payload.sync_id) {
+        await syncRuns.finish(payload.sync_id, { status: 'failed', error: err.message })
+          .catch(e => console.error('[Sync Runs] Update failed:', e.message));
+      }
+      throw err;
+    }
+  }
+
+  // Each step is safe to repeat: a retry after a failure part-way through picks up there
+  async function finishSync({ offset, more, ...settings }, job = null) {
+    const { sync_id, max_calls } = settings;
+    if (!settings.location_ids?.length) throw permanent('location_ids is required');
+    await scoreCache.purgeExpired();
+    if (await cancelled(job)) {
+      console.warn(`[Casafari Sync] ${sync_id}: finish job cancelled — no high-water mark or delisting`);
+      await stopEarly(settings, offset, 'cancelled');
+      return { sync_id, offset, cancelled: true };
+    }
+    if (more) {
+      console.warn(`[Casafari Sync] ${sync_id}: reached max ${max_calls} calls, stopping at offset ${offset}`);
+      await stopEarly(settings, offset, `stopped after ${max_calls} calls`);
+    } else {
+      await completeSync(settings);
+    }
+    console.log(`[Casafari Sync] ${sync_id} done`);
+    // New listings are in — let buyers with saved searches know once they're enriched
+    await queue.enqueue('saved_search_alerts', {}, { priority: ALERTS_PRIORITY, dedupeKey: 'saved_search_alerts' });
+    return { sync_id, offset, completed: !more };
+  }
+
+  // An admin cancelled the running job (POST /api/admin/jobs/:id/cancel): don't carry on
+  // with the sync it belongs to
+  async function cancelled(job) {
+    if (!job?.id) return false;
+    const current = await queue.get(job.id);
+    return current?.status === 'cancelled';
+  }
+
+  // When the listings a sync saw were first stamped: a resumed sync carries on from the
+  // interrupted one, so it counts from when that started
+  const seenSinceOf = (run) => run?.seen_since || run?.started_at || null;
+
+  // The sync ended before its last page: checkpoint for the next one, and no delisting —
+  // listings on pages it never fetched would count as gone
+  async function stopEarly({ location_ids, sync_id, mode, changed_since }, offset, reason, { status = 'partial', error = null } = {}) {
+    const run = await syncRuns.get(sync_id);
+    await casafariState.saveCheckpoint(location_ids, { sync_id, mode, offset, changed_since, seen_since: seenSinceOf(run) });
+    if (!run) return;
+    await syncRuns.recordDelisting(sync_id, { skipped: `${reason} before the last page — the next sync resumes from offset ${offset}` });
+    await syncRuns.finish(sync_id, { status, error, stoppedReason: reason });
+  }
+
+  // The sync saw every page: move the high-water mark, then delist what's gone. An
+  // incremental sync only returns changed listings, so only Casafari's own sold /
+  // withdrawn reports count there. The report is kept on the sync run.
+  async function completeSync({ location_ids, sync_id, mode, delist_dry_run, delist_grace_runs }) {
+    const run = await syncRuns.get(sync_id);
+    const seenSince = seenSinceOf(run);
+    if (!seenSince) {
+      console.log(`[Casafari Sync] ${sync_id}: no sync run — high-water mark and delisting skipped`);
+      return;
+    }
+    // Delisting already reported: a retry mustn't count the same listings missing twice
+    if (run.delisting) {
+      await syncRuns.finish(sync_id);
+      return;
+    }
+    await casafariState.complete(location_ids, { mark: seenSince, mode });
+    const report = await deactivateMissing(supabase, {
+      locationIds: location_ids,
+      seenSince,
+      graceRuns: delist_grace_runs,
+      countMissing: mode === 'full',
+      dryRun: delist_dry_run,
+    });
+    await syncRuns.recordDelisting(sync_id, report);
+    await syncRuns.finish(sync_id);
+  }
+
+  async function aiScore({ saved_search_id, profile, since = null }) {
+    let buyerProfile = profile;
+    if (saved_search_id) {
+      const { data: search, error } = await supabase
+        .from('saved_searches')
+        .select('id, profile')
+        .eq('id', saved_search_id)
+        .maybeSingle();
+      if (error) throw new Error(`Saved search load failed: ${error.message}`);
+      if (!search) throw permanent(`Saved search ${saved_search_id} not found`);
+      buyerProfile = search.profile;
+    }
+    if (!buyerProfile) throw permanent('saved_search_id or profile is required');
+
+    const matches = await findNewMatches(buyerProfile, { since });
+    return {
+      scored: matches.length,
+      matches: matches.map(m => ({ property_id: m.property.id, score: m.score?.score || 0, source: m.score?.source || null })),
+    };
+  }
+
+  async function savedSearchAlerts() {
+    const { version } = await ruleStore.getActive();
+    return runSavedSearchAlerts(supabase, { findNewMatches, rulesVersion: version });
+  }
+
+  return {
+    enrich_property: enrichProperty,
+    casafari_sync_page: casafariSyncPage,
+    casafari_sync_finish: casafariSyncFinish,
+    ai_score: aiScore,
+    saved_search_alerts: savedSearchAlerts,
+  };
+}
@@ -0,0 +1,255 @@
+/**
+ * homeAImatch — Background Job Queue
+ *
+ * Durable queue in the `jobs` table for work that outlives an HTTP request (OSM
+ * enrichment, Casafari sync pages, AI scoring). The API enqueues; the worker process
+ * (src/worker/worker.js, `npm run worker`) claims and runs jobs, so a restart or
+ * deploy no longer loses a half-finished background loop.
+ *
+ * jobs: id, type, payload (json), status, priority, attempts, max_attempts, run_at,
+ *   locked_by, locked_at, lease_expires_at, last_error, result (json), dedupe_key,
+ *   created_at, updated_at, finished_at
+ *
+ * Status: queued → running → succeeded | failed, or cancelled by an admin.
+ *  - Claiming is a conditional update (only if status/attempts are still what the
+ *    worker read), so two workers never run the same job.
+ *  - A running job holds a lease the worker keeps renewing; if the worker dies, the
+ *    lease runs out and the job can be claimed again.
+ *  - A failed attempt goes back to queued with exponential backoff until max_attempts.
+ *
+ * Usage:
+ *   const queue = createJobQueue(supabase);
+ *   await queue.enqueue('enrich_property', { property_id }, { dedupeKey: `enrich:${property_id}` });
+ *   const job = await queue.claim('worker-1', ['enrich_property']);
+ */
+
+export const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_LEASE_SECONDS = 120;
+const BACKOFF_BASE_SECONDS = 30;
+const BACKOFF_MAX_SECONDS = 60 * 60;
+const MAX_ERROR_LENGTH = 1000;
+const CLAIM_BATCH = 10;
+
+/**
+ * Delay before retry n (1-based): 30s, 60s, 120s… capped at an hour, ±20% jitter
+ * so jobs that failed together don't all retry together
+ */
+export function backoffSeconds(attempt) {
+  const base = Math.min(BACKOFF_MAX_SECONDS, BACKOFF_BASE_SECONDS * 2 ** Math.max(0, attempt - 1));
+  return Math.round(base * (0.8 + Math.random() * 0.4));
+}
+
+const secondsFromNow = (s) => new Date(Date.now() + s * 1000).toISOString();
+
+/**
+ * @param {Object} supabase - Supabase client
+ * @param {Object} options
+ * @param {number} options.leaseSeconds - how long a claim lasts without a heartbeat
+ * @returns {Object} { enqueue, claim, heartbeat, complete, fail, cancel, retry, get, list, counts }
+ */
+export function createJobQueue(supabase, { leaseSeconds = DEFAULT_LEASE_SECONDS } = {}) {
+  /**
+   * Add a job. With dedupeKey, an existing queued / running job with the same key is
+   * returned instead of adding another.
+   * @returns {Object} the job row (existing one when deduplicated)
+   */
+  async function enqueue(type, payload = {}, { runAt = null, priority = 0, maxAttempts = DEFAULT_MAX_ATTEMPTS, dedupeKey = null } = {}) {
+    if (dedupeKey) {
+      const { data: existing } = await supabase
+        .from('jobs')
+        .select('*')
+        .eq('dedupe_key', dedupeKey)
+        .in('status', ['queued', 'running'])
+        .limit(1);
+      if (existing?.length) return existing[0];
+    }
+
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('jobs')
+      .insert({
+        type,
+        payload,
+        status: 'queued',
+        priority,
+        attempts: 0,
+        max_attempts: maxAttempts,
+        run_at: runAt ? new Date(runAt).toISOString() : now,
+        dedupe_key: dedupeKey,
+        created_at: now,
+        updated_at: now,
+      })
+      .select()
+      .single();
+    if (error) throw new Error(`Enqueue ${type} failed: ${error.message}`);
+    return data;
+  }
+
+  /**
+   * Claim the next due job: queued and past run_at, or running with an expired lease
+   * (its worker died). Highest priority first, then oldest run_at.
+   * @param {string} workerId - recorded as locked_by
+   * @param {Array} types - job types this worker handles
+   * @returns {Object|null} the claimed job (attempts already incremented)
+   */
+  async function claim(workerId, types) {
+    const now = new Date().toISOString();
+    const { data: due, error } = await supabase
+      .from('jobs')
+      .select('id, status, attempts, max_attempts')
+      .in('type', types)
+      .or(`and(status.eq.queued,run_at.lte.${now}),and(status.eq.running,lease_expires_at.lt.${now})`)
+      .order('priority', { ascending: false })
+      .order('run_at', { ascending: true })
+      .limit(CLAIM_BATCH);
+    if (error) throw new Error(`Job claim failed: ${error.message}`);
+
+    for (const job of due || []) {
+      // A worker died on its last attempt — give up rather than run it again
+      if (job.status === 'running' && job.attempts >= job.max_attempts) {
+        await supabase.from('jobs')
+          .update({ status: 'failed', last_error: 'Lease expired on the last attempt', locked_by: null, lease_expires_at: null, finished_at: now, updated_at: now })
+          .eq('id', job.id).eq('status', 'running').eq('attempts', job.attempts);
+        continue;
+      }
+
+      const { data: claimed } = await supabase
+        .from('jobs')
+        .update({
+          status: 'running',
+          attempts: job.attempts + 1,
+          locked_by: workerId,
+          locked_at: now,
+          lease_expires_at: secondsFromNow(leaseSeconds),
+          updated_at: now,
+        })
+        .eq('id', job.id)
+        .eq('status', job.status)
+        .eq('attempts', job.attempts)
+        .select();
+      if (claimed?.length) return claimed[0];
+      // Another worker got there first — try the next one
+    }
+    return null;
+  }
+
+  /**
+   * Extend the lease on a running job
+   * @returns {boolean} false when the job is no longer ours (cancelled or re-claimed)
+   */
+  async function heartbeat(job) {
+    const { data } = await supabase
+      .from('jobs')
+      .update({ lease_expires_at: secondsFromNow(leaseSeconds), updated_at: new Date().toISOString() })
+      .eq('id', job.id)
+      .eq('status', 'running')
+      .eq('locked_by', job.locked_by)
+      .select('id');
+    return !!data?.length;
+  }
+
+  // Finish a claimed job; a no-op if it was cancelled meanwhile
+  async function finish(job, fields) {
+    const now = new Date().toISOString();
+    const { error } = await supabase
+      .from('jobs')
+      .update({ ...fields, locked_by: null, lease_expires_at: null, updated_at: now })
+      .eq('id', job.id)
+      .eq('status', 'running')
+      .eq('locked_by', job.locked_by);
+    if (error) throw new Error(`Job ${job.id} update failed: ${error.message}`);
+  }
+
+  async function complete(job, result = null) {
+    await finish(job, { status: 'succeeded', result, last_error: null, finished_at: new Date().toISOString() });
+  }
+
+  /**
+   * Record a failed attempt: back to queued with backoff, or failed for good once
+   * attempts are used up (or when the error says retrying won't help)
+   * @returns {Object} { status, run_at? }
+   */
+  async function fail(job, err) {
+    const message = String(err?.message || err).slice(0, MAX_ERROR_LENGTH);
+    if (err?.retryable === false || job.attempts >= job.max_attempts) {
+      await finish(job, { status: 'failed', last_error: message, finished_at: new Date().toISOString() });
+      return { status: 'failed' };
+    }
+    const runAt = secondsFromNow(backoffSeconds(job.attempts));
+    await finish(job, { status: 'queued', last_error: message, run_at: runAt });
+    return { status: 'queued', run_at: runAt };
+  }
+
+  async function get(id) {
+    const { data, error } = await supabase.from('jobs').select('*').eq('id', id).maybeSingle();
+    if (error) throw new Error(`Job load failed: ${error.message}`);
+    return data;
+  }
+
+  /**
+   * Cancel a queued or running job. A running job's worker notices on its next
+   * heartbeat; work already done is not undone.
+   * @returns {Object|null} the updated job, or null if it can't be cancelled
+   */
+  async function cancel(id) {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('jobs')
+      .update({ status: 'cancelled', locked_by: null, lease_expires_at: null, finished_at: now, updated_at: now })
+      .eq('id', id)
+      .in('status', ['queued', 'running'])
+      .select();
+    if (error) throw new Error(`Job cancel failed: ${error.message}`);
+    return data?.[0] || null;
+  }
+
+  /**
+   * Put a failed or cancelled job back in the queue with a fresh set of attempts
+   * @returns {Object|null} the updated job, or null if it isn't failed / cancelled
+   */
+  async function retry(id) {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('jobs')
+      .update({ status: 'queued', attempts: 0, run_at: now, finished_at: null, updated_at: now })
+      .eq('id', id)
+      .in('status', ['failed', 'cancelled'])
+      .select();
+    if (error) throw new Error(`Job retry failed: ${error.message}`);
+    return data?.[0] || null;
+  }
+
+  /**
+   * Newest jobs first
+   * @returns {Array} job rows without payload / result (see get for the full row)
+   */
+  async function list({ status = null, type = null, limit = 50, offset = 0 } = {}) {
+    let query = supabase
+      .from('jobs')
+      .select('id, type, status, priority, attempts, max_attempts, run_at, locked_by, lease_expires_at, last_error, dedupe_key, created_at, updated_at, finished_at')
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+    if (status) query = query.eq('status', status);
+    if (type) query = query.eq('type', type);
+    const { data, error } = await query;
+    if (error) throw new Error(`Job list failed: ${error.message}`);
+    return data || [];
+  }
+
+  // Number of jobs per status — optionally for one type, and for payload fields with given
+  // values (e.g. { sync_id } for one sync run's enrichment jobs)
+  async function counts({ type = null, payload = {} } = {}) {
+    const entries = await Promise.all(JOB_STATUSES.map(async status => {
+      let query = supabase.from('jobs').select('id', { count: 'exact', head: true }).eq('status', status);
+      if (type) query = query.eq('type', type);
+      for (const [key, value] of Object.entries(payload)) query = query.eq(`payload->>${key}`, String(value));
+      const { count } = await query;
+      return [status, count || 0];
+    }));
+    return Object.fromEntries(entries);
+  }
+
+  return { enqueue, claim, heartbeat, complete, fail, cancel, retry, get, list, counts };
+}
@@ -0,0 +1,101 @@
+/**
+ * homeAImatch — Listing Writes
+ *
+ * Saving OSM enrichment and finding or creating agents / agencies for imported
+ * listings — used by the API server and by the job worker's enrichment and
+ * Casafari sync jobs.
+ *
+ * Usage:
+ *   const { enrichAndSave, upsertAgent } = createListingWriter(supabase, { scoreCache });
+ */
+
+import { enrichWithOSM } from './enrichment-osm.js';
+import { estimateCityCenterCommute } from './commute.js';
+
+/**
+ * @param {Object} supabase - Supabase client
+ * @param {Object} options
+ * @param {Object} options.scoreCache - from createScoreCache (re-enrichment invalidates scores)
+ * @returns {Object} { enrichAndSave, upsertAgent }
+ */
+export function createListingWriter(supabase, { scoreCache }) {
+  async function enrichAndSave(property) {
+    try {
+      // Use OpenStreetMap enrichment (works globally — PT, IE, UK, anywhere)
+      const enrichment = await enrichWithOSM(property);
+      if (!enrichment) return null;
+
+      const { error } = await supabase
+        .from('property_enrichment')
+        .upsert(enrichment, { onConflict: 'property_id' });
+
+      if (error) console.error('Save enrichment error:', error);
+
+      // New enrichment changes what Claude would say about this listing
+      await scoreCache.invalidate([property.id]);
+
+      // Keep a copy on the property row so GET /api/properties can sort by it,
+      // and fill the drive time to Lisbon centre while we have coordinates
+      await supabase
+        .from('properties')
+        .update({
+          walkability: enrichment.walkability,
+          commute_city_center: await estimateCityCenterCommute(property),
+        })
+        .eq('id', property.id);
+
+      return enrichment;
+    } catch (err) {
+      console.error('Enrichment error:', err.message);
+      return null;
+    }
+  }
+
+  async function upsertAgent(agentData) {
+    // Find or create agency
+    let agencyId = null;
+    if (agentData.agency) {
+      const { data: existing } = await supabase
+        .from('agencies')
+        .select('id')
+        .eq('name', agentData.agency)
+        .single();
+
+      if (existing) {
+        agencyId = existing.id;
+      } else {
+        const { data: newAgency } = await supabase
+          .from('agencies')
+          .insert({ name: agentData.agency })
+          .select('id')
+          .single();
+        agencyId = newAgency?.id;
+      }
+    }
+
+    // Find or create agent
+    const { data: existingAgent } = await supabase
+      .from('agents')
+      .select('id')
+      .eq('name', agentData.name)
+      .eq('agency_id', agencyId)
+      .single();
+
+    if (existingAgent) return existingAgent.id;
+
+    const { data: newAgent } = await supabase
+      .from('agents')
+      .insert({
+        name: agentData.name,
+        phone: agentData.phone,
+        initials: agentData.initials || agentData.name.split(' ').map(n => n[0]).join(''),
+        agency_id: agencyId,
+      })
+      .select('id')
+      .single();
+
+    return newAgent?.id;
+  }
+
+  return { enrichAndSave, upsertAgent };
+}
@@ -0,0 +1,231 @@
+/**
+ * homeAImatch — Match Feedback
+ *
+ * Buyers react to each match: thumbs up / down, and optionally "not for me because…".
+ * Reactions are stored in `match_feedback` against the search id from saveSearch, with
+ * the score and per-factor breakdown the match was shown with, so we can see which
+ * factors lift matches that buyers go on to reject.
+ *
+ * The weight job turns that into buyer-type presets on a new scoring rule set
+ * (scoring-rules.js), which an admin reviews and activates like any other version:
+ *  - a reason given on many thumbs-down ("too expensive", "commute too long")
+ *    strengthens the weights behind that factor for the buyer type
+ *  - a factor that gives rejected matches more points than liked ones is softened
+ * Changes are capped per run, and buyer types with too little feedback are left alone.
+ * Only feedback given on matches scored with the active rule set counts: that is what
+ * the multipliers apply to, and it keeps a second run from compounding the same
+ * evidence onto weights already adjusted for it.
+ */
+
+import { BUYER_TYPES, DEFAULT_WEIGHTS, resolveWeights } from './scoring-rules.js';
+
+export const REACTIONS = ['up', 'down'];
+
+// "Not for me because…" → the score factor it's about (null: no factor to adjust)
+export const FEEDBACK_REASONS = {
+  too_expensive: 'budget',
+  too_small: 'size',
+  not_enough_bedrooms: 'bedrooms',
+  needs_work: 'condition',
+  not_walkable: 'walkability',
+  wrong_area: 'area',
+  wrong_vibe: 'vibe',
+  missing_features: 'features',
+  commute_too_long: 'commute',
+  wrong_property_type: null,
+  other: null,
+};
+
+const DEFAULT_MIN_VOTES = 20;
+const STEP = 0.15;            // weight change per signal
+const MAX_CHANGE = 0.3;       // never more than ±30% per run
+const REASON_SHARE = 0.2;     // a reason on ≥20% of thumbs-down counts as a signal
+const LIFT_MARGIN = 2;        // avg points on rejected vs liked matches before softening
+const MIN_PER_REACTION = 5;   // likes and dislikes needed to compare factor points
+
+// Weight keys behind each breakdown factor (caps and multipliers are left alone)
+const FACTOR_PREFIXES = {
+  budget: ['budget_'],
+  size: ['sqm_'],
+  bedrooms: ['beds_'],
+  condition: ['condition_'],
+  walkability: ['walk_'],
+  area: ['setting_', 'beach_bonus'],
+  vibe: ['vibe_match'],
+  features: ['feature_match'],
+  description: ['semantic_match'],
+  commute: ['commute_comfortable', 'commute_within', 'commute_over'],
+  priorities: ['priority_'],
+  convenience: ['convenience'],
+  pets: ['pets_'],
+};
+
+function weightKeys(factor, section, buyerType) {
+  const prefixes = factor === 'buyer_type' ? [`${buyerType}_`] : FACTOR_PREFIXES[factor] || [];
+  return Object.keys(DEFAULT_WEIGHTS[section])
+    .filter(key => prefixes.some(p => key.startsWith(p)) && !key.endsWith('_cap'));
+}
+
+/**
+ * Tally feedback rows per buyer type
+ * @param {Array} rows - match_feedback rows: { reaction, reason, buyer_type, breakdown }
+ * @returns {Object} { [buyer_type | 'unknown']: { up, down, reasons: { code: n },
+ *   factors: { factor: { up_points, down_points } } } }
+ */
+export function summarizeFeedback(rows) {
+  const byType = {};
+  for (const r of rows) {
+    if (!REACTIONS.includes(r.reaction)) continue;
+    const s = byType[r.buyer_type || 'unknown'] ||= { up: 0, down: 0, reasons: {}, factors: {} };
+    s[r.reaction]++;
+    if (r.reaction === 'down' && r.reason) s.reasons[r.reason] = (s.reasons[r.reason] || 0) + 1;
+    for (const b of r.breakdown || []) {
+      const f = s.factors[b.factor] ||= { up_points: 0, down_points: 0 };
+      f[`${r.reaction}_points`] += Number(b.points) || 0;
+    }
+  }
+  return byType;
+}
+
+/**
+ * Admin-facing summary: approval rate and top "not for me" reasons per buyer type
+ */
+export function feedbackReport(rows) {
+  const summary = summarizeFeedback(rows);
+  const approval = (up, down) => (up + down ? Math.round(up / (up + down) * 100) / 100 : null);
+  const totals = Object.values(summary).reduce((t, s) => ({ up: t.up + s.up, down: t.down + s.down }), { up: 0, down: 0 });
+  return {
+    total: totals.up + totals.down,
+    up: totals.up,
+    down: totals.down,
+    approval: approval(totals.up, totals.down),
+    by_buyer_type: Object.fromEntries(Object.entries(summary).map(([type, s]) => [type, {
+      up: s.up,
+      down: s.down,
+      approval: approval(s.up, s.down),
+      top_reasons: Object.entries(s.reasons)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 5)
+        .map(([reason, count]) => ({ reason, count })),
+    }])),
+  };
+}
+
+/**
+ * Work out buyer-type preset changes from feedback
+ * @param {Object} summary - from summarizeFeedback
+ * @param {Object} ruleSet - the rule set the changes build on (usually the active one)
+ * @param {Object} options
+ * @param {number} options.minVotes - feedback needed before a buyer type is adjusted
+ * @returns {Object} { presets: { [type]: { prescore, rules } }, changes: [{ buyer_type, factor,
+ *   multiplier, why }], skipped: [{ buyer_type, votes }] }
+ */
+export function proposeAdjustments(summary, ruleSet, { minVotes = DEFAULT_MIN_VOTES } = {}) {
+  const presets = {};
+  const changes = [];
+  const skipped = [];
+
+  for (const [type, s] of Object.entries(summary)) {
+    const votes = s.up + s.down;
+    if (!BUYER_TYPES.includes(type) || votes < minVotes) {
+      skipped.push({ buyer_type: type, votes });
+      continue;
+    }
+
+    const signals = {}; // factor → { delta, why[] }
+    const signal = (factor, delta, why) => {
+      const entry = signals[factor] ||= { delta: 0, why: [] };
+      entry.delta += delta;
+      entry.why.push(why);
+    };
+
+    for (const [reason, count] of Object.entries(s.reasons)) {
+      const factor = FEEDBACK_REASONS[reason];
+      if (factor && count / s.down >= REASON_SHARE) {
+        signal(factor, STEP, `"${reason}" on ${Math.round(count / s.down * 100)}% of thumbs-down`);
+      }
+    }
+
+    if (s.up >= MIN_PER_REACTION && s.down >= MIN_PER_REACTION) {
+      for (const [factor, f] of Object.entries(s.factors)) {
+        const avgUp = f.up_points / s.up;
+        const avgDown = f.down_points / s.down;
+        if (avgDown - avgUp >= LIFT_MARGIN) {
+          signal(factor, -STEP, `avg ${avgDown.toFixed(1)} pts on rejected vs ${avgUp.toFixed(1)} on liked matches`);
+        }
+      }
+    }
+
+    const current = resolveWeights(ruleSet, type);
+    for (const [factor, { delta, why }] of Object.entries(signals)) {
+      const multiplier = Math.round(Math.min(1 + MAX_CHANGE, Math.max(1 - MAX_CHANGE, 1 + delta)) * 100) / 100;
+      if (multiplier === 1) continue;
+      let changed = false;
+      for (const section of ['prescore', 'rules']) {
+        for (const key of weightKeys(factor, section, type)) {
+          const value = Math.round(current[section][key] * multiplier * 10) / 10;
+          if (value === current[section][key]) continue;
+          ((presets[type] ||= {})[section] ||= {})[key] = value;
+          changed = true;
+        }
+      }
+      if (changed) changes.push({ buyer_type: type, factor, multiplier, why: why.join('; ') });
+    }
+  }
+
+  return { presets, changes, skipped };
+}
+
+/**
+ * All feedback rows (optionally since a date, or on matches scored with one rule set
+ * version), page by page — PostgREST returns at most 1000 rows per request
+ * @returns {Array} match_feedback rows with the given columns
+ */
+export async function loadFeedback(supabase, { columns, since = null, rulesVersion = null }) {
+  const rows = [];
+  for (let from = 0; ; from += 1000) {
+    let query = supabase.from('match_feedback').select(columns).order('id').range(from, from + 999);
+    if (since) query = query.gte('created_at', since);
+    if (rulesVersion != null) query = query.eq('rules_version', rulesVersion);
+    const { data, error } = await query;
+    if (error) throw new Error(`Feedback load failed: ${error.message}`);
+    rows.push(...(data || []));
+    if (!data || data.length < 1000) break;
+  }
+  return rows;
+}
+
+/**
+ * Feedback → new rule set version with adjusted buyer-type presets
+ * @param {Object} supabase - Supabase client
+ * @param {Object} ruleStore - from createRuleStore
+ * @param {Object} options
+ * @param {number} options.sinceDays - only feedback from the last N days (and given under the active version)
+ * @param {number} options.minVotes - see proposeAdjustments
+ * @param {boolean} options.dryRun - report the changes without saving a rule set
+ * @param {boolean} options.activate - make the new version live straight away
+ * @returns {Object} { feedback, changes, skipped, rule_set: { version, is_active } | null }
+ */
+export async function runFeedbackWeightJob(supabase, ruleStore, { sinceDays = 90, minVotes, dryRun = false, activate = false } = {}) {
+  const since = new Date(Date.now() - sinceDays * 24 * 60 * 60 * 1000).toISOString();
+  const base = await ruleStore.getActive();
+  const rows = await loadFeedback(supabase, { columns: 'reaction, reason, buyer_type, breakdown', since, rulesVersion: base.version });
+
+  const { presets, changes, skipped } = proposeAdjustments(summarizeFeedback(rows), base, { minVotes });
+  const result = { feedback: rows.length, based_on: base.version, changes, skipped, rule_set: null };
+
+  if (dryRun || changes.length === 0) {
+    console.log(`[Feedback] ${result.feedback} reactions → ${changes.length} weight changes${dryRun ? ' (dry run)' : ''}`);
+    return result;
+  }
+
+  const created = await ruleStore.create({
+    presets,
+    notes: `Feedback adjustment from ${result.feedback} reactions on v${base.version} since ${since.slice(0, 10)}: ${changes.map(c => `${c.buyer_type}.${c.factor} ×${c.multiplier}`).join(', ')}`,
+    created_by: 'feedback-job',
+    activate,
+  });
+  result.rule_set = { version: created.version, is_active: !!created.is_active };
+  console.log(`[Feedback] Rule set v${created.version} created from ${result.feedback} reactions (${changes.length} changes${activate ? ', active' : ''})`);
+  return result;
+}
@@ -0,0 +1,250 @@
+/**
+ * homeAImatch — Candidate Matching
+ *
+ * The database side of matching, shared by the API server and the job worker
+ * (src/worker/worker.js): getCandidates turns a buyer profile into active listings
+ * (location, drawn area, budget, size, type and condition filters, description matches,
+ * extracted details, commute limits), and findNewMatches scores every listing that
+ * appeared since a point in time for saved-search alerts.
+ *
+ * Usage:
+ *   const { getCandidates, getEnrichmentBatch } = createMatching({ supabase, embeddingIndex, scoreCache, ruleStore });
+ */
+
+import { scoreProperties } from './ai-scoring.js';
+import { pointInGeoFilter, applyGeoBounds } from './geo.js';
+import { estimateCommutes } from './commute.js';
+import { resolveWeights } from './scoring-rules.js';
+import { applyExtraction } from './feature-extraction.js';
+
+// Listings up to 25% over a buyer's max commute stay in (scored down, not excluded)
+const COMMUTE_TOLERANCE = 1.25;
+
+// Free-text wish ("sea view terrace"): how many description matches to look at, and how many
+// of those may be pulled in from outside the buyer's concelhos / drawn area
+const SEMANTIC_HITS = 30;
+const SEMANTIC_PULL_IN = 10;
+
+// New listings per scoring request in findNewMatches
+const NEW_MATCH_BATCH = 6;
+
+// Everything a buyer's profile asks of a listing apart from where it is: active, in
+// Portugal, budget (already buffered), bedrooms, size, property type and condition.
+// Shared by the candidate query and the description pull-in.
+function applyListingFilters(query, profile, { budgetMin, budgetMax }) {
+  query = query
+    .eq('listing_status', 'active')
+    .eq('country', 'PT')
+    .gte('price', budgetMin).lte('price', budgetMax);
+
+  // Min bedrooms filter
+  if (profile.min_beds && profile.min_beds > 1) {
+    query = query.gte('beds', profile.min_beds);
+  }
+
+  // Min sqm filter (with buffer)
+  if (profile.min_sqm && profile.min_sqm > 0) {
+    query = query.gte('sqm', Math.round(profile.min_sqm * 0.8));
+  }
+
+  // Property type include/exclude (set by conversational refinement)
+  if (profile.property_types?.length) {
+    query = query.in('property_type', profile.property_types);
+  }
+  if (profile.exclude_property_types?.length) {
+    query = query.not('property_type', 'in', `(${profile.exclude_property_types.join(',')})`);
+  }
+
+  // Condition filter
+  const condStr = (profile.property_condition || '').toLowerCase();
+  if (condStr.includes('new build') || condStr.includes('nova')) {
+    query = query.neq('condition', 'renovation-major');
+  } else if ((condStr.includes('full renovation') || condStr.includes('total')) && !condStr.includes("don't") && !condStr.includes('tanto')) {
+    query = query.neq('condition', 'move-in');
+  }
+  return query;
+}
+
+/**
+ * @param {Object} deps
+ * @param {Object} deps.supabase - Supabase client
+ * @param {Object} deps.embeddingIndex - from createEmbeddingIndex (free-text wishes)
+ * @param {Object} deps.scoreCache - from createScoreCache
+ * @param {Object} deps.ruleStore - from createRuleStore
+ * @returns {Object} { getCandidates, getEnrichmentBatch, getExtractionBatch, findNewMatches }
+ */
+export function createMatching({ supabase, embeddingIndex, scoreCache, ruleStore }) {
+  // Tag candidates whose description matches profile.semantic_query with semantic_match
+  // (0-1, relative to the best hit) and add strong matches the location filters left out.
+  // Everything but location (applyListingFilters) still applies to pulled-in listings.
+  async function addSemanticMatches(profile, candidates, { budgetMin, budgetMax }) {
+    let hits;
+    try {
+      hits = await embeddingIndex.search(profile.semantic_query, { limit: SEMANTIC_HITS });
+    } catch (err) {
+      console.error('[getCandidates] Semantic search failed:', err.message);
+      return candidates;
+    }
+    if (hits.length === 0) return candidates;
+
+    const have = new Set(candidates.map(p => p.id));
+    const missing = hits.filter(h => !have.has(h.property_id)).slice(0, SEMANTIC_PULL_IN).map(h => h.property_id);
+    let pulledIn = [];
+    if (missing.length) {
+      const query = supabase
+        .from('properties')
+        .select('*, agents(name, initials, phone, agency:agencies(name))')
+        .in('id', missing);
+      const { data, error } = await applyListingFilters(query, profile, { budgetMin, budgetMax });
+      if (error) console.error('[getCandidates] Semantic pull-in error:', error.message);
+      pulledIn = data || [];
+    }
+
+    const best = hits[0].similarity;
+    const strength = new Map(hits.map(h => [h.property_id, Math.round(h.similarity / best * 100) / 100]));
+    const all = [...candidates, ...pulledIn];
+    all.forEach(p => { if (strength.has(p.id)) p.semantic_match = strength.get(p.id); });
+    console.log(`[getCandidates] "${profile.semantic_query}": ${all.filter(p => p.semantic_match).length} description matches, ${pulledIn.length} pulled in`);
+    return all;
+  }
+
+  // excludeIds: listings never to return (already alerted, or hidden by the buyer)
+  async function getCandidates(profile, { excludeIds = [] } = {}) {
+    let query = supabase
+      .from('properties')
+      .select('*, agents(name, initials, phone, agency:agencies(name))');
+
+    // If specific concelhos selected, filter by them (refinement can override the quiz answer)
+    const selectedConcelhos = profile.concelhos || profile.raw_answers?.concelhos;
+    if (selectedConcelhos && Array.isArray(selectedConcelhos) && selectedConcelhos.length > 0) {
+      // Strip emoji prefix from concelho names
+      const cleanNames = selectedConcelhos.map(c => c.replace(/^[^\w]*/, '').trim());
+      query = query.in('city', cleanNames);
+    }
+    // Otherwise: no city filter — include ALL active Silver Coast properties
+
+    // Buyer-drawn area (bbox / radius / polygon): bbox pre-filter here, exact check after fetch
+    if (profile.area) {
+      query = applyGeoBounds(query, profile.area);
+    }
+
+    // Budget filter with 20% buffer
+    const budgetMin = Math.max(0, (profile.budget_min || 0) * 0.8);
+    const budgetMax = (profile.budget_max || 9999999) * 1.2;
+    query = applyListingFilters(query, profile, { budgetMin, budgetMax });
+
+    // Fetch with pagination
+    const { data: page1, error: err1 } = await query.range(0, 999);
+    if (err1) {
+      console.error('Candidate query error:', err1);
+      return [];
+    }
+    let allCandidates = page1 || [];
+
+    if (allCandidates.length === 1000) {
+      const { data: page2 } = await query.range(1000, 1999);
+      if (page2 && page2.length > 0) {
+        allCandidates = [...allCandidates, ...page2];
+      }
+    }
+
+    if (profile.area && profile.area.type !== 'bbox') {
+      allCandidates = allCandidates.filter(p => pointInGeoFilter(profile.area, p.latitude, p.longitude));
+    }
+
+    if (profile.semantic_query) {
+      allCandidates = await addSemanticMatches(profile, allCandidates, { budgetMin, budgetMax });
+    }
+
+    // After the description pull-in, so a hidden listing can't come back as a description match
+    if (excludeIds.length) {
+      const excluded = new Set(excludeIds);
+      allCandidates = allCandidates.filter(p => !excluded.has(p.id));
+    }
+
+    // Fold in confident details extracted from descriptions (features, parking, land, red flags)
+    const extractionMap = await getExtractionBatch(allCandidates.map(p => p.id));
+    allCandidates = allCandidates.map(p => applyExtraction(p, extractionMap[p.id]));
+
+    // Commute anchors: estimate travel time to each, drop listings clearly too far
+    // (estimates are approximate, so allow some slack before excluding)
+    if (profile.commute_anchors?.length) {
+      const CHUNK = 25;
+      for (let i = 0; i < allCandidates.length; i += CHUNK) {
+        await Promise.all(allCandidates.slice(i, i + CHUNK).map(async p => {
+          p.commutes = await estimateCommutes(p, profile.commute_anchors);
+        }));
+      }
+      const before = allCandidates.length;
+      allCandidates = allCandidates.filter(p =>
+        !p.commutes || p.commutes.every(c => c.minutes <= c.max_minutes * COMMUTE_TOLERANCE)
+      );
+      console.log(`[getCandidates] Commute filter: ${before} → ${allCandidates.length}`);
+    }
+
+    console.log(`[getCandidates] ${allCandidates.length} candidates (budget: €${Math.round(budgetMin/1000)}K-€${Math.round(budgetMax/1000)}K, beds>=${profile.min_beds || 1}, sqm>=${profile.min_sqm || 'any'}${selectedConcelhos ? ', concelhos: ' + selectedConcelhos.join(',') : ''}${profile.area ? ', area: ' + profile.area.type : ''})`);
+    return allCandidates;
+  }
+
+  async function getEnrichmentBatch(propertyIds) {
+    if (!propertyIds.length) return {};
+
+    // Batch into chunks of 200 to avoid query size limits
+    const CHUNK = 200;
+    const allData = [];
+    for (let i = 0; i < propertyIds.length; i += CHUNK) {
+      const chunk = propertyIds.slice(i, i + CHUNK);
+      const { data } = await supabase
+        .from('property_enrichment')
+        .select('*')
+        .in('property_id', chunk);
+      if (data) allData.push(...data);
+    }
+
+    // If a property has both old (google+gov) and new (openstreetmap) rows,
+    // prefer the openstreetmap one
+    const map = {};
+    allData.forEach(e => {
+      const existing = map[e.property_id];
+      if (!existing || e.enrichment_source === 'openstreetmap') {
+        map[e.property_id] = e;
+      }
+    });
+    return map;
+  }
+
+  async function getExtractionBatch(propertyIds) {
+    const map = {};
+    for (let i = 0; i < propertyIds.length; i += 200) {
+      const { data } = await supabase
+        .from('property_extractions')
+        .select('property_id, extracted, model, source')
+        .in('property_id', propertyIds.slice(i, i + 200));
+      (data || []).forEach(x => { map[x.property_id] = x; });
+    }
+    return map;
+  }
+
+  // Score every property listed since a point in time (used by saved-search alerts — the
+  // caller moves its watermark past all of them, so none may be left unscored). Scored a
+  // few at a time to keep each batch request small; best first.
+  async function findNewMatches(profile, { since, excludeIds = [] }) {
+    const candidates = (await getCandidates(profile, { excludeIds }))
+      .filter(p => !since || new Date(p.created_at) > new Date(since));
+    if (candidates.length === 0) return [];
+
+    const weights = resolveWeights(await ruleStore.getActive(), profile.buyer_type);
+    const enrichmentMap = await getEnrichmentBatch(candidates.map(c => c.id));
+    const withEnrichment = candidates.map(p => ({ property: p, enrichment: enrichmentMap[p.id] || null }));
+
+    const scored = [];
+    for (let i = 0; i < withEnrichment.length; i += NEW_MATCH_BATCH) {
+      scored.push(...await scoreProperties(profile, withEnrichment.slice(i, i + NEW_MATCH_BATCH), {
+        cache: scoreCache, ruleWeights: weights.rules, limit: null,
+      }));
+    }
+    return scored.sort((a, b) => (b.score?.score || 0) - (a.score?.score || 0));
+  }
+
+  return { getCandidates, getEnrichmentBatch, getExtractionBatch, findNewMatches };
+}
@@ -0,0 +1,198 @@
+/**
+ * homeAImatch — Candidate Pre-Scoring
+ *
+ * Cheap rule-based ranking of every candidate, used to pick which ones go to
+ * Claude. Point values come from the active scoring rule set (scoring-rules.js).
+ */
+
+import { DEFAULT_WEIGHTS } from './scoring-rules.js';
+import { createTally } from './score-breakdown.js';
+
+/**
+ * Quick rule-based pre-scorer for fast candidate filtering (no API calls)
+ * @param {Object} w - prescore weights (resolveWeights(...).prescore), defaults to the built-in set
+ */
+export function quickPreScore(profile, property, enrichment, w = DEFAULT_WEIGHTS.prescore) {
+  return explainPreScore(profile, property, enrichment, w).score;
+}
+
+/**
+ * quickPreScore with its workings
+ * @returns {Object} { score, breakdown: [{ factor, points, evidence }] } — points relative to w.base
+ */
+export function explainPreScore(profile, property, enrichment, w = DEFAULT_WEIGHTS.prescore) {
+  const tally = createTally(w.base);
+
+  // Budget fit (20 pts) — now using exact min/max from form
+  const price = property.price || 0;
+  const priceEvidence = `€${Math.round(price / 1000)}K vs €${Math.round((profile.budget_min || 0) / 1000)}-${Math.round((profile.budget_max || 9999999) / 1000)}K`;
+  if (price >= (profile.budget_min || 0) && price <= (profile.budget_max || 9999999)) {
+    tally.add('budget', w.budget_in_range, priceEvidence);
+    if (price <= (profile.budget_max || 9999999) * 0.85) tally.add('budget', w.budget_well_within, 'well within budget'); // well within budget bonus
+  } else if (price <= (profile.budget_max || 9999999) * 1.15) {
+    tally.add('budget', w.budget_near_over, priceEvidence);
+  } else {
+    tally.add('budget', w.budget_over, priceEvidence);
+  }
+
+  // Size fit — if buyer specified min sqm
+  if (profile.min_sqm && profile.min_sqm > 0 && property.sqm) {
+    const evidence = `${property.sqm}m² / min ${profile.min_sqm}m²`;
+    if (property.sqm >= profile.min_sqm) tally.add('size', w.sqm_meets, evidence);
+    else if (property.sqm >= profile.min_sqm * 0.8) tally.add('size', w.sqm_near, evidence);
+    else tally.add('size', w.sqm_below, evidence);
+  }
+
+  // Beds fit
+  if (property.beds >= (profile.min_beds || 1)) tally.add('bedrooms', w.beds_meets, `${property.beds} beds / min ${profile.min_beds || 1}`);
+
+  // Condition fit
+  const cond = (profile.property_condition || '').toLowerCase();
+  const pCond = (property.condition || '').toLowerCase();
+  const condEvidence = `${pCond || 'unknown'} condition`;
+  if (cond.includes("don't mind") || cond.includes('tanto faz') || !cond) {
+    tally.add('condition', w.condition_any, 'any condition accepted');
+  } else if (cond.includes('move-in') || cond.includes('habitar')) {
+    if (pCond === 'move-in') tally.add('condition', w.condition_move_in, condEvidence);
+  } else if (cond.includes('new build') || cond.includes('nova')) {
+    if (pCond === 'move-in' || pCond === 'new') tally.add('condition', w.condition_new_build, condEvidence);
+  } else if (cond.includes('light') || cond.includes('ligeiras')) {
+    if (pCond === 'move-in' || pCond === 'renovation-light') tally.add('condition', w.condition_light, condEvidence);
+  } else if (cond.includes('full') || cond.includes('total')) {
+    if (pCond === 'renovation-major' || pCond === 'renovation-light') tally.add('condition', w.condition_full, condEvidence);
+  }
+
+  // Transport & walkability alignment
+  const transport = (profile.transport || '').toLowerCase();
+  const walk = enrichment?.walkability ?? property.walkability;
+  const walkEvidence = `walkability ${walk ?? '?'}/10`;
+  if (transport.includes('walking') || transport.includes('pé') || transport.includes('public') || transport.includes('público') || transport.includes('bicycle') || transport.includes('bicicleta')) {
+    // Buyer relies on walkability/public transport — weight it heavily
+    if (walk >= 7) tally.add('walkability', w.walk_needed_high, walkEvidence);
+    else if (walk >= 5) tally.add('walkability', w.walk_needed_mid, walkEvidence);
+    else if (walk >= 3) tally.add('walkability', w.walk_needed_low, walkEvidence);
+    else tally.add('walkability', w.walk_needed_poor, walkEvidence); // bad match for non-car user
+    if (enrichment?.transport_count_500m >= 2) tally.add('walkability', w.walk_needed_transit_stops, `${enrichment.transport_count_500m} transport stops within 500m`);
+  } else {
+    // Has a car — walkability nice but not essential
+    if (walk >= 7) tally.add('walkability', w.walk_car_high, walkEvidence);
+    else if (walk >= 5) tally.add('walkability', w.walk_car_mid, walkEvidence);
+  }
+
+  // Setting/area type alignment
+  const setting = (profile.setting || '').toLowerCase();
+  const nType = enrichment?.neighborhood_type || '';
+  if (setting.includes('beach') || setting.includes('praia')) {
+    if (enrichment?.beach_nearby) tally.add('area', w.setting_beach, `beach ${enrichment.nearest_beach?.distance_km || '?'} km`);
+  } else if (setting.includes('urban') || setting.includes('urbano')) {
+    if (nType === 'urban') tally.add('area', w.setting_urban, 'urban area');
+  } else if (setting.includes('country') || setting.includes('campo')) {
+    if (nType === 'rural') tally.add('area', w.setting_country, 'rural area');
+  } else if (setting.includes('historic') || setting.includes('históric')) {
+    // Use is_historic_area from enrichment OR known city names
+    const hCities = ['óbidos', 'obidos', 'alcobaça', 'alcobaca', 'nazaré', 'nazare'];
+    if (enrichment?.is_historic_area || hCities.some(c => (property.city || '').toLowerCase().includes(c))) tally.add('area', w.setting_historic, 'historic area');
+  }
+
+  // Priorities alignment
+  const prios = (profile.priorities || []).map(p => p.toLowerCase());
+  if (prios.some(p => p.includes('beach') || p.includes('praia')) && enrichment?.beach_nearby) tally.add('priorities', w.priority_beach, 'beach');
+  if (prios.some(p => p.includes('school') || p.includes('escola')) && (enrichment?.schools === 'excellent' || enrichment?.schools === 'good')) tally.add('priorities', w.priority_schools, 'schools');
+  if (prios.some(p => p.includes('walkable') || p.includes('caminhável')) && walk >= 7) tally.add('priorities', w.priority_walkable, 'walkable');
+  if (prios.some(p => p.includes('restaurant') || p.includes('restaurante')) && enrichment?.restaurants_count_1km >= 3) tally.add('priorities', w.priority_restaurants, 'restaurants');
+  if (prios.some(p => p.includes('hospital') || p.includes('saúde') || p.includes('saude') || p.includes('healthcare')) && (enrichment?.hospitals_count_5km >= 1 || enrichment?.healthcare_count_1km >= 1)) tally.add('priorities', w.priority_healthcare, 'healthcare');
+  if (prios.some(p => p.includes('transport') || p.includes('transporte')) && enrichment?.transport_count_500m >= 2) tally.add('priorities', w.priority_transport, 'transport');
+  if (prios.some(p => p.includes('peace') || p.includes('quiet') || p.includes('paz') || p.includes('sossego')) && walk <= 4) tally.add('priorities', w.priority_quiet, 'peace & quiet');
+  if (prios.some(p => p.includes('nature') || p.includes('natureza')) && enrichment?.parks_count_1km >= 2) tally.add('priorities', w.priority_nature, 'nature');
+  if (prios.some(p => p.includes('playground') || p.includes('infantil') || p.includes('infantis')) && (enrichment?.playgrounds_count_1km >= 1)) tally.add('priorities', w.priority_playgrounds, 'playgrounds');
+
+  // Feature matching
+  const feats = (profile.features || []).map(f => f.toLowerCase().replace(/^[^\w]*/, '')); // strip emoji prefix
+  const pFeats = (property.features || []).map(f => f.toLowerCase());
+  const desc = (property.description || '').toLowerCase();
+  const matchedFeats = [];
+  feats.forEach(f => {
+    if (f.includes('garden') || f.includes('jardim')) { if (pFeats.some(pf => pf.includes('garden')) || desc.includes('jardim') || desc.includes('garden')) matchedFeats.push(f); }
+    else if (f.includes('pool') || f.includes('piscina')) { if (pFeats.some(pf => pf.includes('pool')) || desc.includes('piscina') || desc.includes('pool')) matchedFeats.push(f); }
+    else if (f.includes('sea view') || f.includes('vista mar')) { if (pFeats.some(pf => pf.includes('sea') || pf.includes('view') || pf.includes('ocean')) || desc.includes('vista mar') || desc.includes('sea view')) matchedFeats.push(f); }
+    else if (f.includes('country view') || f.includes('vista campo')) { if (desc.includes('vista') || desc.includes('view') || desc.includes('panoram')) matchedFeats.push(f); }
+    else if (f.includes('garage') || f.includes('garagem')) { if ((property.parking || []).some(pk => pk.includes('garage')) || desc.includes('garagem') || desc.includes('garage')) matchedFeats.push(f); }
+    else if (f.includes('office') || f.includes('escritório') || f.includes('escritorio')) { if (pFeats.some(pf => pf.includes('office')) || desc.includes('escritório') || desc.includes('office')) matchedFeats.push(f); }
+    else if (f.includes('solar') || f.includes('painéis')) { if (pFeats.some(pf => pf.includes('solar')) || desc.includes('solar') || desc.includes('painéis')) matchedFeats.push(f); }
+    else if (f.includes('fireplace') || f.includes('lareira')) { if (pFeats.some(pf => pf.includes('fireplace')) || desc.includes('lareira') || desc.includes('fireplace')) matchedFeats.push(f); }
+    else if (f.includes('terrace') || f.includes('terraço') || f.includes('terraco')) { if (pFeats.some(pf => pf.includes('terrace') || pf.includes('balcony')) || desc.includes('terraço') || desc.includes('terrace')) matchedFeats.push(f); }
+    else if (f.includes('balcony') || f.includes('varanda')) { if (pFeats.some(pf => pf.includes('balcony') || pf.includes('varanda')) || desc.includes('varanda') || desc.includes('balcony')) matchedFeats.push(f); }
+    else if (f.includes('energy') || f.includes('eficiência') || f.includes('eficiencia')) { if ((property.epc_rating && ['A', 'B', 'A+'].includes(property.epc_rating)) || desc.includes('eficien') || desc.includes('energy')) matchedFeats.push(f); }
+    else if (f.includes('wheelchair') || f.includes('acessível') || f.includes('acessivel') || f.includes('mobilidade')) { if (desc.includes('acessível') || desc.includes('acessivel') || desc.includes('wheelchair') || desc.includes('accessible') || desc.includes('mobilidade')) matchedFeats.push(f); }
+    else if (f.includes('smart') || f.includes('inteligente')) { if (pFeats.some(pf => pf.includes('smart')) || desc.includes('smart') || desc.includes('inteligente') || desc.includes('domótica')) matchedFeats.push(f); }
+    else if (f.includes('gated') || f.includes('condomínio') || f.includes('condominio')) { if (desc.includes('condomínio') || desc.includes('condominio') || desc.includes('gated') || desc.includes('closed')) matchedFeats.push(f); }
+    else if (f.includes('gym') || f.includes('ginásio') || f.includes('ginasio') || f.includes('sport')) { if (enrichment?.sports_count_2km >= 1) matchedFeats.push(f); }
+    else if (f.includes('large land') || f.includes('terreno grande')) { if (property.sqm >= 200 || desc.includes('terreno') || desc.includes('land') || desc.includes('quinta')) matchedFeats.push(f); }
+    else if (f.includes('kitchen') || f.includes('cozinha')) { if (desc.includes('cozinha equipada') || desc.includes('kitchen') || desc.includes('moderna')) matchedFeats.push(f); }
+    else if (f.includes('storage') || f.includes('arrecadação') || f.includes('arrecadacao')) { if (desc.includes('arrecadação') || desc.includes('arrecadacao') || desc.includes('arrumo') || desc.includes('storage')) matchedFeats.push(f); }
+    else if (f.includes('ev charging') || f.includes('carregamento ev')) { if ((property.parking || []).some(pk => pk.includes('ev')) || enrichment?.ev_charging_count_2km >= 1 || desc.includes('carregamento') || desc.includes('ev charging')) matchedFeats.push(f); }
+    else if (f.includes('character') || f.includes('historic') || f.includes('traça')) { if (desc.includes('tradicional') || desc.includes('rústic') || desc.includes('rustic') || desc.includes('pedra') || desc.includes('stone') || desc.includes('character') || enrichment?.is_historic_area) matchedFeats.push(f); }
+  });
+  tally.add('features', Math.min(matchedFeats.length * w.feature_match, w.feature_cap), matchedFeats.join(', '));
+
+  // Free-text wish matched in the description (semantic_match set by getCandidates)
+  if (property.semantic_match) {
+    tally.add('description', w.semantic_match * property.semantic_match, `matches "${profile.semantic_query}"`);
+  }
+
+  // Pets
+  const pets = (profile.pets || '').toLowerCase();
+  if (pets.includes('dog') || pets.includes('cão') || pets.includes('cao')) {
+    if (property.pet_friendly) tally.add('pets', w.pets_ok, 'pet-friendly');
+    else tally.add('pets', w.pets_not_ok, 'not pet-friendly');
+  }
+
+  // Neighbourhood vibe match (+8 max) — uses computed_vibe from OSM + description mining
+  const vibes = (profile.vibe || []).map(v => v.toLowerCase());
+  const pVibes = (property.neighborhood_vibe || []).map(v => v.toLowerCase());
+  const computedVibes = (enrichment?.computed_vibe || []).map(v => v.toLowerCase());
+  const allVibes = [...pVibes, ...computedVibes]; // combine tagged + computed
+  const matchedVibes = [];
+  vibes.forEach(v => {
+    if (v.includes('family') || v.includes('familiar')) { if (allVibes.some(pv => pv.includes('family')) || desc.includes('familiar') || desc.includes('family') || desc.includes('tranquil') || (enrichment?.schools_count_2km >= 3 && enrichment?.parks_count_1km >= 1)) matchedVibes.push(v); }
+    else if (v.includes('nightlife') || v.includes('noturna')) { if (allVibes.some(pv => pv.includes('nightlife')) || enrichment?.bars_count_1km >= 2 || (enrichment?.restaurants_count_1km >= 5 && enrichment?.bars_count_1km >= 1)) matchedVibes.push(v); }
+    else if (v.includes('artsy') || v.includes('artístico') || v.includes('criativo')) { if (allVibes.some(pv => pv.includes('artsy') || pv.includes('creative')) || enrichment?.tourism_count_2km >= 2) matchedVibes.push(v); }
+    else if (v.includes('quiet') || v.includes('calmo') || v.includes('tranquilo')) { if (allVibes.some(pv => pv.includes('quiet') || pv.includes('peaceful')) || (walk != null && walk <= 4)) matchedVibes.push(v); }
+    else if (v.includes('nature') || v.includes('natureza')) { if (allVibes.some(pv => pv.includes('nature')) || enrichment?.parks_count_1km >= 2 || enrichment?.neighborhood_type === 'rural') matchedVibes.push(v); }
+    else if (v.includes('upscale') || v.includes('sofisticado') || v.includes('exclusivo')) { if (allVibes.some(pv => pv.includes('upscale') || pv.includes('luxury')) || desc.includes('luxo') || desc.includes('luxury') || desc.includes('premium')) matchedVibes.push(v); }
+    else if (v.includes('surf') || v.includes('laid-back') || v.includes('descontraído')) { if (allVibes.some(pv => pv.includes('surf')) || enrichment?.beach_nearby || desc.includes('surf') || desc.includes('praia')) matchedVibes.push(v); }
+    else if (v.includes('community') || v.includes('comunidade')) { if (allVibes.some(pv => pv.includes('community') || pv.includes('local')) || desc.includes('aldeia') || desc.includes('village') || desc.includes('comunidade')) matchedVibes.push(v); }
+  });
+  tally.add('vibe', Math.min(matchedVibes.length * w.vibe_match, w.vibe_cap), matchedVibes.join(', '));
+
+  // Commute to buyer anchors (estimated in getCandidates) — frequent trips weigh more
+  if (profile.commute_anchors?.length && property.commutes) {
+    property.commutes.forEach(c => {
+      const weight = c.days_per_week >= 3 ? w.commute_frequent_multiplier : 1;
+      const evidence = `${c.label} ~${c.minutes}/${c.max_minutes} min`;
+      if (c.minutes <= c.max_minutes * 0.75) tally.add('commute', w.commute_comfortable * weight, evidence);
+      else if (c.within) tally.add('commute', w.commute_within * weight, evidence);
+      else tally.add('commute', w.commute_over * weight, evidence); // within tolerance but over the buyer's limit
+    });
+  }
+
+  // Buyer type specific bonuses
+  const bt = (profile.buyer_type || '').toLowerCase();
+  if (bt.includes('retired') || bt.includes('reformado')) {
+    if (enrichment?.hospitals_count_5km >= 1) tally.add('buyer_type', w.retired_hospital, 'hospital within 5km'); // hospital within 5km important for retirees
+    else if (enrichment?.pharmacies_count_1km >= 1) tally.add('buyer_type', w.retired_pharmacy, 'pharmacy within 1km'); // pharmacy is ok but not as good
+    if (walk >= 5) tally.add('buyer_type', w.retired_walkable, walkEvidence); // walkability matters for retirees
+  } else if (bt.includes('family') || bt.includes('família') || bt.includes('familia')) {
+    if (enrichment?.schools === 'excellent') tally.add('buyer_type', w.family_schools_excellent, 'excellent schools');
+    else if (enrichment?.schools === 'good') tally.add('buyer_type', w.family_schools_good, 'good schools');
+    if (enrichment?.playgrounds_count_1km >= 1) tally.add('buyer_type', w.family_playgrounds, 'playgrounds within 1km'); // playgrounds very important for families
+    if (enrichment?.parks_count_1km >= 1) tally.add('buyer_type', w.family_parks, 'parks within 1km');
+  } else if (bt.includes('remote') || bt.includes('remoto')) {
+    if (property.sqm >= 100) tally.add('buyer_type', w.remote_space, `${property.sqm}m² — room for an office`); // space for office
+    if (enrichment?.coworking_count_2km >= 1) tally.add('buyer_type', w.remote_coworking, 'coworking within 2km'); // coworking nearby is a plus
+  } else if (bt.includes('investor') || bt.includes('investidor')) {
+    if (property.price_per_sqm && property.price_per_sqm < 2000) tally.add('buyer_type', w.investor_low_price_sqm, `€${property.price_per_sqm}/m²`);
+  }
+
+  return { score: Math.min(100, Math.max(0, tally.score)), breakdown: tally.breakdown() };
+}
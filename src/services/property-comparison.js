@@ -0,0 +1,153 @@
+/**
+ * homeAImatch — Property Comparison
+ *
+ * Side-by-side table for a buyer's shortlist (2-4 homes): listing facts plus every
+ * neighbourhood metric enrichWithOSM produces. Each row says which direction is
+ * better (lower price, shorter beach distance, more schools…), marks the best
+ * column(s) and scales numeric values to 0-1 (1 = best of this set) so the page can
+ * shade cells without knowing every metric.
+ *
+ * describeComparison writes a short rule-based summary from the table — the fallback
+ * when the Claude narrative (compareWithAI in ai-scoring.js) isn't available.
+ */
+
+export const MIN_COMPARE = 2;
+export const MAX_COMPARE = 4;
+
+const EPC_ORDER = ['A+', 'A', 'B', 'B-', 'C', 'D', 'E', 'F', 'G'];
+
+const km = (item) => item?.distance_km ?? null;
+const name = (item) => item?.name ?? null;
+
+function pricePerSqm(p) {
+  if (p.price_per_sqm) return Math.round(p.price_per_sqm);
+  return p.price && p.sqm ? Math.round(p.price / p.sqm) : null;
+}
+
+// [key, section, label, unit, better ('lower' | 'higher' | null), value(p, e), detail(p, e)?]
+const ROWS = [
+  ['price', 'listing', 'Price', '€', 'lower', p => p.price ?? null],
+  ['price_per_sqm', 'listing', 'Price per m²', '€/m²', 'lower', pricePerSqm],
+  ['property_type', 'listing', 'Type', null, null, p => p.property_type ?? null],
+  ['beds', 'listing', 'Bedrooms', null, 'higher', p => p.beds ?? null],
+  ['baths', 'listing', 'Bathrooms', null, 'higher', p => p.baths ?? null],
+  ['sqm', 'listing', 'Living area', 'm²', 'higher', p => p.sqm ?? null],
+  ['land_sqm', 'listing', 'Land', 'm²', 'higher', p => p.land_sqm ?? null],
+  ['condition', 'listing', 'Condition', null, null, p => p.condition ?? null],
+  ['renovation_needed', 'listing', 'Work needed', null, null, p => p.renovation_needed ?? null],
+  ['epc_rating', 'listing', 'Energy rating (EPC)', null, 'epc', p => p.epc_rating ?? null],
+  ['construction_year', 'listing', 'Built', null, null, p => p.construction_year ?? null],
+  ['features', 'listing', 'Features', null, null, p => (p.features?.length ? p.features : null)],
+  ['red_flags', 'listing', 'Red flags', null, null, p => (p.red_flags?.length ? p.red_flags : null)],
+
+  ['walkability', 'neighbourhood', 'Walkability', '/10', 'higher', (p, e) => e.walkability ?? p.walkability ?? null, (p, e) => e.walkability_label ?? null],
+  ['neighborhood_type', 'neighbourhood', 'Neighbourhood', null, null, (p, e) => e.neighborhood_type ?? null],
+  ['computed_vibe', 'neighbourhood', 'Vibe', null, null, (p, e) => (e.computed_vibe?.length ? e.computed_vibe : null)],
+  ['is_historic_area', 'neighbourhood', 'Historic area', null, null, (p, e) => e.is_historic_area ?? null],
+  ['beach_km', 'neighbourhood', 'Nearest beach', 'km', 'lower', (p, e) => km(e.nearest_beach), (p, e) => name(e.nearest_beach)],
+  ['shops_count_1km', 'neighbourhood', 'Shops within 1 km', null, 'higher', (p, e) => e.shops_count_1km ?? null],
+  ['restaurants_count_1km', 'neighbourhood', 'Restaurants within 1 km', null, 'higher', (p, e) => e.restaurants_count_1km ?? null],
+  ['cafes_count_1km', 'neighbourhood', 'Cafés within 1 km', null, 'higher', (p, e) => e.cafes_count_1km ?? null],
+  ['bars_count_1km', 'neighbourhood', 'Bars within 1 km', null, null, (p, e) => e.bars_count_1km ?? null],
+  ['parks_count_1km', 'neighbourhood', 'Parks within 1 km', null, 'higher', (p, e) => e.parks_count_1km ?? null],
+  ['playgrounds_count_1km', 'neighbourhood', 'Playgrounds within 1 km', null, 'higher', (p, e) => e.playgrounds_count_1km ?? null],
+  ['sports_count_2km', 'neighbourhood', 'Sports facilities within 2 km', null, 'higher', (p, e) => e.sports_count_2km ?? null],
+  ['tourism_count_2km', 'neighbourhood', 'Sights within 2 km', null, null, (p, e) => e.tourism_count_2km ?? null],
+
+  ['schools', 'services', 'Schools', null, null, (p, e) => e.schools ?? p.schools_quality ?? null],
+  ['schools_count_2km', 'services', 'Schools within 2 km', null, 'higher', (p, e) => e.schools_count_2km ?? null],
+  ['pharmacies_count_1km', 'services', 'Pharmacies within 1 km', null, 'higher', (p, e) => e.pharmacies_count_1km ?? null],
+  ['pharmacy_km', 'services', 'Nearest pharmacy', 'km', 'lower', (p, e) => km(e.nearest_pharmacy), (p, e) => name(e.nearest_pharmacy)],
+  ['hospitals_count_5km', 'services', 'Hospitals / clinics within 5 km', null, 'higher', (p, e) => e.hospitals_count_5km ?? null],
+  ['hospital_km', 'services', 'Nearest hospital / clinic', 'km', 'lower', (p, e) => km(e.nearest_hospital), (p, e) => name(e.nearest_hospital)],
+  ['coworking_count_2km', 'services', 'Coworking within 2 km', null, 'higher', (p, e) => e.coworking_count_2km ?? null],
+
+  ['transport_count_500m', 'transport', 'Public transport stops within 500 m', null, 'higher', (p, e) => e.transport_count_500m ?? null],
+  ['cycling_count_500m', 'transport', 'Bike facilities within 500 m', null, 'higher', (p, e) => e.cycling_count_500m ?? null],
+  ['ev_charging_count_2km', 'transport', 'EV chargers within 2 km', null, 'higher', (p, e) => e.ev_charging_count_2km ?? null],
+  ['airport_km', 'transport', 'Nearest airport', 'km', 'lower', (p, e) => km(e.nearest_airport), (p, e) => name(e.nearest_airport)],
+];
+
+// Comparable number for a value, higher = better (null when the row has no direction)
+function merit(better, value) {
+  if (value == null) return null;
+  if (better === 'higher') return typeof value === 'number' ? value : null;
+  if (better === 'lower') return typeof value === 'number' ? -value : null;
+  if (better === 'epc') {
+    const rank = EPC_ORDER.indexOf(String(value).toUpperCase());
+    return rank >= 0 ? -rank : null;
+  }
+  return null;
+}
+
+/**
+ * Build the comparison table
+ * @param {Array} items - [{ property, enrichment }] in display order
+ * @returns {Object} { properties: [{ id, title, city, price, image_url, source_url }],
+ *   rows: [{ key, section, label, unit, better, values, details?, best, normalized? }] }
+ *   — values/details/normalized are per property in the same order; best lists the
+ *   indexes of the best value(s), empty when the row has no direction or no contrast
+ */
+export function buildComparison(items) {
+  const rows = ROWS.map(([key, section, label, unit, better, value, detail]) => {
+    const values = items.map(({ property, enrichment }) => value(property, enrichment || {}));
+    const row = { key, section, label, unit, better: better === 'epc' ? 'higher' : better, values };
+    if (detail) row.details = items.map(({ property, enrichment }) => detail(property, enrichment || {}));
+
+    const merits = values.map(v => merit(better, v));
+    const known = merits.filter(m => m != null);
+    const top = Math.max(...known);
+    const bottom = Math.min(...known);
+    row.best = known.length >= 2 && top !== bottom ? merits.flatMap((m, i) => (m === top ? [i] : [])) : [];
+    if (better) {
+      row.normalized = merits.map(m => (m == null ? null : top === bottom ? 1 : Math.round((m - bottom) / (top - bottom) * 100) / 100));
+    }
+    return row;
+  });
+
+  return {
+    properties: items.map(({ property }) => ({
+      id: property.id,
+      title: property.title,
+      city: property.city,
+      price: property.price,
+      image_url: property.image_urls?.[0] || null,
+      source_url: property.source_url || null,
+    })),
+    // Rows nobody has a value for are left out
+    rows: rows.filter(r => r.values.some(v => v != null)),
+  };
+}
+
+const SUMMARY_ROWS = {
+  price: ['is the cheapest', 'é o mais barato'],
+  price_per_sqm: ['is the best value per m²', 'tem o melhor preço por m²'],
+  sqm: ['has the most living space', 'tem a maior área'],
+  walkability: ['is the most walkable', 'é o mais fácil de fazer a pé'],
+  beach_km: ['is closest to the beach', 'fica mais perto da praia'],
+  hospital_km: ['is closest to a hospital or clinic', 'fica mais perto de um hospital ou clínica'],
+  schools_count_2km: ['has the most schools nearby', 'tem mais escolas por perto'],
+  airport_km: ['is closest to an airport', 'fica mais perto de um aeroporto'],
+};
+
+/**
+ * Rule-based summary of a comparison table, e.g. "Casa A is the cheapest and is the most walkable."
+ * @returns {string}
+ */
+export function describeComparison(table, language = 'en') {
+  const pt = language === 'pt';
+  const wins = table.properties.map(() => []);
+  for (const row of table.rows) {
+    const phrase = SUMMARY_ROWS[row.key];
+    if (phrase && row.best.length === 1) wins[row.best[0]].push(pt ? phrase[1] : phrase[0]);
+  }
+  const sentences = table.properties
+    .map((p, i) => (wins[i].length
+      ? `${p.title} ${wins[i].slice(0, -1).join(', ')}${wins[i].length > 1 ? (pt ? ' e ' : ' and ') : ''}${wins[i][wins[i].length - 1]}.`
+      : null))
+    .filter(Boolean);
+  if (sentences.length === 0) {
+    return pt ? 'Estes imóveis são muito semelhantes nos pontos principais.' : 'These homes are very similar on the main points.';
+  }
+  return sentences.join(' ');
+}
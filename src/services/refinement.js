@@ -0,0 +1,212 @@
+/**
+ * homeAImatch — Match Refinement
+ *
+ * Turns a buyer's follow-up message ("cheaper, and closer to the beach",
+ * "no apartments") into profile deltas, applies them, and describes what changed.
+ *
+ * Claude does the interpretation when available (see interpretRefinement in
+ * ai-scoring.js); interpretWithRules is the keyword fallback.
+ */
+
+import { concelhoIdForCity } from './casafari-sync.js';
+
+export const PROPERTY_TYPES = ['flat', 'detached', 'villa', 'townhouse', 'semi-detached', 'terraced', 'farmhouse', 'cottage', 'bungalow'];
+
+const NUMBER_KEYS = ['budget_min', 'budget_max', 'min_beds', 'min_baths', 'min_sqm'];
+const STRING_KEYS = ['setting', 'property_condition'];
+const REPLACE_LIST_KEYS = ['property_types', 'exclude_property_types', 'concelhos'];
+const LIST_FIELDS = ['features', 'priorities', 'vibe'];
+
+// For validating Claude's reply (validateRefinement in ai-output.js)
+export const DELTA_NUMBER_KEYS = NUMBER_KEYS;
+export const DELTA_LIST_KEYS = [...REPLACE_LIST_KEYS, ...LIST_FIELDS.flatMap(f => [`add_${f}`, `remove_${f}`])];
+
+// Concelhos are matched against listing cities, so only ones we list are kept
+const knownConcelho = (name) => concelhoIdForCity(name.replace(/^[^\p{L}]*/u, '')) != null;
+
+/**
+ * Keep only delta keys we know how to apply, with the right types
+ */
+export function sanitizeDeltas(raw) {
+  const deltas = {};
+  if (!raw || typeof raw !== 'object') return deltas;
+
+  for (const key of NUMBER_KEYS) {
+    const n = Number(raw[key]);
+    if (raw[key] != null && Number.isFinite(n) && n >= 0) deltas[key] = Math.round(n);
+  }
+  for (const key of STRING_KEYS) {
+    if (typeof raw[key] === 'string' && raw[key].trim()) deltas[key] = raw[key].trim();
+  }
+  for (const key of REPLACE_LIST_KEYS) {
+    if (Array.isArray(raw[key])) {
+      const items = raw[key].filter(v => typeof v === 'string' && v.trim()).map(v => v.trim());
+      deltas[key] = key.includes('property_types')
+        ? items.map(v => v.toLowerCase()).filter(v => PROPERTY_TYPES.includes(v))
+        : items.filter(knownConcelho);
+    }
+  }
+  for (const field of LIST_FIELDS) {
+    for (const op of ['add', 'remove']) {
+      const key = `${op}_${field}`;
+      if (Array.isArray(raw[key])) {
+        const items = raw[key].filter(v => typeof v === 'string' && v.trim()).map(v => v.trim());
+        if (items.length) deltas[key] = items;
+      }
+    }
+  }
+
+  // A max below the min is never what the buyer meant
+  if (deltas.budget_max != null && deltas.budget_min != null && deltas.budget_max < deltas.budget_min) {
+    delete deltas.budget_min;
+  }
+  return deltas;
+}
+
+/**
+ * Apply deltas to a profile — returns a new profile, never mutates
+ */
+export function applyProfileDeltas(profile, deltas) {
+  const next = { ...profile };
+
+  for (const key of [...NUMBER_KEYS, ...STRING_KEYS]) {
+    if (deltas[key] != null) next[key] = deltas[key];
+  }
+  if (next.budget_min > next.budget_max) next.budget_min = 0;
+
+  if (deltas.property_types) {
+    next.property_types = deltas.property_types;
+    next.exclude_property_types = (next.exclude_property_types || []).filter(t => !deltas.property_types.includes(t));
+  }
+  if (deltas.exclude_property_types) {
+    next.exclude_property_types = [...new Set([...(next.exclude_property_types || []), ...deltas.exclude_property_types])];
+    if (next.property_types) next.property_types = next.property_types.filter(t => !deltas.exclude_property_types.includes(t));
+  }
+  if (deltas.concelhos) next.concelhos = deltas.concelhos;
+
+  for (const field of LIST_FIELDS) {
+    const current = [...(next[field] || [])];
+    const lower = (v) => v.toLowerCase();
+    const removed = (deltas[`remove_${field}`] || []).map(lower);
+    const kept = current.filter(v => !removed.some(r => lower(v).includes(r)));
+    const added = (deltas[`add_${field}`] || []).filter(v => !kept.some(k => lower(k) === lower(v)));
+    next[field] = [...kept, ...added];
+  }
+
+  return next;
+}
+
+// ─── Human-readable change list ──────────────────────────────────────────────
+const LABELS = {
+  en: {
+    budget_min: 'Minimum budget', budget_max: 'Maximum budget', min_beds: 'Minimum bedrooms', min_baths: 'Minimum bathrooms',
+    min_sqm: 'Minimum size', setting: 'Area type', property_condition: 'Condition', property_types: 'Only property types',
+    exclude_property_types: 'Excluded property types', concelhos: 'Concelhos', features: 'Features', priorities: 'Priorities', vibe: 'Vibe',
+    none: 'Any', added: 'added', removed: 'removed',
+  },
+  pt: {
+    budget_min: 'Orçamento mínimo', budget_max: 'Orçamento máximo', min_beds: 'Quartos mínimos', min_baths: 'Casas de banho mínimas',
+    min_sqm: 'Área mínima', setting: 'Tipo de zona', property_condition: 'Estado', property_types: 'Apenas tipos de imóvel',
+    exclude_property_types: 'Tipos de imóvel excluídos', concelhos: 'Concelhos', features: 'Características', priorities: 'Prioridades', vibe: 'Ambiente',
+    none: 'Qualquer', added: 'adicionado', removed: 'removido',
+  },
+};
+
+function formatValue(key, value, l) {
+  if (value == null || value === '' || (Array.isArray(value) && value.length === 0)) return l.none;
+  if (key.startsWith('budget')) return `€${Number(value).toLocaleString()}`;
+  if (key === 'min_sqm') return `${value}m²`;
+  return Array.isArray(value) ? value.join(', ') : String(value);
+}
+
+/**
+ * List the differences between two profiles
+ * @returns {Array} [{ field, from, to, summary }]
+ */
+export function describeChanges(before, after, language = 'en') {
+  const l = LABELS[language] || LABELS.en;
+  const changes = [];
+
+  for (const key of [...NUMBER_KEYS, ...STRING_KEYS, ...REPLACE_LIST_KEYS]) {
+    const from = before[key] ?? null;
+    const to = after[key] ?? null;
+    if (JSON.stringify(from) === JSON.stringify(to)) continue;
+    changes.push({ field: key, from, to, summary: `${l[key]}: ${formatValue(key, from, l)} → ${formatValue(key, to, l)}` });
+  }
+
+  for (const field of LIST_FIELDS) {
+    const from = before[field] || [];
+    const to = after[field] || [];
+    const added = to.filter(v => !from.includes(v));
+    const removed = from.filter(v => !to.includes(v));
+    if (added.length || removed.length) {
+      const parts = [];
+      if (added.length) parts.push(`${l.added}: ${added.join(', ')}`);
+      if (removed.length) parts.push(`${l.removed}: ${removed.join(', ')}`);
+      changes.push({ field, from, to, summary: `${l[field]} — ${parts.join('; ')}` });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Keyword fallback when Claude isn't available. Handles the common asks in EN and PT.
+ * @returns {Object} { deltas, explanation }
+ */
+export function interpretWithRules(profile, message) {
+  const m = (message || '').toLowerCase();
+  const raw = {};
+  const has = (...words) => words.some(w => m.includes(w));
+
+  if (has('cheaper', 'less expensive', 'lower price', 'mais barat', 'mais econ', 'menos car')) {
+    raw.budget_max = Math.round((profile.budget_max || 9999999) * 0.85);
+  } else if (has('more expensive', 'higher budget', 'raise budget', 'mais car', 'aumentar o orçamento')) {
+    raw.budget_max = Math.round((profile.budget_max || 0) * 1.15);
+  }
+
+  if (has('bigger', 'larger', 'more space', 'maior', 'mais espaço', 'mais espaco')) {
+    raw.min_sqm = Math.round(Math.max(profile.min_sqm || 0, 80) * 1.2);
+  }
+  if (has('more bedroom', 'extra bedroom', 'mais quartos', 'mais um quarto')) {
+    raw.min_beds = (profile.min_beds || 1) + 1;
+  }
+
+  const typeWords = {
+    flat: ['apartment', 'flat', 'apartamento'],
+    villa: ['villa', 'moradia de luxo'],
+    farmhouse: ['farmhouse', 'quinta'],
+    townhouse: ['townhouse', 'moradia em banda'],
+  };
+  for (const [type, words] of Object.entries(typeWords)) {
+    const negated = words.some(w => new RegExp(`(no|not|without|sem|nada de|não quero)\\s+(\\w+\\s+)?${w}`).test(m));
+    if (negated) raw.exclude_property_types = [...(raw.exclude_property_types || []), type];
+    else if (words.some(w => new RegExp(`only\\s+(\\w+\\s+)?${w}|apenas\\s+(\\w+\\s+)?${w}|só\\s+(\\w+\\s+)?${w}`).test(m))) {
+      raw.property_types = [...(raw.property_types || []), type];
+    }
+  }
+
+  if (has('beach', 'praia', 'seaside', 'ocean')) {
+    raw.add_priorities = [...(raw.add_priorities || []), 'Beach proximity'];
+  }
+  if (has('quiet', 'calm', 'peace', 'sossego', 'tranquil', 'calmo')) {
+    raw.add_vibe = [...(raw.add_vibe || []), 'Quiet'];
+  }
+  if (has('walkable', 'walk to', 'a pé', 'caminhável')) {
+    raw.add_priorities = [...(raw.add_priorities || []), 'Walkable'];
+  }
+  for (const [feature, words] of Object.entries({ Pool: ['pool', 'piscina'], Garden: ['garden', 'jardim'], Garage: ['garage', 'garagem'], 'Sea view': ['sea view', 'vista mar'] })) {
+    if (words.some(w => m.includes(w)) && !words.some(w => new RegExp(`(no|without|sem)\\s+${w}`).test(m))) {
+      raw.add_features = [...(raw.add_features || []), feature];
+    }
+  }
+
+  const deltas = sanitizeDeltas(raw);
+  const pt = profile.language === 'pt';
+  return {
+    deltas,
+    explanation: Object.keys(deltas).length
+      ? (pt ? 'Ajustei a sua pesquisa com base no seu pedido.' : 'I adjusted your search based on your request.')
+      : (pt ? 'Não consegui identificar alterações concretas — tente algo como "mais barato" ou "sem apartamentos".' : 'I couldn\'t spot a concrete change — try something like "cheaper" or "no apartments".'),
+  };
+}
@@ -0,0 +1,132 @@
+/**
+ * homeAImatch — Saved Search Alerts
+ *
+ * Re-scores every saved search with alerts enabled against properties that
+ * appeared since it was last checked, and emails the buyer when a new listing
+ * scores at or above their threshold.
+ *
+ * Run after each Casafari sync (new listings are what buyers are waiting for).
+ * Without an email provider (no RESEND_API_KEY) nothing is scored: the searches are
+ * just marked checked, so listings from that time aren't sent later, all at once.
+ *
+ * Usage:
+ *   import { runSavedSearchAlerts } from './saved-search-alerts.js';
+ *   const summary = await runSavedSearchAlerts(supabase, { findNewMatches });
+ */
+
+import { sendEmail, emailEnabled, escapeHtml } from './email.js';
+
+const SITE_URL = 'https://homeaimatch.com';
+export const DEFAULT_ALERT_THRESHOLD = 80;
+
+// ─── Alert email body ────────────────────────────────────────────────────────
+function alertEmailHtml(search, matches) {
+  const pt = search.profile?.language === 'pt';
+  const manageLink = `${SITE_URL}/saved-search.html#id=${search.id}&token=${search.access_token}`;
+
+  const rows = matches.map(m => `
+    <tr>
+      <td style="padding:10px 0;border-bottom:1px solid #e5eaf0">
+        <a href="${SITE_URL}/property.html#id=${m.property.id}" style="color:#1a2b3c;font-weight:bold;text-decoration:none">${escapeHtml(m.property.title)}</a><br>
+        <span style="color:#6b7b8d;font-size:13px">${escapeHtml(m.property.city)} · €${(m.property.price || 0).toLocaleString()} · ${m.property.beds || '?'} ${pt ? 'quartos' : 'beds'}</span>
+      </td>
+      <td style="padding:10px 0;border-bottom:1px solid #e5eaf0;text-align:right;font-weight:bold;color:#1e96d1">${m.score?.score || 0}%</td>
+    </tr>`).join('');
+
+  return `
+    <div style="font-family:Arial,sans-serif;max-width:560px;margin:0 auto;padding:20px">
+      <h2 style="color:#1a2b3c">${pt ? 'Novos imóveis para a sua pesquisa' : 'New homes for your saved search'}</h2>
+      <p>${pt ? `Encontrámos ${matches.length} novo(s) imóvel(is) que corresponde(m) a "${escapeHtml(search.name)}".` : `We found ${matches.length} new listing(s) matching "${escapeHtml(search.name)}".`}</p>
+      <table style="width:100%;border-collapse:collapse">${rows}</table>
+      <a href="${manageLink}" style="display:inline-block;background:#1e96d1;color:white;padding:12px 28px;border-radius:8px;text-decoration:none;font-weight:bold;margin:16px 0">${pt ? 'Ver pesquisa' : 'View saved search'}</a>
+      <p style="color:#6b7b8d;font-size:12px;margin-top:24px">${pt ? 'Pode desativar estes alertas na página da pesquisa.' : 'You can turn these alerts off from the saved search page.'} — homeAImatch team</p>
+    </div>
+  `;
+}
+
+/**
+ * Check all alert-enabled saved searches for new matching properties
+ *
+ * @param {Object} supabase - Supabase client
+ * @param {Object} options
+ * @param {Function} options.findNewMatches - (profile, { since, excludeIds }) => scored matches
+ * @param {number} options.rulesVersion - active scoring rule set, recorded on each checked search
+ * @returns {Object} { checked, alerted, notified_properties, errors, skipped? }
+ */
+export async function runSavedSearchAlerts(supabase, { findNewMatches, rulesVersion = null }) {
+  const summary = { checked: 0, alerted: 0, notified_properties: 0, errors: [] };
+
+  const { data: searches, error } = await supabase
+    .from('saved_searches')
+    .select('*')
+    .eq('alerts_enabled', true);
+
+  if (error) {
+    console.error('[Saved Search Alerts] Load error:', error.message);
+    summary.errors.push({ error: error.message });
+    return summary;
+  }
+
+  // No way to tell anyone — don't spend Claude calls on hits that would only be logged
+  if (!emailEnabled()) {
+    const ids = (searches || []).map(s => s.id);
+    for (let i = 0; i < ids.length; i += 200) {
+      const update = { last_checked_at: new Date().toISOString() };
+      if (rulesVersion != null) update.rules_version = rulesVersion;
+      const { error: updateError } = await supabase.from('saved_searches').update(update).in('id', ids.slice(i, i + 200));
+      if (updateError) summary.errors.push({ error: updateError.message });
+    }
+    summary.checked = ids.length;
+    summary.skipped = 'email disabled (RESEND_API_KEY not set)';
+    console.log(`[Saved Search Alerts] Email disabled — marked ${ids.length} searches checked without scoring`);
+    return summary;
+  }
+
+  for (const search of searches || []) {
+    const checkedAt = new Date().toISOString();
+    try {
+      summary.checked++;
+      const notified = search.notified_property_ids || [];
+      const threshold = search.alert_threshold ?? DEFAULT_ALERT_THRESHOLD;
+
+      const matches = await findNewMatches(search.profile, {
+        since: search.last_checked_at || search.created_at,
+        excludeIds: notified,
+      });
+      const hits = matches.filter(m => (m.score?.score || 0) >= threshold);
+
+      // Move last_checked_at on only once the hits are dealt with — a failed email leaves
+      // them to be found (and sent) again next check
+      const update = hits.length === 0 ? { last_checked_at: checkedAt } : {};
+      if (rulesVersion != null) update.rules_version = rulesVersion;
+      if (hits.length > 0) {
+        const sent = await sendEmail({
+          to: search.buyer_email,
+          subject: search.profile?.language === 'pt'
+            ? `${hits.length} novo(s) imóvel(is) para "${search.name}"`
+            : `${hits.length} new home(s) for "${search.name}"`,
+          html: alertEmailHtml(search, hits),
+        });
+
+        // Only remember what we told the buyer about if the email actually went out
+        if (sent) {
+          update.last_checked_at = checkedAt;
+          update.notified_property_ids = [...notified, ...hits.map(m => m.property.id)];
+          update.last_alert_at = checkedAt;
+          summary.alerted++;
+          summary.notified_properties += hits.length;
+        }
+      }
+
+      if (Object.keys(update).length > 0) {
+        await supabase.from('saved_searches').update(update).eq('id', search.id);
+      }
+    } catch (err) {
+      console.error(`[Saved Search Alerts] Search ${search.id} failed:`, err.message);
+      summary.errors.push({ saved_search_id: search.id, error: err.message });
+    }
+  }
+
+  console.log(`[Saved Search Alerts] Checked ${summary.checked}, alerted ${summary.alerted} buyers about ${summary.notified_properties} properties`);
+  return summary;
+}
@@ -0,0 +1,354 @@
+/**
+ * homeAImatch — Scheduler
+ *
+ * Runs the recurring admin work on a timetable instead of someone POSTing to the admin
+ * routes: Casafari syncs, re-enrichment of stale OSM data and the saved-search alert
+ * check. Schedules live in the `schedules` table (seeded from DEFAULT_SCHEDULES on first
+ * start, then edited through /api/admin/schedules).
+ *
+ * Every API server instance ticks once a minute; a due schedule is claimed with a
+ * conditional update (a lock with an expiry, like a job lease in job-queue.js), so with
+ * several instances each run happens once. Tasks only queue jobs — the worker does the
+ * slow part. SCHEDULER_ENABLED=false turns it off on an instance; SCHEDULER_TICK_MS
+ * changes how often it checks.
+ *
+ * schedules: name (primary key), task, cron, enabled, params (json), next_run_at, last_run_at,
+ *   last_status ('succeeded' | 'skipped' | 'failed'), last_result (json), last_error,
+ *   locked_by, locked_until, created_at, updated_at
+ *
+ * Cron expressions have five fields (minute hour day-of-month month day-of-week) with
+ * *, lists, ranges and steps, evaluated in UTC — mainland Portugal is UTC in winter and
+ * UTC+1 in summer.
+ *
+ * Usage:
+ *   const scheduler = createScheduler(supabase, { tasks: createScheduleTasks({ supabase, queue, syncRuns, casafariState }) });
+ *   scheduler.start();
+ */
+
+import { resolveLocationIds, DEFAULT_DELIST_GRACE_RUNS } from './casafari-sync.js';
+import { queueCasafariSync } from './job-handlers.js';
+
+export const SCHEDULE_TASKS = ['casafari_sync', 'stale_enrichment', 'saved_search_alerts'];
+
+export const DEFAULT_SCHEDULES = [
+  // Changes only (casafari-state.js) — a full sync is a manual call or a schedule with params.full
+  { name: 'casafari-sync', task: 'casafari_sync', cron: '0 3 * * *', params: { concelhos: ['lourinha', 'peniche'], maxCalls: 10 } },
+  { name: 'stale-enrichment', task: 'stale_enrichment', cron: '0 4 * * 0', params: { maxAgeDays: 90, limit: 200 } },
+  { name: 'saved-search-alerts', task: 'saved_search_alerts', cron: '0 8 * * *', params: {} },
+];
+
+const TICK_MS = 60 * 1000;
+const DEFAULT_LOCK_SECONDS = 300;
+const MAX_RESULT_LENGTH = 1000;
+
+// ─── Cron expressions ────────────────────────────────────────────────────────
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 },
+];
+
+function parseCronField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const m = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!m) throw new Error(`Invalid cron ${name}: "${part}"`);
+    const step = m[4] ? Number(m[4]) : 1;
+    let from = m[1] === '*' ? min : Number(m[2]);
+    let to = m[1] === '*' ? max : m[3] != null ? Number(m[3]) : m[4] ? max : from;
+    if (from < min || to > max || from > to || step < 1) throw new Error(`Invalid cron ${name}: "${part}" (${min}-${max})`);
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * '30 3 * * 1-5' → { minute, hour, dom, month, dow } value sets (Sunday is 0 or 7)
+ * @throws {Error} when the expression isn't valid
+ */
+export function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error('Cron expression needs 5 fields: minute hour day-of-month month day-of-week');
+  const [minute, hour, dom, month, dow] = parts.map((p, i) => parseCronField(p, CRON_FIELDS[i]));
+  if (dow.has(7)) dow.add(0);
+  // Like cron: with both days restricted, either one matching is enough
+  return { minute, hour, dom, month, dow, anyDom: parts[2] === '*', anyDow: parts[4] === '*' };
+}
+
+/**
+ * First time after `from` that matches the expression (UTC, whole minutes)
+ * @returns {Date|null} null when nothing matches within five years (e.g. 30 February)
+ */
+export function nextCronRun(expression, from = new Date()) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  const t = new Date(from);
+  t.setUTCSeconds(0, 0);
+  t.setUTCMinutes(t.getUTCMinutes() + 1);
+  const limit = t.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+
+  while (t.getTime() <= limit) {
+    if (!cron.month.has(t.getUTCMonth() + 1)) {
+      t.setUTCMonth(t.getUTCMonth() + 1, 1);
+      t.setUTCHours(0, 0);
+      continue;
+    }
+    const domOk = cron.dom.has(t.getUTCDate());
+    const dowOk = cron.dow.has(t.getUTCDay());
+    const dayOk = cron.anyDom ? dowOk : cron.anyDow ? domOk : domOk || dowOk;
+    if (!dayOk) {
+      t.setUTCDate(t.getUTCDate() + 1);
+      t.setUTCHours(0, 0);
+      continue;
+    }
+    if (!cron.hour.has(t.getUTCHours())) {
+      t.setUTCHours(t.getUTCHours() + 1, 0);
+      continue;
+    }
+    if (!cron.minute.has(t.getUTCMinutes())) {
+      t.setUTCMinutes(t.getUTCMinutes() + 1);
+      continue;
+    }
+    return t;
+  }
+  return null;
+}
+
+// ─── Tasks ───────────────────────────────────────────────────────────────────
+/**
+ * What each schedule task does — each queues jobs for the worker and returns a summary
+ * @param {Object} deps
+ * @param {Object} deps.supabase - Supabase client
+ * @param {Object} deps.queue - from createJobQueue
+ * @param {Object} deps.syncRuns - from createSyncRunStore
+ * @param {Object} deps.casafariState - from createCasafariState
+ * @returns {Object} { [task]: async (params) => result } — a result with `skipped` is recorded as skipped
+ */
+export function createScheduleTasks({ supabase, queue, syncRuns, casafariState }) {
+  // params: { concelhos?, locationIds?, maxCalls?, full?, dryRun?, graceRuns? }
+  async function casafariSync({ concelhos, locationIds, maxCalls = 10, full = false, dryRun = false, graceRuns = DEFAULT_DELIST_GRACE_RUNS }) {
+    if (!process.env.CASAFARI_API_TOKEN) throw new Error('CASAFARI_API_TOKEN not set in environment variables');
+    const ids = resolveLocationIds({ locationIds, concelhos });
+    const { usage, plan, run, job } = await queueCasafariSync({ queue, syncRuns, casafariState }, {
+      locationIds: ids, maxCalls, full, dryRun, graceRuns,
+    });
+    if (!run) return { skipped: `monthly Casafari call budget used (${usage.calls}/${usage.budget})` };
+    return { sync_run_id: run.id, job_id: job.id, location_ids: ids, mode: plan.mode, resumed_from: plan.resumed_from };
+  }
+
+  // OSM data older than maxAgeDays gets refreshed (new cafés, closed schools…), oldest
+  // first and at most `limit` per run — the worker paces enrichment for Overpass
+  // params: { maxAgeDays?, limit? }
+  async function staleEnrichment({ maxAgeDays = 90, limit = 200 }) {
+    const cutoff = new Date(Date.now() - maxAgeDays * 24 * 60 * 60 * 1000).toISOString();
+    const { data, error } = await supabase
+      .from('property_enrichment')
+      .select('property_id, enriched_at')
+      .eq('enrichment_source', 'openstreetmap')
+      .lt('enriched_at', cutoff)
+      .order('enriched_at', { ascending: true })
+      .limit(limit);
+    if (error) throw new Error(`Stale enrichment lookup failed: ${error.message}`);
+
+    for (const row of data || []) {
+      await queue.enqueue('enrich_property', { property_id: row.property_id }, { dedupeKey: `enrich:${row.property_id}` });
+    }
+    return { queued: (data || []).length, older_than: cutoff };
+  }
+
+  async function savedSearchAlerts() {
+    const job = await queue.enqueue('saved_search_alerts', {}, { dedupeKey: 'saved_search_alerts' });
+    return { job_id: job.id };
+  }
+
+  return {
+    casafari_sync: casafariSync,
+    stale_enrichment: staleEnrichment,
+    saved_search_alerts: savedSearchAlerts,
+  };
+}
+
+// ─── Scheduler ───────────────────────────────────────────────────────────────
+/**
+ * @param {Object} supabase - Supabase client
+ * @param {Object} options
+ * @param {Object} options.tasks - from createScheduleTasks
+ * @param {string} options.instanceId - recorded as locked_by
+ * @param {number} options.lockSeconds - how long a claimed schedule stays locked if its instance dies mid-run
+ * @returns {Object} { seed, tick, start, stop, list, get, create, update, runNow }
+ */
+export function createScheduler(supabase, { tasks, instanceId = `api-${process.pid}`, lockSeconds = DEFAULT_LOCK_SECONDS }) {
+  let timer = null;
+
+  async function get(name) {
+    const { data, error } = await supabase.from('schedules').select('*').eq('name', name).maybeSingle();
+    if (error) throw new Error(`Schedule load failed: ${error.message}`);
+    return data;
+  }
+
+  async function list() {
+    const { data, error } = await supabase.from('schedules').select('*').order('name');
+    if (error) throw new Error(`Schedule list failed: ${error.message}`);
+    return data || [];
+  }
+
+  // Add the default schedules that aren't in the table yet (never overwrites edits)
+  async function seed() {
+    const existing = new Set((await list()).map(s => s.name));
+    for (const schedule of DEFAULT_SCHEDULES.filter(s => !existing.has(s.name))) {
+      // Another instance may seed at the same time — the duplicate insert just fails
+      await create({ ...schedule, enabled: true }).catch(err => console.warn(`[Scheduler] Seed ${schedule.name}: ${err.message}`));
+    }
+  }
+
+  /**
+   * @param {Object} schedule - { name, task, cron, enabled?, params? }
+   * @returns {Object} the schedules row
+   */
+  async function create({ name, task, cron, enabled = true, params = {} }) {
+    const now = new Date();
+    const { data, error } = await supabase
+      .from('schedules')
+      .insert({
+        name,
+        task,
+        cron,
+        enabled,
+        params,
+        next_run_at: enabled ? nextCronRun(cron, now)?.toISOString() ?? null : null,
+        created_at: now.toISOString(),
+        updated_at: now.toISOString(),
+      })
+      .select()
+      .single();
+    if (error) throw new Error(`Schedule create failed: ${error.message}`);
+    return data;
+  }
+
+  /**
+   * Change a schedule's cron, enabled flag or params; next_run_at follows
+   * @returns {Object|null} the updated row, or null if there's no such schedule
+   */
+  async function update(name, fields) {
+    const current = await get(name);
+    if (!current) return null;
+    const next = { ...current, ...fields };
+    const { data, error } = await supabase
+      .from('schedules')
+      .update({
+        ...fields,
+        next_run_at: next.enabled ? nextCronRun(next.cron)?.toISOString() ?? null : null,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('name', name)
+      .select()
+      .single();
+    if (error) throw new Error(`Schedule update failed: ${error.message}`);
+    return data;
+  }
+
+  // Take the schedule's lock: only if it's free (or its holder's lock ran out) and, for a
+  // scheduled run, still due at the time this instance read it
+  async function lock(schedule, { due = true } = {}) {
+    const now = new Date();
+    let query = supabase
+      .from('schedules')
+      .update({
+        locked_by: instanceId,
+        locked_until: new Date(now.getTime() + lockSeconds * 1000).toISOString(),
+        updated_at: now.toISOString(),
+      })
+      .eq('name', schedule.name)
+      .or(`locked_until.is.null,locked_until.lt.${now.toISOString()}`);
+    if (due) query = query.eq('next_run_at', schedule.next_run_at);
+    const { data } = await query.select();
+    return !!data?.length;
+  }
+
+  // Run a locked schedule's task and record the outcome (and, for scheduled runs, the next time)
+  async function run(schedule, { advance = true } = {}) {
+    const started = new Date();
+    let status = 'succeeded';
+    let result = null;
+    let lastError = null;
+    try {
+      if (!tasks[schedule.task]) throw new Error(`Unknown task: ${schedule.task}`);
+      result = await tasks[schedule.task](schedule.params || {});
+      if (result?.skipped) status = 'skipped';
+      console.log(`[Scheduler] ${schedule.name} ${status}:`, JSON.stringify(result).slice(0, 200));
+    } catch (err) {
+      status = 'failed';
+      lastError = String(err.message).slice(0, MAX_RESULT_LENGTH);
+      console.error(`[Scheduler] ${schedule.name} failed:`, err.message);
+    }
+
+    const { data, error } = await supabase
+      .from('schedules')
+      .update({
+        last_run_at: started.toISOString(),
+        last_status: status,
+        last_result: result,
+        last_error: lastError,
+        // A failed run waits for its next slot — the jobs it queued retry on their own
+        ...(advance ? { next_run_at: schedule.enabled ? nextCronRun(schedule.cron, started)?.toISOString() ?? null : null } : {}),
+        locked_by: null,
+        locked_until: null,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('name', schedule.name)
+      .eq('locked_by', instanceId)
+      .select()
+      .single();
+    if (error) console.error(`[Scheduler] ${schedule.name} update failed:`, error.message);
+    return data || { ...schedule, last_status: status, last_result: result, last_error: lastError };
+  }
+
+  // Run whatever is due; schedules another instance got to first are left alone
+  async function tick() {
+    const { data: due, error } = await supabase
+      .from('schedules')
+      .select('*')
+      .eq('enabled', true)
+      .lte('next_run_at', new Date().toISOString())
+      .order('next_run_at', { ascending: true });
+    if (error) throw new Error(`Schedule check failed: ${error.message}`);
+
+    const ran = [];
+    for (const schedule of due || []) {
+      if (!(await lock(schedule))) continue;
+      ran.push(await run(schedule));
+    }
+    return ran;
+  }
+
+  /**
+   * Run a schedule now, outside its timetable (its next_run_at stays as it is)
+   * @returns {Object|null} the updated row, null if there's no such schedule, or
+   *   { locked: true } when it's already running
+   */
+  async function runNow(name) {
+    const schedule = await get(name);
+    if (!schedule) return null;
+    if (!(await lock(schedule, { due: false }))) return { locked: true };
+    return run(schedule, { advance: false });
+  }
+
+  function start({ intervalMs = TICK_MS } = {}) {
+    if (timer) return;
+    const safeTick = () => tick().catch(err => console.error('[Scheduler] Tick error:', err.message));
+    seed()
+      .catch(err => console.error('[Scheduler] Seed error:', err.message))
+      .then(safeTick);
+    timer = setInterval(safeTick, intervalMs);
+    timer.unref();
+    console.log(`[Scheduler] ${instanceId} checking schedules every ${Math.round(intervalMs / 1000)}s`);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { seed, tick, start, stop, list, get, create, update, runNow };
+}
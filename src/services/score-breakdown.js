@@ -0,0 +1,43 @@
+/**
+ * homeAImatch — Score Breakdown
+ *
+ * Shared factor vocabulary for "why this score": quickPreScore, scoreWithRules and
+ * Claude all report [{ factor, points, evidence }] using these keys, with points
+ * relative to the scorer's baseline.
+ */
+
+export const SCORE_FACTORS = [
+  'budget', 'size', 'bedrooms', 'condition', 'walkability', 'area', 'vibe', 'features',
+  'description', 'commute', 'buyer_type', 'priorities', 'convenience', 'pets',
+];
+
+/**
+ * Running total that remembers where each point came from
+ *   const tally = createTally(65);
+ *   tally.add('budget', 12, '€93K under max budget');
+ *   tally.score; tally.breakdown();
+ */
+export function createTally(base) {
+  let score = base;
+  const byFactor = new Map();
+
+  return {
+    get score() { return score; },
+
+    add(factor, points, evidence) {
+      score += points;
+      const entry = byFactor.get(factor) || { factor, points: 0, evidence: [] };
+      entry.points += points;
+      if (evidence) entry.evidence.push(evidence);
+      byFactor.set(factor, entry);
+    },
+
+    // Factors that moved the score, biggest effect first
+    breakdown() {
+      return [...byFactor.values()]
+        .filter(e => e.points !== 0)
+        .map(e => ({ factor: e.factor, points: Math.round(e.points * 10) / 10, evidence: e.evidence.join('; ') }))
+        .sort((a, b) => Math.abs(b.points) - Math.abs(a.points));
+    },
+  };
+}
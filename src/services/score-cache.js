@@ -0,0 +1,157 @@
+/**
+ * homeAImatch — AI Score Cache
+ *
+ * Caches Claude scores in the `score_cache` table, keyed by:
+ *  - a fingerprint of the scoring-relevant buyer profile fields (normalised, so
+ *    near-identical quiz answers share a key), and
+ *  - a version stamp of the property + its enrichment row.
+ *
+ * Any change to a listing's price/description/etc. or a re-enrichment changes the
+ * version stamp, so stale entries are simply never hit again. syncToSupabase and
+ * enrichAndSave also delete them explicitly to keep the table small.
+ *
+ * Usage:
+ *   const scoreCache = createScoreCache(supabase);
+ *   await scoreProperties(profile, candidates, { cache: scoreCache });
+ */
+
+import crypto from 'crypto';
+
+const DEFAULT_TTL_HOURS = 72;
+const BUDGET_BUCKET = 5000; // budgets within €5K of each other share a fingerprint
+
+function sha(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex').slice(0, 32);
+}
+
+// Lowercase, strip emoji prefixes, sort — so answer order and icons don't matter
+function normList(v) {
+  const items = Array.isArray(v) ? v : (v ? [v] : []);
+  return items.map(x => String(x).toLowerCase().replace(/^[^\w]*/, '').trim()).filter(Boolean).sort();
+}
+
+function normText(v) {
+  return String(v || '').toLowerCase().replace(/^[^\w]*/, '').trim();
+}
+
+/**
+ * Hash of every profile field the scorers read
+ */
+export function profileFingerprint(profile) {
+  const bucket = (n) => Math.round((n || 0) / BUDGET_BUCKET) * BUDGET_BUCKET;
+  return sha({
+    buyer_type: normText(profile.buyer_type),
+    transport: normText(profile.transport),
+    budget_min: bucket(profile.budget_min),
+    budget_max: bucket(profile.budget_max),
+    min_beds: profile.min_beds || 1,
+    min_baths: profile.min_baths || 1,
+    min_sqm: profile.min_sqm || 0,
+    property_condition: normText(profile.property_condition),
+    outdoor_space: normText(profile.outdoor_space),
+    features: normList(profile.features),
+    setting: normText(profile.setting),
+    vibe: normList(profile.vibe),
+    priorities: normList(profile.priorities),
+    pets: normText(profile.pets),
+    parking: normText(profile.parking),
+    purpose: normText(profile.purpose),
+    semantic_query: normText(profile.semantic_query),
+    language: profile.language || 'en',
+    commute_anchors: (profile.commute_anchors || []).map(a => [
+      Math.round(a.lat * 1000) / 1000, Math.round(a.lng * 1000) / 1000, a.max_minutes, a.mode, a.days_per_week || null,
+    ]),
+  });
+}
+
+/**
+ * Version stamp of the listing fields and enrichment the scorers read
+ */
+export function propertyVersion(property, enrichment) {
+  return sha({
+    title: property.title,
+    price: property.price,
+    description: property.description,
+    beds: property.beds,
+    baths: property.baths,
+    sqm: property.sqm,
+    property_type: property.property_type,
+    condition: property.condition,
+    features: property.features,
+    parking: property.parking,
+    pet_friendly: property.pet_friendly,
+    epc_rating: property.epc_rating,
+    latitude: property.latitude,
+    longitude: property.longitude,
+    land_sqm: property.land_sqm ?? null,
+    renovation_needed: property.renovation_needed ?? null,
+    red_flags: property.red_flags || [],
+    enriched_at: enrichment?.enriched_at || null,
+  });
+}
+
+/**
+ * Build a cache bound to a Supabase client
+ * @param {Object} supabase - Supabase client
+ * @param {Object} options
+ * @param {number} options.ttlHours - entry lifetime (default SCORE_CACHE_TTL_HOURS env or 72)
+ */
+export function createScoreCache(supabase, { ttlHours = Number(process.env.SCORE_CACHE_TTL_HOURS) || DEFAULT_TTL_HOURS } = {}) {
+  const keyFor = (profileHash, { property, enrichment }) =>
+    `${profileHash}:${property.id}:${propertyVersion(property, enrichment)}`;
+
+  return {
+    /**
+     * @returns {Array} cached score per item (null on miss), same order as items
+     */
+    async lookup(profile, propertiesWithEnrichment) {
+      const profileHash = profileFingerprint(profile);
+      const keys = propertiesWithEnrichment.map(pe => keyFor(profileHash, pe));
+      try {
+        const { data, error } = await supabase
+          .from('score_cache')
+          .select('cache_key, score')
+          .in('cache_key', keys)
+          .gt('expires_at', new Date().toISOString());
+        if (error) throw error;
+        // Entries written before scores carried a breakdown count as misses
+        const byKey = new Map((data || []).filter(r => Array.isArray(r.score?.breakdown)).map(r => [r.cache_key, r.score]));
+        return keys.map(k => byKey.get(k) || null);
+      } catch (err) {
+        console.error('[Score Cache] Lookup error:', err.message);
+        return keys.map(() => null);
+      }
+    },
+
+    /**
+     * @param {Array} results - [{ property, enrichment, score }]
+     */
+    async store(profile, results) {
+      if (results.length === 0) return;
+      const profileHash = profileFingerprint(profile);
+      const expiresAt = new Date(Date.now() + ttlHours * 60 * 60 * 1000).toISOString();
+      const rows = results.map(r => ({
+        cache_key: keyFor(profileHash, r),
+        profile_hash: profileHash,
+        property_id: r.property.id,
+        property_version: propertyVersion(r.property, r.enrichment),
+        score: r.score,
+        expires_at: expiresAt,
+      }));
+      const { error } = await supabase.from('score_cache').upsert(rows, { onConflict: 'cache_key' });
+      if (error) console.error('[Score Cache] Store error:', error.message);
+    },
+
+    // Drop every cached score for these properties (listing or enrichment changed)
+    async invalidate(propertyIds) {
+      if (!propertyIds?.length) return;
+      const { error } = await supabase.from('score_cache').delete().in('property_id', propertyIds);
+      if (error) console.error('[Score Cache] Invalidate error:', error.message);
+    },
+
+    async purgeExpired() {
+      const { error } = await supabase.from('score_cache').delete().lt('expires_at', new Date().toISOString());
+      if (error) console.error('[Score Cache] Purge error:', error.message);
+    },
+  };
+}
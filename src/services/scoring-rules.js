@@ -0,0 +1,281 @@
+/**
+ * homeAImatch — Scoring Rules
+ *
+ * Point values used by the rule-based scorers, kept as data instead of literals:
+ *  - prescore: quickPreScore (prescore.js) — ranks every candidate before AI scoring
+ *  - rules:    scoreWithRules (ai-scoring.js) — the fallback when Claude isn't available
+ *
+ * Rule sets are versioned in the `scoring_rule_sets` table (version, weights, presets,
+ * notes, is_active, created_at, activated_at). Exactly one version is active; searches
+ * and saved searches record which version ranked them. Version 0 is the built-in
+ * DEFAULT_WEIGHTS below, used until an admin creates a rule set.
+ *
+ * Presets are partial overrides per buyer type, e.g.
+ *   { retired: { prescore: { retired_hospital: 6 } }, family: { rules: { family_schools: 6 } } }
+ */
+
+export const BUYER_TYPES = ['retired', 'family', 'remote', 'couple', 'investor', 'student'];
+
+export const DEFAULT_WEIGHTS = {
+  prescore: {
+    base: 50,
+    // Budget
+    budget_in_range: 15, budget_well_within: 5, budget_near_over: 5, budget_over: -10,
+    // Size & beds
+    sqm_meets: 5, sqm_near: 2, sqm_below: -3, beds_meets: 5,
+    // Condition
+    condition_any: 3, condition_move_in: 8, condition_new_build: 8, condition_light: 6, condition_full: 6,
+    // Walkability — buyers relying on walking / public transport / bike
+    walk_needed_high: 12, walk_needed_mid: 6, walk_needed_low: 2, walk_needed_poor: -5, walk_needed_transit_stops: 4,
+    // Walkability — buyers with a car
+    walk_car_high: 5, walk_car_mid: 3,
+    // Area type
+    setting_beach: 8, setting_urban: 6, setting_country: 6, setting_historic: 6,
+    // Daily priorities
+    priority_beach: 4, priority_schools: 4, priority_walkable: 4, priority_restaurants: 3, priority_healthcare: 3,
+    priority_transport: 3, priority_quiet: 3, priority_nature: 3, priority_playgrounds: 3,
+    // Features, pets, vibe (per match, capped)
+    feature_match: 3, feature_cap: 15,
+    // Description matches the buyer's free-text wish (× match strength 0-1)
+    semantic_match: 10,
+    pets_ok: 4, pets_not_ok: -2,
+    vibe_match: 3, vibe_cap: 8,
+    // Commute, per anchor (× commute_frequent_multiplier for trips 3+ days a week)
+    commute_comfortable: 5, commute_within: 3, commute_over: -4, commute_frequent_multiplier: 1.5,
+    // Buyer type bonuses
+    retired_hospital: 4, retired_pharmacy: 2, retired_walkable: 2,
+    family_schools_excellent: 4, family_schools_good: 2, family_playgrounds: 3, family_parks: 2,
+    remote_space: 2, remote_coworking: 2,
+    investor_low_price_sqm: 3,
+  },
+  rules: {
+    base: 65, min: 30, max: 98,
+    // Budget
+    budget_savings_30: 12, budget_savings_15: 8, budget_in_range: 4, budget_slightly_over: -3, budget_over: -10,
+    // Size & beds
+    sqm_spacious: 5, sqm_meets: 3, sqm_below: -3, beds_meets: 3, beds_short: -5,
+    // Walkability & transport
+    walk_needed_high: 8, walk_needed_mid: 4, walk_needed_poor: -5, walk_needed_transit_stops: 2, walk_car_high: 3,
+    // Area type
+    setting_beach: 8, setting_beach_missing: -3, setting_urban: 6, setting_country: 6, setting_flexible: 3, beach_bonus: 2,
+    // Vibe, priorities (per match, capped)
+    vibe_match: 3, vibe_cap: 6,
+    priority_match: 3, priority_cap: 12,
+    // Commute, per anchor
+    commute_comfortable: 4, commute_within: 2, commute_over: -5,
+    // Buyer type bonuses
+    retired_hospital: 4, retired_pharmacy: 2, family_schools: 4, family_playgrounds: 3, remote_space: 2,
+    // Description matches the buyer's free-text wish (× match strength 0-1)
+    semantic_match: 5,
+    // Convenience & pets
+    convenience: 3, pets_ok: 3, pets_not_ok: -3,
+  },
+};
+
+const SECTIONS = Object.keys(DEFAULT_WEIGHTS);
+const MAX_ABS_WEIGHT = 100;
+
+/**
+ * Map a quiz buyer_type answer (EN or PT, may start with an emoji) to a preset key
+ */
+export function buyerTypeKey(buyerType) {
+  const bt = (buyerType || '').toLowerCase();
+  if (bt.includes('retired') || bt.includes('reformado')) return 'retired';
+  if (bt.includes('family') || bt.includes('família') || bt.includes('familia')) return 'family';
+  if (bt.includes('remote') || bt.includes('remoto')) return 'remote';
+  if (bt.includes('couple') || bt.includes('casal')) return 'couple';
+  if (bt.includes('investor') || bt.includes('investidor')) return 'investor';
+  if (bt.includes('student') || bt.includes('estudante')) return 'student';
+  return null;
+}
+
+// Check one { prescore?, rules? } object — unknown keys and non-numbers are rejected
+function checkSections(input, path, errors) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  for (const [section, values] of Object.entries(input)) {
+    if (!SECTIONS.includes(section)) {
+      errors.push(`${path}.${section} is not a weight section (expected ${SECTIONS.join(' or ')})`);
+      continue;
+    }
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      errors.push(`${path}.${section} must be an object`);
+      continue;
+    }
+    for (const [key, value] of Object.entries(values)) {
+      if (!(key in DEFAULT_WEIGHTS[section])) errors.push(`${path}.${section}.${key} is not a known weight`);
+      else if (typeof value !== 'number' || !Number.isFinite(value) || Math.abs(value) > MAX_ABS_WEIGHT) {
+        errors.push(`${path}.${section}.${key} must be a number between -${MAX_ABS_WEIGHT} and ${MAX_ABS_WEIGHT}`);
+      }
+    }
+  }
+}
+
+/**
+ * Validate partial weights + presets from an admin request
+ * @throws {Error} with a user-facing message listing every problem
+ */
+export function validateRuleSetInput({ weights = {}, presets = {} } = {}) {
+  const errors = [];
+  checkSections(weights, 'weights', errors);
+  if (!presets || typeof presets !== 'object' || Array.isArray(presets)) {
+    errors.push('presets must be an object');
+  } else {
+    for (const [type, override] of Object.entries(presets)) {
+      if (!BUYER_TYPES.includes(type)) errors.push(`presets.${type} is not a buyer type (expected one of ${BUYER_TYPES.join(', ')})`);
+      else checkSections(override, `presets.${type}`, errors);
+    }
+  }
+  if (errors.length) throw new Error(errors.join('; '));
+}
+
+// Section-by-section merge: { prescore: {...}, rules: {...} } over the same shape
+function mergeWeights(base, override = {}) {
+  const merged = {};
+  for (const section of SECTIONS) {
+    merged[section] = { ...base[section], ...(override?.[section] || {}) };
+  }
+  return merged;
+}
+
+/**
+ * Weights to use for one buyer: the rule set's weights with its buyer-type preset applied
+ * @param {Object} ruleSet - { version, weights, presets }
+ * @returns {Object} { version, preset, prescore, rules }
+ */
+export function resolveWeights(ruleSet, buyerType) {
+  const preset = buyerTypeKey(buyerType);
+  const weights = mergeWeights(mergeWeights(DEFAULT_WEIGHTS, ruleSet?.weights), ruleSet?.presets?.[preset]);
+  return { version: ruleSet?.version ?? 0, preset: ruleSet?.presets?.[preset] ? preset : null, ...weights };
+}
+
+const DEFAULT_RULE_SET = { version: 0, weights: DEFAULT_WEIGHTS, presets: {}, notes: 'Built-in defaults', is_active: true };
+
+/**
+ * Versioned rule sets in Supabase, with the active one cached in memory
+ * @param {Object} options
+ * @param {number} options.cacheSeconds - how long the active set is reused before re-reading (default 60)
+ */
+export function createRuleStore(supabase, { cacheSeconds = 60 } = {}) {
+  let active = null;
+  let loadedAt = 0;
+
+  return {
+    defaults: DEFAULT_RULE_SET,
+
+    async getActive() {
+      if (active && Date.now() - loadedAt < cacheSeconds * 1000) return active;
+      try {
+        const { data, error } = await supabase
+          .from('scoring_rule_sets')
+          .select('*')
+          .eq('is_active', true)
+          .order('version', { ascending: false })
+          .limit(1);
+        if (error) throw error;
+        active = data?.[0] || DEFAULT_RULE_SET;
+      } catch (err) {
+        console.error('[Scoring Rules] Load error, using defaults:', err.message);
+        active = active || DEFAULT_RULE_SET;
+      }
+      loadedAt = Date.now();
+      return active;
+    },
+
+    async list() {
+      const { data, error } = await supabase
+        .from('scoring_rule_sets')
+        .select('*')
+        .order('version', { ascending: false });
+      if (error) throw error;
+      return data || [];
+    },
+
+    async get(version) {
+      if (Number(version) === 0) return DEFAULT_RULE_SET;
+      const { data } = await supabase
+        .from('scoring_rule_sets')
+        .select('*')
+        .eq('version', version)
+        .single();
+      return data || null;
+    },
+
+    /**
+     * Save a new version. Weights/presets are partial — merged over the version
+     * they're based on (the active one unless base_version is given).
+     */
+    async create({ weights = {}, presets = {}, notes = '', created_by = null, base_version = null, activate = false }) {
+      validateRuleSetInput({ weights, presets });
+      const base = base_version != null ? await this.get(base_version) : await this.getActive();
+      if (!base) throw new Error(`Rule set version ${base_version} not found`);
+
+      const mergedPresets = { ...(base.presets || {}) };
+      for (const [type, override] of Object.entries(presets)) {
+        mergedPresets[type] = mergeWeightsPartial(mergedPresets[type], override);
+      }
+
+      const { data: latest } = await supabase
+        .from('scoring_rule_sets')
+        .select('version')
+        .order('version', { ascending: false })
+        .limit(1);
+
+      const { data, error } = await supabase
+        .from('scoring_rule_sets')
+        .insert({
+          version: (latest?.[0]?.version || 0) + 1,
+          weights: mergeWeights(mergeWeights(DEFAULT_WEIGHTS, base.weights), weights),
+          presets: mergedPresets,
+          notes,
+          created_by,
+          based_on: base.version,
+          is_active: false,
+        })
+        .select()
+        .single();
+      if (error) throw error;
+
+      return activate ? this.activate(data.version) : data;
+    },
+
+    // Make one version live (also how you roll back). Version 0 restores the built-in defaults.
+    async activate(version) {
+      const target = await this.get(version);
+      if (!target) throw new Error(`Rule set version ${version} not found`);
+
+      const { error } = await supabase
+        .from('scoring_rule_sets')
+        .update({ is_active: false })
+        .eq('is_active', true);
+      if (error) throw error;
+
+      if (target.version !== 0) {
+        const { data, error: activateError } = await supabase
+          .from('scoring_rule_sets')
+          .update({ is_active: true, activated_at: new Date().toISOString() })
+          .eq('version', target.version)
+          .select()
+          .single();
+        if (activateError) throw activateError;
+        active = data;
+      } else {
+        active = DEFAULT_RULE_SET;
+      }
+      loadedAt = Date.now();
+      console.log(`[Scoring Rules] Version ${active.version} is now active`);
+      return active;
+    },
+  };
+}
+
+// Merge two partial { prescore?, rules? } overrides (presets only hold what they change)
+function mergeWeightsPartial(base = {}, override = {}) {
+  const merged = { ...base };
+  for (const [section, values] of Object.entries(override)) {
+    merged[section] = { ...(base[section] || {}), ...values };
+  }
+  return merged;
+}
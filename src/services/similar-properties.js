@@ -0,0 +1,156 @@
+/**
+ * homeAImatch — Similar Properties
+ *
+ * "More like this" for a listing: compares candidates on price, size, type/beds and
+ * enrichment profile (walkability, vibe, beach distance), optionally also on the
+ * description text. Each signal is 0-1; signals missing on either side are left out
+ * and the rest re-weighted, so a listing without enrichment can still be compared
+ * on price and size.
+ */
+
+import { isNearDuplicate } from './diversity.js';
+
+export const SIMILARITY_WEIGHTS = {
+  price: 0.25,
+  size: 0.15,
+  type: 0.2,
+  walkability: 0.1,
+  vibe: 0.15,
+  beach: 0.15,
+  text: 0.2, // only when text matching is requested
+};
+
+const PRICE_TOLERANCE = 0.3;   // 30% apart → 0
+const SIZE_TOLERANCE = 0.35;
+const BEACH_TOLERANCE_KM = 10;
+const REASON_THRESHOLD = 0.75; // signals at or above this are explained
+
+const norm = (v) => String(v || '').toLowerCase().trim();
+const clamp01 = (n) => Math.max(0, Math.min(1, n));
+
+// 1 when equal, falling linearly to 0 at `tolerance` relative difference
+function closeness(a, b, tolerance) {
+  if (!(a > 0) || !(b > 0)) return null;
+  return clamp01(1 - Math.abs(a - b) / Math.max(a, b) / tolerance);
+}
+
+function vibesOf(property, enrichment) {
+  return new Set([...(property.neighborhood_vibe || []), ...(enrichment?.computed_vibe || [])].map(norm).filter(Boolean));
+}
+
+function beachKm(enrichment) {
+  const km = Number(enrichment?.nearest_beach?.distance_km);
+  return Number.isFinite(km) ? km : null;
+}
+
+// Description words worth comparing (accents kept — listings are mostly Portuguese)
+function terms(text) {
+  const counts = new Map();
+  for (const word of norm(text).split(/[^\p{L}\p{N}]+/u)) {
+    if (word.length >= 4) counts.set(word, (counts.get(word) || 0) + 1);
+  }
+  return counts;
+}
+
+function cosine(a, b) {
+  if (a.size === 0 || b.size === 0) return null;
+  let dot = 0;
+  for (const [word, n] of a) dot += n * (b.get(word) || 0);
+  const length = (m) => Math.sqrt([...m.values()].reduce((sum, n) => sum + n * n, 0));
+  return dot / (length(a) * length(b));
+}
+
+/**
+ * Per-signal similarity between two listings
+ * @returns {Object} { [signal]: 0-1 | null } (null = not comparable)
+ */
+export function compareProperties(a, aEnrichment, b, bEnrichment, { text = false } = {}) {
+  const walkA = aEnrichment?.walkability ?? a.walkability;
+  const walkB = bEnrichment?.walkability ?? b.walkability;
+  const vibesA = vibesOf(a, aEnrichment);
+  const vibesB = vibesOf(b, bEnrichment);
+  const beachA = beachKm(aEnrichment);
+  const beachB = beachKm(bEnrichment);
+
+  let type = null;
+  if (a.property_type && b.property_type) {
+    const sameType = norm(a.property_type) === norm(b.property_type) ? 1 : 0;
+    const beds = a.beds != null && b.beds != null ? clamp01(1 - Math.abs(a.beds - b.beds) / 2) : sameType;
+    type = sameType * 0.6 + beds * 0.4;
+  }
+
+  return {
+    price: closeness(a.price, b.price, PRICE_TOLERANCE),
+    size: closeness(a.sqm, b.sqm, SIZE_TOLERANCE),
+    type,
+    walkability: walkA != null && walkB != null ? clamp01(1 - Math.abs(walkA - walkB) / 10) : null,
+    vibe: vibesA.size && vibesB.size
+      ? [...vibesA].filter(v => vibesB.has(v)).length / new Set([...vibesA, ...vibesB]).size
+      : null,
+    beach: beachA != null && beachB != null ? clamp01(1 - Math.abs(beachA - beachB) / BEACH_TOLERANCE_KM) : null,
+    text: text ? cosine(terms(a.description), terms(b.description)) : null,
+  };
+}
+
+// Short human-readable reasons for the strongest signals
+function explain(signals, target, candidate, targetEnrichment, candidateEnrichment) {
+  const reasons = [];
+  const strong = (key) => signals[key] != null && signals[key] >= REASON_THRESHOLD;
+
+  if (strong('type')) {
+    reasons.push(`Same type${target.beds === candidate.beds && target.beds != null ? `, ${candidate.beds} bed` : ''} (${candidate.property_type})`);
+  }
+  if (strong('price')) {
+    const diff = Math.round((candidate.price - target.price) / target.price * 100);
+    reasons.push(diff === 0 ? 'Same price' : `Price ${Math.abs(diff)}% ${diff > 0 ? 'higher' : 'lower'}`);
+  }
+  if (strong('size')) reasons.push(`Similar size (${candidate.sqm} vs ${target.sqm} m²)`);
+  if (strong('walkability')) {
+    reasons.push(`Walkability ${candidateEnrichment?.walkability ?? candidate.walkability}/10 vs ${targetEnrichment?.walkability ?? target.walkability}/10`);
+  }
+  if (signals.vibe > 0) {
+    const shared = [...vibesOf(candidate, candidateEnrichment)].filter(v => vibesOf(target, targetEnrichment).has(v));
+    reasons.push(`Shared vibe: ${shared.slice(0, 3).join(', ')}`);
+  }
+  if (strong('beach')) reasons.push(`Beach ${beachKm(candidateEnrichment)} km away (vs ${beachKm(targetEnrichment)} km)`);
+  if (signals.text != null && signals.text >= 0.3) reasons.push('Similar description');
+  return reasons;
+}
+
+/**
+ * Rank candidates by similarity to a target listing
+ * @param {Object} target - { property, enrichment }
+ * @param {Array} candidates - [{ property, enrichment }]
+ * @param {Object} options
+ * @param {number} options.limit - how many to return
+ * @param {boolean} options.text - also compare description text
+ * @returns {Array} [{ property, enrichment, similarity: 0-1, signals, reasons }], most similar first.
+ *   The target itself and near-duplicate listings of it are left out.
+ */
+export function findSimilar(target, candidates, { limit = 6, text = false } = {}) {
+  const scored = [];
+  for (const c of candidates) {
+    if (isNearDuplicate(target.property, c.property)) continue;
+
+    const signals = compareProperties(target.property, target.enrichment, c.property, c.enrichment, { text });
+    let total = 0;
+    let weight = 0;
+    for (const [key, value] of Object.entries(signals)) {
+      if (value == null) continue;
+      total += value * SIMILARITY_WEIGHTS[key];
+      weight += SIMILARITY_WEIGHTS[key];
+    }
+    if (weight === 0) continue;
+
+    scored.push({
+      ...c,
+      similarity: Math.round(total / weight * 1000) / 1000,
+      signals: Object.fromEntries(Object.entries(signals).map(([k, v]) => [k, v == null ? null : Math.round(v * 100) / 100])),
+      reasons: explain(signals, target.property, c.property, target.enrichment, c.enrichment),
+    });
+  }
+
+  return scored
+    .sort((a, b) => b.similarity - a.similarity || String(a.property.id).localeCompare(String(b.property.id)))
+    .slice(0, limit);
+}
@@ -0,0 +1,202 @@
+/**
+ * homeAImatch — Sync Run History
+ *
+ * Every Casafari import is recorded in `sync_runs`, updated by the worker after each
+ * page (casafari_sync_page jobs, see job-handlers.js), so admins can follow a run from
+ * GET /api/admin/sync-runs instead of the server logs.
+ *
+ * sync_runs: id, source, status, location_ids, max_calls, page_size, mode ('full' |
+ *   'incremental'), changed_since, start_offset, seen_since, resumed_from, started_at,
+ *   finished_at, updated_at, api_calls (every Casafari call, failed attempts included),
+ *   pages (pages saved), last_page_offset, total_count, fetched, inserted, updated, skipped,
+ *   errors (json, capped), enrichment_queued, delisting (json — deactivateMissing's
+ *   report, or why it was skipped), current_job_id, stopped_reason, error
+ *
+ * Status: running → succeeded (reached the last page), partial (stopped early by
+ * maxCalls or the monthly call budget — the next sync resumes it) or failed.
+ *
+ * Enrichment progress isn't stored on the run — it's counted from the enrich_property
+ * jobs tagged with the run id when a run is looked at.
+ *
+ * Usage:
+ *   const syncRuns = createSyncRunStore(supabase);
+ *   const run = await syncRuns.start({ locationIds, maxCalls });
+ */
+
+export const SYNC_RUN_STATUSES = ['running', 'succeeded', 'partial', 'failed'];
+
+const MAX_RUN_ERRORS = 100;
+const MAX_DELISTING_ITEMS = 500;
+
+/**
+ * Run row → API shape with progress figures
+ * @param {Object} run - sync_runs row
+ * @param {Object} enrichment - enrich_property job counts for the run ({ queued, running, succeeded, failed, cancelled })
+ */
+export function describeSyncRun(run, enrichment = null) {
+  const expected = run.total_count != null
+    ? Math.max(0, Math.min(run.total_count - (run.start_offset || 0), (run.max_calls || 0) * (run.page_size || 100)))
+    : null;
+  const endedAt = run.finished_at ? new Date(run.finished_at) : new Date();
+  const out = {
+    ...run,
+    duration_seconds: run.started_at ? Math.max(0, Math.round((endedAt - new Date(run.started_at)) / 1000)) : null,
+    progress: {
+      pages: run.pages ?? run.api_calls ?? 0,
+      max_pages: run.max_calls,
+      fetched: run.fetched || 0,
+      expected,
+      percent: expected ? Math.min(100, Math.round((run.fetched || 0) / expected * 100)) : run.status === 'running' ? 0 : 100,
+    },
+  };
+  if (enrichment) {
+    const done = (enrichment.succeeded || 0) + (enrichment.failed || 0) + (enrichment.cancelled || 0);
+    out.enrichment = {
+      ...enrichment,
+      total: done + (enrichment.queued || 0) + (enrichment.running || 0),
+      done,
+    };
+  }
+  return out;
+}
+
+/**
+ * @param {Object} supabase - Supabase client
+ * @returns {Object} { start, attachJob, recordPage, recordError, recordDelisting, finish, get, list }
+ */
+export function createSyncRunStore(supabase) {
+  async function update(id, fields) {
+    const { data, error } = await supabase
+      .from('sync_runs')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select()
+      .single();
+    if (error) throw new Error(`Sync run ${id} update failed: ${error.message}`);
+    return data;
+  }
+
+  async function get(id) {
+    const { data, error } = await supabase.from('sync_runs').select('*').eq('id', id).maybeSingle();
+    if (error) throw new Error(`Sync run load failed: ${error.message}`);
+    return data;
+  }
+
+  /**
+   * Record a new run before its first page is queued
+   * @param {Object} options
+   * @param {Object} options.plan - from casafariState.plan: { mode, changed_since, offset, seen_since, resumed_from }
+   * @returns {Object} the sync_runs row
+   */
+  async function start({ source = 'casafari', locationIds, maxCalls, pageSize = 100, plan = {} }) {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('sync_runs')
+      .insert({
+        source,
+        status: 'running',
+        location_ids: locationIds,
+        max_calls: maxCalls,
+        page_size: pageSize,
+        mode: plan.mode || 'full',
+        changed_since: plan.changed_since || null,
+        start_offset: plan.offset || 0,
+        seen_since: plan.seen_since || now,
+        resumed_from: plan.resumed_from || null,
+        started_at: now,
+        updated_at: now,
+        api_calls: 0,
+        pages: 0,
+        fetched: 0,
+        inserted: 0,
+        updated: 0,
+        skipped: 0,
+        errors: [],
+        enrichment_queued: 0,
+      })
+      .select()
+      .single();
+    if (error) throw new Error(`Sync run create failed: ${error.message}`);
+    return data;
+  }
+
+  // The page job currently working on the run
+  async function attachJob(id, jobId) {
+    return update(id, { current_job_id: jobId });
+  }
+
+  /**
+   * Add one page's figures to the run (pages of a run are processed one after another).
+   * A run marked failed or partial goes back to running when its page job runs again.
+   * A page is counted once: recording the same offset again changes nothing.
+   * @param {Object} page - { offset, total_count, fetched, inserted, updated, skipped, errors, enrichment_queued, next_job_id }
+   */
+  async function recordPage(id, page) {
+    const run = await get(id);
+    if (!run) {
+      console.warn(`[Sync Runs] Run ${id} not found — page not recorded`);
+      return null;
+    }
+    if (page.offset != null && run.last_page_offset === page.offset) return run;
+    return update(id, {
+      last_page_offset: page.offset ?? null,
+      status: 'running',
+      error: null,
+      finished_at: null,
+      api_calls: (run.api_calls || 0) + 1,
+      pages: (run.pages || 0) + 1,
+      total_count: page.total_count ?? run.total_count,
+      fetched: (run.fetched || 0) + page.fetched,
+      inserted: (run.inserted || 0) + page.inserted,
+      updated: (run.updated || 0) + page.updated,
+      skipped: (run.skipped || 0) + page.skipped,
+      errors: [...(run.errors || []), ...page.errors].slice(0, MAX_RUN_ERRORS),
+      enrichment_queued: (run.enrichment_queued || 0) + (page.enrichment_queued || 0),
+      current_job_id: page.next_job_id || null,
+    });
+  }
+
+  // A failed page attempt — kept in the run's error list. apiCall: the attempt made its
+  // Casafari call before failing, so it counts toward api_calls.
+  async function recordError(id, message, { jobId = null, offset = null, apiCall = false } = {}) {
+    const run = await get(id);
+    if (!run) return null;
+    const entry = { error: message, job_id: jobId, offset, at: new Date().toISOString() };
+    return update(id, {
+      errors: [...(run.errors || []), entry].slice(0, MAX_RUN_ERRORS),
+      current_job_id: jobId,
+      ...(apiCall && { api_calls: (run.api_calls || 0) + 1 }),
+    });
+  }
+
+  // What the end-of-sync delisting did (or would do, in a dry run)
+  async function recordDelisting(id, report) {
+    const capped = { ...report };
+    for (const key of ['deactivated', 'pending']) {
+      if (report[key]?.length > MAX_DELISTING_ITEMS) {
+        capped[key] = report[key].slice(0, MAX_DELISTING_ITEMS);
+        capped[`${key}_count`] = report[key].length;
+      }
+    }
+    return update(id, { delisting: capped });
+  }
+
+  async function finish(id, { status = 'succeeded', error = null, stoppedReason = null } = {}) {
+    return update(id, { status, error, stopped_reason: stoppedReason, finished_at: new Date().toISOString() });
+  }
+
+  // Newest first
+  async function list({ status = null, limit = 20, offset = 0 } = {}) {
+    let query = supabase
+      .from('sync_runs')
+      .select('*')
+      .order('started_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+    if (status) query = query.eq('status', status);
+    const { data, error } = await query;
+    if (error) throw new Error(`Sync run list failed: ${error.message}`);
+    return data || [];
+  }
+
+  return { start, attachJob, recordPage, recordError, recordDelisting, finish, get, list };
+}
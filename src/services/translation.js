@@ -0,0 +1,156 @@
+/**
+ * homeAImatch — Listing Translation
+ *
+ * Casafari descriptions come in whatever language the agency wrote them (mostly
+ * Portuguese), and mapCasafariProperty leaves `tagline` empty. After each sync, new and
+ * edited listings get `description_en` / `description_pt` and a short tagline in both
+ * languages (`tagline` is English, `tagline_pt` Portuguese), written by Claude via
+ * translateListing in ai-scoring.js, or by translateWithRules below without an API key
+ * (no translation then — the source text is filed under its own language, and the
+ * taglines are built from the structured fields).
+ *
+ * Each row remembers a hash of the title + description it was made from, so only
+ * listings whose text changed are re-translated. After adding an API key, run the
+ * admin job with force to replace rule-based output; a rule-based result stored because
+ * Claude failed has no hash, so the next run tries again.
+ *
+ * `tagline` is only written when it's empty or one we wrote (`tagline_generated`) —
+ * taglines entered with a listing (POST /api/properties) are kept.
+ *
+ * Usage:
+ *   const summary = await runTranslation(supabase, { translate: translateListing, ids });
+ *   const shown = localizeProperty(property, 'en');
+ */
+
+import crypto from 'crypto';
+import { processChangedListings, resultHash } from './changed-listings.js';
+
+export const LANGUAGES = ['en', 'pt'];
+export const MAX_TAGLINE_LENGTH = 90;
+
+const PT_WORDS = new Set(['de', 'com', 'e', 'em', 'para', 'uma', 'um', 'os', 'as', 'do', 'da', 'dos', 'das', 'no', 'na', 'ao', 'sala', 'quartos', 'cozinha', 'moradia', 'imovel', 'zona', 'situado', 'localizado']);
+const EN_WORDS = new Set(['the', 'and', 'with', 'of', 'in', 'to', 'for', 'a', 'this', 'is', 'on', 'bedroom', 'bedrooms', 'kitchen', 'living', 'house', 'property', 'located', 'room']);
+
+/**
+ * Guess whether a text is Portuguese or English from common words
+ * @returns {string} 'pt' | 'en' (Portuguese when undecided — most listings are)
+ */
+export function detectLanguage(text) {
+  let pt = 0;
+  let en = 0;
+  const words = String(text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').split(/[^a-z]+/);
+  for (const w of words) {
+    if (PT_WORDS.has(w)) pt++;
+    if (EN_WORDS.has(w)) en++;
+  }
+  return en > pt ? 'en' : 'pt';
+}
+
+const TYPE_NAMES = {
+  flat: ['apartment', 'Apartamento'],
+  detached: ['house', 'Moradia'],
+  villa: ['villa', 'Moradia'],
+  townhouse: ['townhouse', 'Moradia em banda'],
+  'semi-detached': ['semi-detached house', 'Moradia geminada'],
+  terraced: ['terraced house', 'Moradia em banda'],
+  farmhouse: ['farmhouse', 'Quinta'],
+  cottage: ['cottage', 'Casa de campo'],
+  bungalow: ['bungalow', 'Moradia térrea'],
+};
+
+const FEATURE_NAMES = {
+  'sea view': 'vista mar', pool: 'piscina', garden: 'jardim', terrace: 'terraço',
+  balcony: 'varanda', garage: 'garagem', fireplace: 'lareira', 'olive trees': 'oliveiras',
+};
+
+/**
+ * Template tagline from the structured fields, e.g. "3-bed villa in Óbidos with pool"
+ */
+export function ruleTagline(property, language) {
+  const [en, pt] = TYPE_NAMES[String(property.property_type || '').toLowerCase()] || ['home', 'Imóvel'];
+  const feature = (property.features || []).find(f => FEATURE_NAMES[f]);
+  const beds = property.beds > 0 ? property.beds : null;
+  const tagline = language === 'pt'
+    ? `${pt}${beds ? ` T${beds}` : ''}${property.city ? ` em ${property.city}` : ''}${feature ? ` com ${FEATURE_NAMES[feature]}` : ''}`
+    : `${beds ? `${beds}-bed ${en}` : en.charAt(0).toUpperCase() + en.slice(1)}${property.city ? ` in ${property.city}` : ''}${feature ? ` with ${feature}` : ''}`;
+  return tagline.slice(0, MAX_TAGLINE_LENGTH);
+}
+
+/**
+ * No-API fallback: files the source description under its detected language and
+ * builds taglines from the structured fields
+ * @returns {Object} { source_language, description_en, description_pt, tagline_en, tagline_pt }
+ */
+export function translateWithRules(property) {
+  const source = detectLanguage(`${property.title || ''} ${property.description || ''}`);
+  return {
+    source_language: source,
+    description_en: source === 'en' ? property.description || null : null,
+    description_pt: source === 'pt' ? property.description || null : null,
+    tagline_en: ruleTagline(property, 'en'),
+    tagline_pt: ruleTagline(property, 'pt'),
+  };
+}
+
+/**
+ * The property as a buyer in `language` should see it: description and tagline in their
+ * language when we have them, the original otherwise
+ * @returns {Object} property with description / tagline swapped in, plus
+ *   description_language ('en' | 'pt' | null when unknown)
+ */
+export function localizeProperty(property, language = 'en') {
+  const lang = LANGUAGES.includes(language) ? language : 'en';
+  const translated = property[`description_${lang}`];
+  const other = property[`description_${lang === 'en' ? 'pt' : 'en'}`];
+  return {
+    ...property,
+    description: translated || property.description,
+    tagline: (lang === 'pt' ? property.tagline_pt : property.tagline) || property.tagline || property.tagline_pt || '',
+    description_language: translated ? lang : other ? (lang === 'en' ? 'pt' : 'en') : null,
+  };
+}
+
+// What a translation is made from — listings are re-translated only when this changes
+export function translationHash(property) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([property.title, property.description]))
+    .digest('hex').slice(0, 32);
+}
+
+/**
+ * Translate new / edited listings and store the results on the properties row
+ * @param {Object} supabase - Supabase client
+ * @param {Object} options
+ * @param {Function} options.translate - property => { value, model, source } (translateListing)
+ * @param {Array} options.ids - only these properties (default: active listings)
+ * @param {boolean} options.force - re-translate even if the text hasn't changed
+ * @param {number} options.limit - max listings to translate in one run
+ * @returns {Object} { checked, translated, ai, rules, skipped, errors }
+ */
+export async function runTranslation(supabase, { translate, ids = null, force = false, limit = 200 }) {
+  return processChangedListings(supabase, {
+    label: 'Translation',
+    doneKey: 'translated',
+    columns: 'id, title, description, property_type, beds, sqm, city, features, tagline, tagline_generated, translation_hash',
+    ids,
+    force,
+    limit,
+    hash: translationHash,
+    storedHashes: async (properties) => new Map(properties.map(p => [p.id, p.translation_hash])),
+    run: async (property) => {
+      const { value, model, source } = await translate(property);
+      const ownTagline = !property.tagline || property.tagline_generated;
+      const { error } = await supabase.from('properties').update({
+        description_en: value.description_en,
+        description_pt: value.description_pt,
+        ...(ownTagline ? { tagline: value.tagline_en, tagline_generated: true } : {}),
+        tagline_pt: value.tagline_pt,
+        translation_hash: resultHash(translationHash(property), source),
+        translation_model: model,
+        translated_at: new Date().toISOString(),
+      }).eq('id', property.id);
+      if (error) throw new Error(error.message);
+      return source;
+    },
+  });
+}
@@ -0,0 +1,128 @@
+/**
+ * homeAImatch — Background Worker
+ *
+ * Runs queued jobs (see services/job-queue.js and services/job-handlers.js) in its own
+ * process, next to the API server: `npm run worker`. One job at a time; run more
+ * workers to go faster (Overpass and Casafari rate limits usually say don't).
+ *
+ * Env: SUPABASE_URL, SUPABASE_SERVICE_KEY (or SUPABASE_ANON_KEY), plus whatever the jobs
+ * need (CASAFARI_API_TOKEN, ANTHROPIC_API_KEY, RESEND_API_KEY…)
+ *  - WORKER_ID        name recorded on claimed jobs (default: hostname-pid)
+ *  - WORKER_JOB_TYPES comma-separated types to run (default: all)
+ *  - WORKER_POLL_MS   wait when the queue is empty (default 5000)
+ */
+
+import os from 'os';
+import { createClient } from '@supabase/supabase-js';
+import { createJobQueue } from '../services/job-queue.js';
+import { createJobHandlers, JOB_TYPES, JOB_PAUSE_MS } from '../services/job-handlers.js';
+import { createScoreCache } from '../services/score-cache.js';
+import { createRuleStore } from '../services/scoring-rules.js';
+import { createEmbeddingIndex } from '../services/embeddings.js';
+import { createMatching } from '../services/matching.js';
+import { createListingWriter } from '../services/listing-writer.js';
+import { createSyncRunStore } from '../services/sync-runs.js';
+import { createCasafariState } from '../services/casafari-state.js';
+
+const LEASE_SECONDS = 120;
+const HEARTBEAT_MS = 30000;
+const POLL_MS = Number(process.env.WORKER_POLL_MS) || 5000;
+const WORKER_ID = process.env.WORKER_ID || `${os.hostname()}-${process.pid}`;
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_ANON_KEY
+);
+
+const scoreCache = createScoreCache(supabase);
+const ruleStore = createRuleStore(supabase);
+const embeddingIndex = createEmbeddingIndex(supabase);
+const { findNewMatches } = createMatching({ supabase, embeddingIndex, scoreCache, ruleStore });
+const { enrichAndSave, upsertAgent } = createListingWriter(supabase, { scoreCache });
+
+const queue = createJobQueue(supabase, { leaseSeconds: LEASE_SECONDS });
+const syncRuns = createSyncRunStore(supabase);
+const casafariState = createCasafariState(supabase);
+const handlers = createJobHandlers({ supabase, queue, syncRuns, casafariState, scoreCache, ruleStore, embeddingIndex, enrichAndSave, upsertAgent, findNewMatches });
+
+const types = process.env.WORKER_JOB_TYPES
+  ? process.env.WORKER_JOB_TYPES.split(',').map(t => t.trim()).filter(t => JOB_TYPES.includes(t))
+  : JOB_TYPES;
+
+let stopping = false;
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// Run one claimed job, renewing its lease while the handler works. Never throws: a queue
+// error while recording the outcome is logged and the job's lease left to run out.
+async function runJob(job) {
+  const started = Date.now();
+  console.log(`[Worker] ${job.type} ${job.id} (attempt ${job.attempts}/${job.max_attempts})`);
+
+  const timer = setInterval(async () => {
+    const ours = await queue.heartbeat(job).catch(() => true);
+    if (!ours) console.warn(`[Worker] ${job.type} ${job.id} was cancelled or reclaimed — its result will be dropped`);
+  }, HEARTBEAT_MS);
+
+  let result = null;
+  let failure = null;
+  try {
+    result = await handlers[job.type](job.payload || {}, job);
+  } catch (err) {
+    failure = err;
+  } finally {
+    clearInterval(timer);
+  }
+
+  // Kept apart from the handler's own errors — work that succeeded must not be re-queued
+  // as failed because the queue update didn't go through
+  if (!failure) {
+    try {
+      await queue.complete(job, result ?? null);
+      console.log(`[Worker] ✅ ${job.type} ${job.id} done in ${Math.round((Date.now() - started) / 1000)}s`);
+    } catch (err) {
+      console.error(`[Worker] ${job.type} ${job.id} succeeded but couldn't be marked done: ${err.message}`);
+    }
+    return;
+  }
+
+  try {
+    const { status, run_at } = await queue.fail(job, failure);
+    console.error(`[Worker] ❌ ${job.type} ${job.id} failed: ${failure.message}${status === 'queued' ? ` — retry at ${run_at}` : ''}`);
+  } catch (err) {
+    console.error(`[Worker] ❌ ${job.type} ${job.id} failed: ${failure.message} (and couldn't be recorded: ${err.message})`);
+  }
+}
+
+async function main() {
+  console.log(`[Worker] ${WORKER_ID} running ${types.join(', ')}`);
+  while (!stopping) {
+    let job = null;
+    try {
+      job = await queue.claim(WORKER_ID, types);
+    } catch (err) {
+      console.error('[Worker] Claim error:', err.message);
+    }
+    if (!job) {
+      await sleep(POLL_MS);
+      continue;
+    }
+    await runJob(job);
+    if (JOB_PAUSE_MS[job.type]) await sleep(JOB_PAUSE_MS[job.type]);
+  }
+  console.log(`[Worker] ${WORKER_ID} stopped`);
+  process.exit(0);
+}
+
+// Finish the current job, then exit (its lease would otherwise have to run out)
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => {
+    if (stopping) process.exit(1);
+    console.log(`[Worker] ${signal} — stopping after the current job`);
+    stopping = true;
+  });
+}
+
+main().catch(err => {
+  console.error('[Worker] Fatal error:', err);
+  process.exit(1);
+});